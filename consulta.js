@@ -0,0 +1,287 @@
+/*
+ * ============================================
+ * AGENDA TELEFÔNICA - Linguagem de Consulta
+ * ============================================
+ *
+ * PROPÓSITO:
+ * Interpreta a consulta estruturada digitada na barra de pesquisa
+ * (GET /api/contatos/pesquisar?termo=...) e devolve uma árvore que o
+ * server.js traduz para SQL (traduzirConsulta).
+ *
+ * POR QUE EXISTE:
+ * - A busca simples escolhe nome OU telefone pelo termo conter dígitos,
+ *   então "Ana do DDD 11" não tinha como ser expressa
+ * - Erros de sintaxe precisam de mensagem clara (400) com a posição
+ *
+ * SINTAXE:
+ *   nome:ana idade:>30 ddd:11          → termos lado a lado = E
+ *   nome:ana OU nome:bia               → OU (também OR); E (também AND) é opcional
+ *   (nome:ana OU nome:bia) uf:SP       → parênteses agrupam; E tem precedência sobre OU
+ *   empresa:"Padaria São José"         → valor com espaços entre aspas
+ *   ana tel:9876                       → termo sem campo = busca simples (nome, e-mail, telefone...)
+ *   Ana 11                             → palavras com letras e palavras com dígitos também viram
+ *                                        termos sem campo lado a lado (nome Ana E telefone com 11)
+ *   (11) 3456-7890                     → só dígitos e pontuação de telefone: NÃO é consulta, é um
+ *                                        número (busca por telefone, mesmo com parênteses)
+ *
+ * CAMPOS: ver CAMPOS_CONSULTA. idade aceita 30, =30, >30, >=30, <30, <=30, 20..30 e nenhuma
+ * (sem data de nascimento).
+ *
+ * ÁRVORE:
+ *   { tipo: 'ou' | 'e', itens: [nó, ...] }
+ *   { tipo: 'termo', campo: string|null, valor: string, posicao: number, idade?: {minimo, maximo, nenhuma?} }
+ */
+
+/**
+ * Campos aceitos e o que cada um filtra (texto usado também na ajuda e nos erros)
+ */
+const CAMPOS_CONSULTA = {
+    nome: 'nome do contato (sem acentos, pelo início das palavras)',
+    tel: 'trecho do telefone, com ou sem formatação',
+    ddd: 'DDD de um telefone brasileiro',
+    email: 'trecho do e-mail',
+    idade: 'idade: 30, >30, >=30, <30, <=30, 20..30 ou nenhuma',
+    cidade: 'cidade de um endereço',
+    uf: 'UF de um endereço (sigla)',
+    empresa: 'nome da empresa',
+    cargo: 'cargo',
+    tag: 'nome da tag',
+    favorito: 'sim ou nao'
+};
+
+/**
+ * Operadores lógicos (sempre em maiúsculas, para não confundir com nomes: "Ana E Silva" ≠ "ana e silva")
+ */
+const OPERADORES = { E: 'e', AND: 'e', OU: 'ou', OR: 'ou' };
+
+/**
+ * Erro de sintaxe na consulta: vira 400 { erro, posicao } na API
+ */
+class ErroConsulta extends Error {
+    /**
+     * @param {string} mensagem - Descrição do problema
+     * @param {number} posicao - Índice (0-based) no texto digitado
+     */
+    constructor(mensagem, posicao) {
+        super(mensagem);
+        this.name = 'ErroConsulta';
+        this.posicao = posicao;
+    }
+}
+
+/**
+ * Indica se o texto é um número de telefone (ou trecho), formatado ou não: só dígitos,
+ * espaços e + ( ) - .
+ * Os parênteses do DDD não podem virar agrupamento: "(11) 3456-7890" seria dividido em
+ * termos que bateriam com telefones diferentes do mesmo contato
+ *
+ * @param {string} texto - Termo da pesquisa
+ * @returns {boolean}
+ */
+function ehNumeroTelefone(texto) {
+    return /\d/.test(texto) && /^[\d\s()+.\-]+$/.test(texto);
+}
+
+/**
+ * Indica se o texto usa a sintaxe estruturada (campo:, parênteses, aspas ou E/OU)
+ * ou mistura palavras só de letras com palavras só de dígitos ("Ana 11"): a busca
+ * simples escolheria nome OU telefone pelo termo todo, então cada palavra vira um termo
+ * Demais termos continuam na busca simples (com ranking do FTS)
+ *
+ * @param {string} texto - Termo da pesquisa
+ * @returns {boolean}
+ */
+function ehConsultaEstruturada(texto) {
+    if (ehNumeroTelefone(texto.trim())) return false;
+
+    const palavras = texto.trim().split(/\s+/);
+    const misturaLetrasEDigitos = palavras.some(palavra => /\p{L}/u.test(palavra) && !/\d/.test(palavra))
+        && palavras.some(palavra => /\d/.test(palavra) && !/\p{L}/u.test(palavra));
+
+    return /(^|[\s(])[a-z]+:/i.test(texto)
+        || /[()"]/.test(texto)
+        || /(^|\s)(E|AND|OU|OR)(\s|$)/.test(texto)
+        || misturaLetrasEDigitos;
+}
+
+// ============================================
+// ANÁLISE LÉXICA
+// ============================================
+
+/**
+ * Lê um texto entre aspas a partir de "inicio" (posição da aspa de abertura)
+ *
+ * @returns {{valor: string, fim: number}} fim = posição logo após a aspa de fechamento
+ */
+function lerAspas(texto, inicio) {
+    const fechamento = texto.indexOf('"', inicio + 1);
+    if (fechamento === -1) throw new ErroConsulta('Aspas sem fechamento', inicio);
+    return { valor: texto.slice(inicio + 1, fechamento), fim: fechamento + 1 };
+}
+
+/**
+ * Separa a consulta em tokens: parênteses, operadores e termos (com ou sem campo)
+ *
+ * @param {string} texto - Consulta digitada
+ * @returns {Array<{tipo: string, posicao: number, campo?: string|null, valor?: string, operador?: string}>}
+ */
+function separarTokens(texto) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < texto.length) {
+        const caractere = texto[i];
+        if (/\s/.test(caractere)) { i++; continue; }
+
+        if (caractere === '(' || caractere === ')') {
+            tokens.push({ tipo: caractere, posicao: i });
+            i++;
+            continue;
+        }
+
+        if (caractere === '"') {
+            const { valor, fim } = lerAspas(texto, i);
+            tokens.push({ tipo: 'termo', campo: null, valor, posicao: i });
+            i = fim;
+            continue;
+        }
+
+        const inicio = i;
+        while (i < texto.length && !/[\s()"]/.test(texto[i])) i++;
+        const palavra = texto.slice(inicio, i);
+
+        if (OPERADORES[palavra]) {
+            tokens.push({ tipo: 'operador', operador: OPERADORES[palavra], posicao: inicio });
+            continue;
+        }
+
+        const comCampo = palavra.match(/^([a-zA-Z]+):(.*)$/);
+        if (!comCampo) {
+            tokens.push({ tipo: 'termo', campo: null, valor: palavra, posicao: inicio });
+            continue;
+        }
+
+        const campo = comCampo[1].toLowerCase();
+        if (!CAMPOS_CONSULTA[campo]) {
+            throw new ErroConsulta(`Campo desconhecido: ${comCampo[1]} (use ${Object.keys(CAMPOS_CONSULTA).join(', ')})`, inicio);
+        }
+
+        let valor = comCampo[2];
+        if (!valor && texto[i] === '"') {
+            const aspas = lerAspas(texto, i);
+            valor = aspas.valor;
+            i = aspas.fim;
+        }
+        if (!valor.trim()) throw new ErroConsulta(`Informe um valor para ${campo}:`, inicio);
+
+        tokens.push({ tipo: 'termo', campo, valor: valor.trim(), posicao: inicio });
+    }
+
+    return tokens;
+}
+
+// ============================================
+// ANÁLISE SINTÁTICA
+// ============================================
+
+/**
+ * Interpreta idade:VALOR como intervalo de idades (limites inclusivos; null = sem limite)
+ * idade:nenhuma procura contatos sem data de nascimento
+ *
+ * @param {string} valor - "30", ">30", ">=30", "<30", "<=30", "=30", "20..30" ou "nenhuma"
+ * @param {number} posicao - Posição do termo (para o erro)
+ * @returns {{minimo: number|null, maximo: number|null, nenhuma?: boolean}}
+ */
+function lerIdade(valor, posicao) {
+    if (valor.toLowerCase() === 'nenhuma') return { minimo: null, maximo: null, nenhuma: true };
+
+    const intervalo = valor.match(/^(\d{1,3})\.\.(\d{1,3})$/);
+    if (intervalo) {
+        const [minimo, maximo] = [Number(intervalo[1]), Number(intervalo[2])];
+        if (minimo > maximo) throw new ErroConsulta(`Intervalo de idade invertido: ${valor}`, posicao);
+        return { minimo, maximo };
+    }
+
+    const comparacao = valor.match(/^(>=|<=|>|<|=)?(\d{1,3})$/);
+    if (!comparacao) {
+        throw new ErroConsulta(`Idade inválida: "${valor}" (use idade:30, idade:>30, idade:<=40, idade:20..30 ou idade:nenhuma)`, posicao);
+    }
+
+    const numero = Number(comparacao[2]);
+    switch (comparacao[1]) {
+        case '>': return { minimo: numero + 1, maximo: null };
+        case '>=': return { minimo: numero, maximo: null };
+        case '<': return { minimo: null, maximo: numero - 1 };
+        case '<=': return { minimo: null, maximo: numero };
+        default: return { minimo: numero, maximo: numero };
+    }
+}
+
+/**
+ * Interpreta a consulta estruturada
+ *
+ * Gramática (E tem precedência sobre OU):
+ *   ou     := e ( OU e )*
+ *   e      := fator ( E? fator )*
+ *   fator  := "(" ou ")" | termo
+ *
+ * @param {string} texto - Consulta digitada
+ * @returns {Object} Árvore da consulta (ver cabeçalho)
+ * @throws {ErroConsulta} Consulta vazia ou malformada
+ */
+function analisarConsulta(texto) {
+    const tokens = separarTokens(texto);
+    if (tokens.length === 0) throw new ErroConsulta('Consulta vazia', 0);
+
+    let atual = 0;
+    const proximo = () => tokens[atual];
+    const fimDoTexto = texto.length;
+
+    function lerOu() {
+        const itens = [lerE()];
+        while (proximo() && proximo().tipo === 'operador' && proximo().operador === 'ou') {
+            atual++;
+            itens.push(lerE());
+        }
+        return itens.length === 1 ? itens[0] : { tipo: 'ou', itens };
+    }
+
+    function lerE() {
+        const itens = [lerFator()];
+        while (proximo() && proximo().tipo !== ')' && !(proximo().tipo === 'operador' && proximo().operador === 'ou')) {
+            if (proximo().tipo === 'operador') atual++; // E explícito
+            itens.push(lerFator());
+        }
+        return itens.length === 1 ? itens[0] : { tipo: 'e', itens };
+    }
+
+    function lerFator() {
+        const token = proximo();
+        if (!token) throw new ErroConsulta('Consulta termina sem o termo esperado', fimDoTexto);
+
+        if (token.tipo === '(') {
+            atual++;
+            const interno = lerOu();
+            if (!proximo() || proximo().tipo !== ')') throw new ErroConsulta('Parêntese sem fechamento', token.posicao);
+            atual++;
+            return interno;
+        }
+        if (token.tipo === ')') throw new ErroConsulta('Parêntese ")" sem abertura ou vazio', token.posicao);
+        if (token.tipo === 'operador') {
+            throw new ErroConsulta(`Operador ${token.operador.toUpperCase()} sem termo antes ou depois`, token.posicao);
+        }
+
+        atual++;
+        const termo = { tipo: 'termo', campo: token.campo, valor: token.valor, posicao: token.posicao };
+        if (termo.campo === 'idade') termo.idade = lerIdade(termo.valor, termo.posicao);
+        return termo;
+    }
+
+    const arvore = lerOu();
+    if (atual < tokens.length) {
+        throw new ErroConsulta('Parêntese ")" sem abertura', tokens[atual].posicao);
+    }
+    return arvore;
+}
+
+module.exports = { CAMPOS_CONSULTA, ErroConsulta, ehNumeroTelefone, ehConsultaEstruturada, analisarConsulta };
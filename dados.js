@@ -0,0 +1,154 @@
+/*
+ * ============================================
+ * AGENDA TELEFÔNICA - Acesso a Dados e Transações
+ * ============================================
+ *
+ * PROPÓSITO:
+ * Camada promise-based usada pelos handlers de server.js que gravam em
+ * várias tabelas (criar, atualizar e excluir contatos, telefones avulsos).
+ *
+ * POR QUE EXISTE:
+ * - POST/PUT inseriam o contato e depois disparavam INSERTs independentes:
+ *   uma falha no meio deixava o contato sem telefones (ou com parte deles)
+ * - Callbacks aninhados tornavam inviável desfazer o que já tinha sido gravado
+ *
+ * TRANSAÇÕES:
+ *   const id = await dados.transacao(async (tx) => {
+ *       const { lastID } = await tx.executar('INSERT INTO Contato ...', [...]);
+ *       await tx.executar('INSERT INTO Telefone ...', [lastID, ...]);
+ *       return lastID;
+ *   });
+ *
+ * - Tudo que a função gravar via "tx" é confirmado junto (COMMIT) ou desfeito
+ *   (ROLLBACK) se ela lançar erro; o erro é repassado a quem chamou
+ * - Há uma única conexão (database.js). Sem cuidado, comandos de outras
+ *   requisições que chegassem no meio da transação entrariam nela (e seriam
+ *   desfeitos junto num ROLLBACK). Por isso, enquanto uma transação está aberta,
+ *   db.run/get/all de fora dela ficam retidos e só executam depois do COMMIT/ROLLBACK
+ * - Transações rodam uma de cada vez (fila) e só começam quando os comandos
+ *   de fora já enviados terminaram
+ * - Dentro da transação use SEMPRE "tx" e não aninhe dados.transacao():
+ *   o comando ficaria esperando a própria transação terminar
+ */
+
+const db = require('./database');
+
+// ============================================
+// CONEXÃO COMPARTILHADA
+// ============================================
+
+/**
+ * Métodos originais da conexão: usados pela transação aberta (não são retidos)
+ */
+const direto = {
+    run: db.run.bind(db),
+    get: db.get.bind(db),
+    all: db.all.bind(db)
+};
+
+/**
+ * true entre o BEGIN e o COMMIT/ROLLBACK
+ */
+let transacaoAberta = false;
+
+/**
+ * Comandos de fora da transação já enviados ao SQLite e ainda sem resposta
+ */
+let comandosEmAndamento = 0;
+
+/**
+ * Comandos de fora que chegaram durante a transação (executados ao final dela)
+ */
+const retidos = [];
+
+/**
+ * Transações esperando os comandos em andamento terminarem
+ */
+const aguardandoLivre = [];
+
+/**
+ * Substitui db.run/get/all por versões que respeitam a transação aberta
+ *
+ * Os handlers que ainda usam callbacks continuam chamando db.run(...) normalmente;
+ * o callback recebe o mesmo "this" (lastID/changes) e os mesmos argumentos.
+ *
+ * @param {string} metodo - 'run', 'get' ou 'all'
+ */
+function reterDuranteTransacao(metodo) {
+    db[metodo] = function(...args) {
+        if (transacaoAberta) {
+            retidos.push(() => db[metodo](...args));
+            return db;
+        }
+
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        comandosEmAndamento++;
+        return direto[metodo](...args, function(...resultado) {
+            comandosEmAndamento--;
+            if (comandosEmAndamento === 0) aguardandoLivre.splice(0).forEach(resolve => resolve());
+            if (callback) callback.apply(this, resultado);
+        });
+    };
+}
+
+['run', 'get', 'all'].forEach(reterDuranteTransacao);
+
+/**
+ * executar/consultar/obter fora de transações
+ */
+const compartilhada = db.criarAcesso(db);
+
+// ============================================
+// TRANSAÇÕES
+// ============================================
+
+/**
+ * Fim da última transação enfileirada: a próxima só começa depois dela
+ */
+let fila = Promise.resolve();
+
+/**
+ * Executa "trabalho" dentro de uma transação
+ *
+ * @param {Function} trabalho - async (tx) => resultado; tx = { executar, consultar, obter }
+ * @returns {Promise<*>} Resultado de "trabalho", depois do COMMIT
+ * @throws Erro lançado por "trabalho" (ou pelo banco), depois do ROLLBACK
+ */
+function transacao(trabalho) {
+    const execucao = fila.then(async () => {
+        await db.pronto;
+        while (comandosEmAndamento > 0) {
+            await new Promise(resolve => aguardandoLivre.push(resolve));
+        }
+
+        transacaoAberta = true;
+        const tx = db.criarAcesso(direto);
+        try {
+            await tx.executar('BEGIN IMMEDIATE');
+            try {
+                const resultado = await trabalho(tx);
+                await tx.executar('COMMIT');
+                return resultado;
+            } catch (err) {
+                await tx.executar('ROLLBACK').catch(() => {});
+                throw err;
+            }
+        } finally {
+            transacaoAberta = false;
+            retidos.splice(0).forEach(executar => executar());
+        }
+    });
+    fila = execucao.catch(() => {});
+    return execucao;
+}
+
+// ============================================
+// EXPORTAÇÃO DO MÓDULO
+// ============================================
+
+module.exports = {
+    executar: compartilhada.executar,
+    consultar: compartilhada.consultar,
+    obter: compartilhada.obter,
+    transacao
+};
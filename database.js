@@ -51,16 +51,29 @@
  *    - Precisa ser ativado explicitamente em cada conexão
  *    - Garante que DELETE CASCADE funcione corretamente
  * 
+ * 5. Por que migrações versionadas?
+ *    - CREATE TABLE IF NOT EXISTS não altera tabelas que já existem
+ *    - Novas colunas/tabelas precisam chegar a bancos agenda.db antigos
+ *    - Cada migração roda uma única vez, dentro de uma transação
+ *    - A tabela schema_version registra quais versões já foram aplicadas
+ * 
  * FLUXO DE INICIALIZAÇÃO:
  * 1. Conecta ao arquivo agenda.db (cria se não existir)
  * 2. Ativa PRAGMA foreign_keys (integridade referencial)
- * 3. Cria tabela Contato (se não existir)
- * 4. Cria tabela Telefone com FK para Contato (se não existir)
- * 5. Exporta objeto db para uso em server.js
+ * 3. Cria tabela schema_version (se não existir)
+ * 4. Aplica, em ordem, as migrações de migrations/ ainda não registradas
+ * 5. Exporta objeto db (e a Promise "pronto") para uso em server.js
+ * 
+ * MIGRAÇÕES:
+ * - Arquivos migrations/NNN_descricao.js (NNN = número da versão)
+ * - Cada arquivo exporta { descricao, up(q) }, onde q traz helpers promise-based
+ * - Nunca altere uma migração já publicada: crie uma nova com o próximo número
+ * - `npm run db:migrar` aplica pendências e mostra a versão atual do banco
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
 
 // ============================================
 // CONEXÃO COM BANCO DE DADOS
@@ -72,6 +85,11 @@ const path = require('path');
  */
 const dbPath = path.join(__dirname, 'agenda.db');
 
+/**
+ * Diretório com os scripts de migração ordenados por versão
+ */
+const migrationsDir = path.join(__dirname, 'migrations');
+
 /**
  * Cria/abre conexão com banco SQLite
  * verbose() ativa logs detalhados para debug
@@ -102,75 +120,181 @@ db.run('PRAGMA foreign_keys = ON', (err) => {
 });
 
 // ============================================
-// CRIAÇÃO DE SCHEMA (TABELAS)
+// HELPERS PROMISE-BASED (MIGRAÇÕES, MANUTENÇÃO E dados.js)
 // ============================================
 
 /**
- * serialize() garante que comandos SQL executem em sequência
- * Importante quando uma tabela depende de outra (FK)
+ * Cria os helpers promise-based sobre uma conexão sqlite3 (callbacks)
+ * 
+ * @param {{run: Function, all: Function, get: Function}} conexao - Conexão aberta (ou objeto com os mesmos métodos)
+ * @returns {{executar: Function, consultar: Function, obter: Function}}
  */
-db.serialize(() => {
-    // Reforça ativação de FKs dentro do serialize (boa prática)
-    db.run('PRAGMA foreign_keys = ON');
-
-    /**
-     * Tabela: Contato
-     * 
-     * Armazena informações básicas de cada contato
-     * 
-     * Campos:
-     * - ID: Chave primária, auto-incremento
-     * - NOME: Obrigatório, até 100 caracteres
-     * - IDADE: Opcional, número inteiro
-     */
-    db.run(`
-        CREATE TABLE IF NOT EXISTS Contato (
-            ID INTEGER PRIMARY KEY AUTOINCREMENT,
-            NOME VARCHAR(100) NOT NULL,
-            IDADE INTEGER
-        )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela Contato:', err.message);
-        } else {
-            console.log('📋 Tabela Contato verificada/criada');
+function criarAcesso(conexao) {
+    return {
+        /**
+         * Executa comando SQL sem retorno de linhas (CREATE, INSERT, UPDATE...)
+         * 
+         * @param {string} sql - Comando SQL
+         * @param {Array} params - Parâmetros do prepared statement
+         * @returns {Promise<{lastID: number, changes: number}>}
+         */
+        executar(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                conexao.run(sql, params, function(err) {
+                    if (err) reject(err);
+                    else resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            });
+        },
+
+        /**
+         * Executa consulta SQL e retorna todas as linhas
+         * 
+         * @param {string} sql - Consulta SQL
+         * @param {Array} params - Parâmetros do prepared statement
+         * @returns {Promise<Array<Object>>}
+         */
+        consultar(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                conexao.all(sql, params, (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                });
+            });
+        },
+
+        /**
+         * Executa consulta SQL e retorna a primeira linha
+         * 
+         * @param {string} sql - Consulta SQL
+         * @param {Array} params - Parâmetros do prepared statement
+         * @returns {Promise<Object|undefined>} undefined se não houver linhas
+         */
+        obter(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                conexao.get(sql, params, (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            });
+        }
+    };
+}
+
+const { executar, consultar } = criarAcesso(db);
+
+/**
+ * Trecho de UPDATE Contato que marca uma nova versão do contato (ETag, migração 018)
+ * Usado pelo servidor e por manutencao.js: toda gravação do contato precisa dele
+ */
+const SQL_NOVA_VERSAO = "VERSAO = VERSAO + 1, ATUALIZADOEM = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')";
+
+// ============================================
+// SISTEMA DE MIGRAÇÕES
+// ============================================
+
+/**
+ * Lê os arquivos de migrations/ e monta a lista ordenada por versão
+ * 
+ * Nome do arquivo define a versão: "003_emails.js" → versão 3
+ * 
+ * @returns {Array<{versao: number, arquivo: string, descricao: string, up: Function}>}
+ */
+function carregarMigracoes() {
+    const migracoes = fs.readdirSync(migrationsDir)
+        .filter(arquivo => /^\d+_.+\.js$/.test(arquivo))
+        .map(arquivo => {
+            const modulo = require(path.join(migrationsDir, arquivo));
+            return {
+                versao: parseInt(arquivo, 10),
+                arquivo,
+                descricao: modulo.descricao || arquivo,
+                up: modulo.up
+            };
+        })
+        .sort((a, b) => a.versao - b.versao);
+
+    // Versões repetidas indicam conflito entre branches: melhor falhar cedo
+    migracoes.forEach((m, i) => {
+        if (i > 0 && migracoes[i - 1].versao === m.versao) {
+            throw new Error(`Migração duplicada para a versão ${m.versao}: ${migracoes[i - 1].arquivo} e ${m.arquivo}`);
+        }
+        if (typeof m.up !== 'function') {
+            throw new Error(`Migração ${m.arquivo} não exporta a função up()`);
         }
     });
 
-    /**
-     * Tabela: Telefone
-     * 
-     * Armazena telefones associados a contatos (relação 1:N)
-     * 
-     * Campos:
-     * - ID: Chave primária, auto-incremento
-     * - IDCONTATO: FK para Contato.ID (obrigatório)
-     * - NUMERO: Telefone formatado ou não, até 16 chars
-     * 
-     * Constraints:
-     * - FOREIGN KEY: Garante que IDCONTATO existe em Contato
-     * - ON DELETE CASCADE: Deleta telefones ao deletar contato pai
-     * 
-     * Por que CASCADE é importante?
-     * - Evita registros órfãos (telefones sem dono)
-     * - Simplifica lógica de exclusão no código
-     * - Mantém consistência do banco automaticamente
-     */
-    db.run(`
-        CREATE TABLE IF NOT EXISTS Telefone (
-            ID INTEGER PRIMARY KEY AUTOINCREMENT,
-            IDCONTATO INTEGER NOT NULL,
-            NUMERO VARCHAR(16) NOT NULL,
-            FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE
+    return migracoes;
+}
+
+/**
+ * Retorna a versão atual do schema e o histórico de migrações aplicadas
+ * 
+ * @returns {Promise<{versao: number, ultimaDisponivel: number, aplicadas: Array<Object>}>}
+ */
+async function obterVersaoSchema() {
+    const aplicadas = await consultar(
+        'SELECT VERSAO, DESCRICAO, APLICADAEM FROM schema_version ORDER BY VERSAO'
+    );
+    const disponiveis = carregarMigracoes();
+    return {
+        versao: aplicadas.length > 0 ? aplicadas[aplicadas.length - 1].VERSAO : 0,
+        ultimaDisponivel: disponiveis.length > 0 ? disponiveis[disponiveis.length - 1].versao : 0,
+        aplicadas
+    };
+}
+
+/**
+ * Aplica, em ordem, todas as migrações com versão maior que a registrada
+ * 
+ * Cada migração roda em sua própria transação: se falhar, ROLLBACK desfaz
+ * as alterações parciais e a versão não é registrada (próxima inicialização
+ * tenta novamente).
+ * 
+ * @returns {Promise<number>} Versão do schema após aplicar as pendências
+ */
+async function aplicarMigracoes() {
+    await executar('PRAGMA foreign_keys = ON');
+    await executar(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            VERSAO INTEGER PRIMARY KEY,
+            DESCRICAO VARCHAR(200) NOT NULL,
+            APLICADAEM DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
         )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela Telefone:', err.message);
-        } else {
-            console.log('📞 Tabela Telefone verificada/criada');
+    `);
+
+    const [{ VERSAO: versaoAtual }] = await consultar(
+        'SELECT COALESCE(MAX(VERSAO), 0) AS VERSAO FROM schema_version'
+    );
+    const pendentes = carregarMigracoes().filter(m => m.versao > versaoAtual);
+
+    for (const migracao of pendentes) {
+        await executar('BEGIN TRANSACTION');
+        try {
+            await migracao.up({ executar, consultar });
+            await executar(
+                'INSERT INTO schema_version (VERSAO, DESCRICAO) VALUES (?, ?)',
+                [migracao.versao, migracao.descricao]
+            );
+            await executar('COMMIT');
+            console.log(`🧱 Migração ${migracao.arquivo} aplicada`);
+        } catch (err) {
+            await executar('ROLLBACK').catch(() => {});
+            err.message = `Falha na migração ${migracao.arquivo}: ${err.message}`;
+            throw err;
         }
-    });
-});
+    }
+
+    const versaoFinal = pendentes.length > 0 ? pendentes[pendentes.length - 1].versao : versaoAtual;
+    console.log(`📋 Schema do banco na versão ${versaoFinal}`);
+    return versaoFinal;
+}
+
+/**
+ * Promise resolvida quando o schema está atualizado
+ * server.js só começa a aceitar requisições depois dela
+ */
+const pronto = aplicarMigracoes();
 
 // ============================================
 // EXPORTAÇÃO DO MÓDULO
@@ -181,6 +305,37 @@ db.serialize(() => {
  * Permite que server.js importe e execute queries:
  * 
  * const db = require('./database');
- * db.all('SELECT * FROM Contato', [], callback);
+ * db.pronto.then(() => {
+ *     db.all('SELECT * FROM Contato', [], callback);
+ * });
  */
 module.exports = db;
+module.exports.pronto = pronto;
+module.exports.obterVersaoSchema = obterVersaoSchema;
+module.exports.executar = executar;
+module.exports.consultar = consultar;
+module.exports.criarAcesso = criarAcesso;
+module.exports.SQL_NOVA_VERSAO = SQL_NOVA_VERSAO;
+
+// ============================================
+// EXECUÇÃO VIA LINHA DE COMANDO
+// ============================================
+
+/**
+ * `node database.js` (ou `npm run db:migrar`):
+ * aplica migrações pendentes e lista o histórico do banco
+ */
+if (require.main === module) {
+    pronto
+        .then(obterVersaoSchema)
+        .then(({ versao, aplicadas }) => {
+            console.log(`\nVersão atual: ${versao}`);
+            aplicadas.forEach(m => console.log(`  ${String(m.VERSAO).padStart(3, '0')}  ${m.APLICADAEM}  ${m.DESCRICAO}`));
+            db.close();
+        })
+        .catch(err => {
+            console.error('❌', err.message);
+            db.close();
+            process.exit(1);
+        });
+}
@@ -0,0 +1,100 @@
+/*
+ * ============================================
+ * AGENDA TELEFÔNICA - Comandos de Manutenção
+ * ============================================
+ * 
+ * PROPÓSITO:
+ * Tarefas pontuais sobre os dados do agenda.db, executadas pela linha de
+ * comando com o servidor parado (nada aqui roda na inicialização).
+ * 
+ * POR QUE EXISTE:
+ * - Migrações mudam o schema; estes comandos corrigem dados já gravados
+ *   quando uma regra muda e o administrador decide aplicá-la ao histórico
+ * - A API já exibe os dados corrigidos na leitura, então rodar é opcional
+ * 
+ * USO:
+ *   npm run db:formatar-telefones                # regrava os telefones
+ *   npm run db:formatar-telefones -- --simular   # só mostra o que mudaria
+ * 
+ * COMANDOS:
+ * - formatar-telefones: regrava Telefone.NUMERO na máscara canônica de
+ *   shared/telefone.js ("11987654321" → "(11) 98765-4321"). Números que não
+ *   passam nas regras atuais ficam como estão e são listados no fim.
+ *   Contatos com telefone regravado ganham nova versão (ETag): um formulário
+ *   aberto antes disso recebe 412 ao salvar, em vez de gravar o número antigo.
+ */
+
+const db = require('./database');
+const Telefone = require('./shared/telefone');
+
+// ============================================
+// COMANDOS
+// ============================================
+
+/**
+ * Regrava NUMERO de todos os telefones na máscara canônica, em uma única transação
+ * 
+ * @param {{simular: boolean}} opcoes - simular: não grava, apenas lista
+ */
+async function formatarTelefones({ simular }) {
+    const telefones = await db.consultar('SELECT ID, IDCONTATO, NUMERO, E164, PAIS FROM Telefone ORDER BY ID');
+    const alterados = [];
+    const invalidos = [];
+
+    telefones.forEach(tel => {
+        const formatado = Telefone.formatar(tel.E164 || tel.NUMERO, tel.PAIS);
+        if (!formatado) invalidos.push(tel);
+        else if (formatado !== tel.NUMERO) alterados.push({ ...tel, formatado });
+    });
+
+    alterados.forEach(tel => console.log(`  #${tel.ID} (contato ${tel.IDCONTATO}): "${tel.NUMERO}" → "${tel.formatado}"`));
+
+    if (!simular && alterados.length > 0) {
+        await db.executar('BEGIN TRANSACTION');
+        try {
+            for (const tel of alterados) {
+                await db.executar('UPDATE Telefone SET NUMERO = ? WHERE ID = ?', [tel.formatado, tel.ID]);
+            }
+            for (const idContato of new Set(alterados.map(tel => tel.IDCONTATO))) {
+                await db.executar(`UPDATE Contato SET ${db.SQL_NOVA_VERSAO} WHERE ID = ?`, [idContato]);
+            }
+            await db.executar('COMMIT');
+        } catch (err) {
+            await db.executar('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    }
+
+    console.log(`\n📞 ${telefones.length} telefones: ${alterados.length} ${simular ? 'seriam regravados' : 'regravados'}, `
+        + `${telefones.length - alterados.length - invalidos.length} já no padrão, ${invalidos.length} inválidos mantidos`);
+    invalidos.forEach(tel => console.log(`  ⚠️  #${tel.ID} (contato ${tel.IDCONTATO}): "${tel.NUMERO}" — ${Telefone.motivoInvalido(tel.NUMERO, tel.PAIS)}`));
+}
+
+/**
+ * Comandos disponíveis (primeiro argumento da linha de comando)
+ */
+const COMANDOS = {
+    'formatar-telefones': formatarTelefones
+};
+
+// ============================================
+// EXECUÇÃO VIA LINHA DE COMANDO
+// ============================================
+
+const [nomeComando, ...argumentos] = process.argv.slice(2);
+const comando = COMANDOS[nomeComando];
+
+if (!comando) {
+    console.error(`❌ Comando desconhecido: ${nomeComando || '(nenhum)'} (use ${Object.keys(COMANDOS).join(', ')})`);
+    db.close();
+    process.exit(1);
+}
+
+db.pronto
+    .then(() => comando({ simular: argumentos.includes('--simular') }))
+    .then(() => db.close())
+    .catch(err => {
+        console.error('❌', err.message);
+        db.close();
+        process.exit(1);
+    });
@@ -0,0 +1,46 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 001 - Schema inicial
+ * ============================================
+ *
+ * Cria as tabelas originais da agenda (Contato e Telefone).
+ * Usa IF NOT EXISTS porque bancos criados antes do sistema de migrações
+ * já possuem essas tabelas: nesse caso a migração apenas registra a versão 1.
+ */
+
+module.exports = {
+    descricao: 'Schema inicial (Contato e Telefone)',
+
+    /**
+     * @param {Object} q - Helpers promise-based fornecidos por database.js
+     * @param {Function} q.executar - Executa um comando SQL (db.run)
+     */
+    async up({ executar }) {
+        /**
+         * Tabela: Contato
+         * - ID: Chave primária, auto-incremento
+         * - NOME: Obrigatório, até 100 caracteres
+         * - IDADE: Opcional, número inteiro
+         */
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Contato (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                NOME VARCHAR(100) NOT NULL,
+                IDADE INTEGER
+            )
+        `);
+
+        /**
+         * Tabela: Telefone (relação 1:N com Contato)
+         * - ON DELETE CASCADE: Deleta telefones ao deletar contato pai
+         */
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Telefone (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                IDCONTATO INTEGER NOT NULL,
+                NUMERO VARCHAR(16) NOT NULL,
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE
+            )
+        `);
+    }
+};
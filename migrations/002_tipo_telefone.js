@@ -0,0 +1,26 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 002 - Tipo e telefone principal
+ * ============================================
+ *
+ * Adiciona à tabela Telefone:
+ * - TIPO: rótulo do número (celular, fixo, trabalho, whatsapp, outro)
+ * - PRINCIPAL: 1 para o número preferencial do contato, 0 para os demais
+ *
+ * Telefones existentes recebem TIPO 'outro' (não há como inferir) e o
+ * primeiro número cadastrado de cada contato passa a ser o principal.
+ */
+
+module.exports = {
+    descricao: 'Tipo (rótulo) e flag de principal em Telefone',
+
+    async up({ executar }) {
+        await executar(`ALTER TABLE Telefone ADD COLUMN TIPO VARCHAR(20) NOT NULL DEFAULT 'outro'`);
+        await executar('ALTER TABLE Telefone ADD COLUMN PRINCIPAL INTEGER NOT NULL DEFAULT 0');
+
+        await executar(`
+            UPDATE Telefone SET PRINCIPAL = 1
+            WHERE ID IN (SELECT MIN(ID) FROM Telefone GROUP BY IDCONTATO)
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 003 - E-mails
+ * ============================================
+ *
+ * Cria a tabela Email (relação 1:N com Contato, igual a Telefone).
+ * ENDERECO é gravado em minúsculas, então o índice atende tanto a
+ * verificação de duplicatas quanto a pesquisa por e-mail.
+ */
+
+module.exports = {
+    descricao: 'Tabela Email (1:N com Contato)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Email (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                IDCONTATO INTEGER NOT NULL,
+                ENDERECO VARCHAR(254) NOT NULL,
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE
+            )
+        `);
+        await executar('CREATE INDEX IF NOT EXISTS idx_email_endereco ON Email(ENDERECO)');
+        await executar('CREATE INDEX IF NOT EXISTS idx_email_idcontato ON Email(IDCONTATO)');
+    }
+};
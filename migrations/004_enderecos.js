@@ -0,0 +1,34 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 004 - Endereços
+ * ============================================
+ *
+ * Cria a tabela Endereco (relação 1:N com Contato).
+ * - CEP gravado apenas com dígitos (8), formatado na saída da API
+ * - UF sempre em maiúsculas, validada contra a lista de estados em server.js
+ * - Índices em CIDADE e UF atendem a pesquisa por localidade
+ */
+
+module.exports = {
+    descricao: 'Tabela Endereco (1:N com Contato)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Endereco (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                IDCONTATO INTEGER NOT NULL,
+                LOGRADOURO VARCHAR(150) NOT NULL,
+                NUMERO VARCHAR(10),
+                COMPLEMENTO VARCHAR(60),
+                BAIRRO VARCHAR(60),
+                CIDADE VARCHAR(60) NOT NULL,
+                UF CHAR(2) NOT NULL,
+                CEP CHAR(8) NOT NULL,
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE
+            )
+        `);
+        await executar('CREATE INDEX IF NOT EXISTS idx_endereco_idcontato ON Endereco(IDCONTATO)');
+        await executar('CREATE INDEX IF NOT EXISTS idx_endereco_cidade ON Endereco(CIDADE COLLATE NOCASE)');
+        await executar('CREATE INDEX IF NOT EXISTS idx_endereco_uf ON Endereco(UF)');
+    }
+};
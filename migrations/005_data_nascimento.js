@@ -0,0 +1,31 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 005 - Data de nascimento no lugar de IDADE
+ * ============================================
+ *
+ * IDADE era um número fixo que ficava desatualizado. Agora o contato guarda
+ * DATANASCIMENTO (YYYY-MM-DD) e a idade é calculada na leitura (server.js).
+ *
+ * Idades existentes viram 01/01 do ano aproximado de nascimento
+ * (ano atual - IDADE), marcadas com NASCIMENTOAPROXIMADO = 1 para que não
+ * apareçam na lista de aniversários. A coluna IDADE é removida em seguida.
+ */
+
+module.exports = {
+    descricao: 'DATANASCIMENTO substitui IDADE em Contato',
+
+    async up({ executar }) {
+        await executar('ALTER TABLE Contato ADD COLUMN DATANASCIMENTO DATE');
+        await executar('ALTER TABLE Contato ADD COLUMN NASCIMENTOAPROXIMADO INTEGER NOT NULL DEFAULT 0');
+
+        await executar(`
+            UPDATE Contato
+            SET DATANASCIMENTO = printf('%04d-01-01', CAST(strftime('%Y', 'now', 'localtime') AS INTEGER) - IDADE),
+                NASCIMENTOAPROXIMADO = 1
+            WHERE IDADE IS NOT NULL
+        `);
+
+        // DROP COLUMN exige SQLite 3.35+ (o sqlite3 do npm embute versão mais nova)
+        await executar('ALTER TABLE Contato DROP COLUMN IDADE');
+    }
+};
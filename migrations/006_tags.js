@@ -0,0 +1,37 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 006 - Tags (grupos de contatos)
+ * ============================================
+ *
+ * Tag guarda os grupos ("Família", "Clientes"...) e ContatoTag
+ * faz a relação N:N com Contato. Excluir um contato ou uma tag
+ * remove só o vínculo (CASCADE), nunca o outro lado.
+ * CHAVE (nome em minúsculas, gerada pelo servidor) garante nomes únicos
+ * sem diferenciar maiúsculas — COLLATE NOCASE do SQLite só trata ASCII,
+ * então "FAMÍLIA" e "Família" passariam como nomes distintos.
+ */
+
+module.exports = {
+    descricao: 'Tabelas Tag e ContatoTag (N:N com Contato)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Tag (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                NOME VARCHAR(40) NOT NULL,
+                CHAVE VARCHAR(40) NOT NULL UNIQUE
+            )
+        `);
+        await executar(`
+            CREATE TABLE IF NOT EXISTS ContatoTag (
+                IDCONTATO INTEGER NOT NULL,
+                IDTAG INTEGER NOT NULL,
+                PRIMARY KEY (IDCONTATO, IDTAG),
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE,
+                FOREIGN KEY (IDTAG) REFERENCES Tag(ID) ON DELETE CASCADE
+            )
+        `);
+        // A PK já cobre buscas por IDCONTATO; o filtro por tag usa IDTAG
+        await executar('CREATE INDEX IF NOT EXISTS idx_contatotag_idtag ON ContatoTag(IDTAG)');
+    }
+};
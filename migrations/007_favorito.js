@@ -0,0 +1,16 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 007 - Contatos favoritos
+ * ============================================
+ *
+ * FAVORITO (0/1) fixa o contato no topo das listagens.
+ * Contatos existentes começam como não favoritos.
+ */
+
+module.exports = {
+    descricao: 'Coluna FAVORITO em Contato',
+
+    async up({ executar }) {
+        await executar('ALTER TABLE Contato ADD COLUMN FAVORITO INTEGER NOT NULL DEFAULT 0');
+    }
+};
@@ -0,0 +1,27 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 008 - Notas por contato
+ * ============================================
+ *
+ * Cria a tabela Nota (1:N com Contato) para o histórico de interações
+ * ("liguei na segunda, retornar na sexta").
+ * CRIADOEM é gravado em ISO 8601 UTC ("2025-11-06T12:00:00Z"): ordena como
+ * texto e o navegador converte direto para o fuso local.
+ */
+
+module.exports = {
+    descricao: 'Tabela Nota (1:N com Contato)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Nota (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                IDCONTATO INTEGER NOT NULL,
+                TEXTO VARCHAR(2000) NOT NULL,
+                CRIADOEM TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE
+            )
+        `);
+        await executar('CREATE INDEX IF NOT EXISTS idx_nota_idcontato ON Nota(IDCONTATO, CRIADOEM)');
+    }
+};
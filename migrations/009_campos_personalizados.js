@@ -0,0 +1,41 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 009 - Campos personalizados
+ * ============================================
+ *
+ * CampoPersonalizado é o cadastro (feito pelo administrador) dos atributos
+ * extras de cada equipe (CPF, código do cliente, departamento...).
+ * ValorCampo guarda o valor de cada campo por contato, sempre como texto:
+ * o TIPO do campo define a validação e a conversão na saída da API.
+ *
+ * - TIPO: texto | numero | data | selecao
+ * - OPCOES: lista JSON de opções (apenas para "selecao")
+ * - CHAVE: nome em minúsculas, impede nomes repetidos (mesmo motivo de Tag.CHAVE)
+ */
+
+module.exports = {
+    descricao: 'Tabelas CampoPersonalizado e ValorCampo',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS CampoPersonalizado (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                NOME VARCHAR(60) NOT NULL,
+                CHAVE VARCHAR(60) NOT NULL UNIQUE,
+                TIPO VARCHAR(10) NOT NULL CHECK (TIPO IN ('texto', 'numero', 'data', 'selecao')),
+                OPCOES TEXT,
+                OBRIGATORIO INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+        await executar(`
+            CREATE TABLE IF NOT EXISTS ValorCampo (
+                IDCONTATO INTEGER NOT NULL,
+                IDCAMPO INTEGER NOT NULL,
+                VALOR TEXT NOT NULL,
+                PRIMARY KEY (IDCONTATO, IDCAMPO),
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE,
+                FOREIGN KEY (IDCAMPO) REFERENCES CampoPersonalizado(ID) ON DELETE CASCADE
+            )
+        `);
+    }
+};
@@ -0,0 +1,17 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 010 - Foto do contato
+ * ============================================
+ *
+ * FOTO guarda o nome base dos arquivos gravados em fotos/
+ * (<FOTO>.jpg e <FOTO>_mini.jpg). NULL = contato sem foto.
+ * O nome muda a cada envio, então as URLs podem ser cacheadas.
+ */
+
+module.exports = {
+    descricao: 'Coluna FOTO em Contato',
+
+    async up({ executar }) {
+        await executar('ALTER TABLE Contato ADD COLUMN FOTO VARCHAR(100)');
+    }
+};
@@ -0,0 +1,27 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 011 - Empresas e cargos
+ * ============================================
+ *
+ * Empresa agrupa contatos da mesma organização (N:1 com Contato).
+ * CHAVE (nome em minúsculas) evita "ACME" e "Acme" duplicadas, como em Tag.
+ * Contato ganha IDEMPRESA (opcional) e CARGO (texto livre).
+ * Excluir uma empresa só desvincula os contatos (SET NULL).
+ */
+
+module.exports = {
+    descricao: 'Tabela Empresa e colunas IDEMPRESA/CARGO em Contato',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Empresa (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                NOME VARCHAR(100) NOT NULL,
+                CHAVE VARCHAR(100) NOT NULL UNIQUE
+            )
+        `);
+        await executar('ALTER TABLE Contato ADD COLUMN IDEMPRESA INTEGER REFERENCES Empresa(ID) ON DELETE SET NULL');
+        await executar('ALTER TABLE Contato ADD COLUMN CARGO VARCHAR(100)');
+        await executar('CREATE INDEX IF NOT EXISTS idx_contato_idempresa ON Contato(IDEMPRESA)');
+    }
+};
@@ -0,0 +1,33 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 012 - Relacionamentos entre contatos
+ * ============================================
+ *
+ * Cada vínculo é uma única linha lida nos dois sentidos:
+ * (IDCONTATO = A, IDRELACIONADO = B, TIPO = "gerente") significa
+ * "B é gerente de A" — e, visto por B, "A é subordinado de B".
+ * O servidor grava sempre na forma canônica (TIPOS_RELACIONAMENTO),
+ * então a UNIQUE impede o mesmo vínculo cadastrado pelos dois lados.
+ * Excluir qualquer um dos contatos remove o vínculo (CASCADE).
+ */
+
+module.exports = {
+    descricao: 'Tabela Relacionamento (vínculos tipados entre contatos)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS Relacionamento (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                IDCONTATO INTEGER NOT NULL,
+                IDRELACIONADO INTEGER NOT NULL,
+                TIPO VARCHAR(20) NOT NULL,
+                CHECK (IDCONTATO <> IDRELACIONADO),
+                UNIQUE (IDCONTATO, IDRELACIONADO, TIPO),
+                FOREIGN KEY (IDCONTATO) REFERENCES Contato(ID) ON DELETE CASCADE,
+                FOREIGN KEY (IDRELACIONADO) REFERENCES Contato(ID) ON DELETE CASCADE
+            )
+        `);
+        // A UNIQUE cobre buscas por IDCONTATO; o sentido inverso usa IDRELACIONADO
+        await executar('CREATE INDEX IF NOT EXISTS idx_relacionamento_idrelacionado ON Relacionamento(IDRELACIONADO)');
+    }
+};
@@ -0,0 +1,32 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 013 - Telefones em E.164
+ * ============================================
+ *
+ * E164 guarda o número normalizado ("+5511987654321") usado para comparar
+ * duplicatas e pesquisar; NUMERO continua como foi digitado (exibição).
+ * PAIS é o país do número (ISO alfa-2, padrão BR).
+ *
+ * Números existentes foram validados como brasileiros (10-11 dígitos) e são
+ * convertidos pelo mesmo módulo usado pela API (shared/telefone.js).
+ * Os que não puderem ser convertidos ficam com E164 NULL e continuam
+ * sendo comparados pelos dígitos do NUMERO.
+ */
+
+const Telefone = require('../shared/telefone');
+
+module.exports = {
+    descricao: 'Colunas E164 e PAIS em Telefone',
+
+    async up({ executar, consultar }) {
+        await executar('ALTER TABLE Telefone ADD COLUMN E164 VARCHAR(16)');
+        await executar(`ALTER TABLE Telefone ADD COLUMN PAIS CHAR(2) NOT NULL DEFAULT '${Telefone.PAIS_PADRAO}'`);
+
+        const telefones = await consultar('SELECT ID, NUMERO FROM Telefone');
+        for (const tel of telefones) {
+            const normalizado = Telefone.normalizar(tel.NUMERO);
+            if (!normalizado) continue;
+            await executar('UPDATE Telefone SET E164 = ?, PAIS = ? WHERE ID = ?', [normalizado.e164, normalizado.pais, tel.ID]);
+        }
+    }
+};
@@ -0,0 +1,31 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 014 - Número normalizado indexado
+ * ============================================
+ *
+ * NUMERONORMALIZADO guarda a chave de comparação do telefone (Telefone.chave
+ * em shared/telefone.js: dígitos do E.164, ou só os dígitos do NUMERO quando
+ * ele não pode ser convertido). Substitui a cadeia de REPLACE() sobre NUMERO,
+ * que não usava índice e deixava passar "." e "+".
+ *
+ * A API preenche a coluna em todo INSERT de telefone (inserirTelefones);
+ * aqui é feito o preenchimento único das linhas existentes.
+ * O índice inclui IDCONTATO para que a pesquisa leia só o índice.
+ */
+
+const Telefone = require('../shared/telefone');
+
+module.exports = {
+    descricao: 'Coluna NUMERONORMALIZADO indexada em Telefone',
+
+    async up({ executar, consultar }) {
+        await executar('ALTER TABLE Telefone ADD COLUMN NUMERONORMALIZADO VARCHAR(16)');
+
+        const telefones = await consultar('SELECT ID, NUMERO, PAIS FROM Telefone');
+        for (const tel of telefones) {
+            await executar('UPDATE Telefone SET NUMERONORMALIZADO = ? WHERE ID = ?', [Telefone.chave(tel.NUMERO, tel.PAIS), tel.ID]);
+        }
+
+        await executar('CREATE INDEX IF NOT EXISTS idx_telefone_numeronormalizado ON Telefone(NUMERONORMALIZADO, IDCONTATO)');
+    }
+};
@@ -0,0 +1,73 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 015 - Busca textual (FTS5)
+ * ============================================
+ *
+ * ContatoBusca é um índice FTS5 com uma linha por contato (rowid = Contato.ID)
+ * reunindo os textos pesquisáveis: nome, empresa, cargo, e-mails, cidades e notas.
+ * O tokenizador unicode61 com remove_diacritics ignora acentos e maiúsculas
+ * ("joao" encontra "João") e o bm25() permite ordenar por relevância.
+ *
+ * Triggers mantêm o índice em dia: qualquer alteração em Contato, Email,
+ * Endereco, Nota ou no nome da Empresa refaz a linha do(s) contato(s) afetado(s).
+ * Excluir o contato remove a linha dele (trg_contato_busca_del).
+ */
+
+/**
+ * Insere em ContatoBusca as linhas dos contatos que atendem ao filtro
+ *
+ * @param {string} filtro - Condição sobre "c" (Contato), ex: "c.ID = NEW.IDCONTATO"
+ * @returns {string} INSERT ... SELECT
+ */
+function indexar(filtro) {
+    return `
+        INSERT INTO ContatoBusca (rowid, NOME, EMPRESA, CARGO, EMAILS, CIDADES, NOTAS)
+        SELECT c.ID, c.NOME,
+               (SELECT emp.NOME FROM Empresa emp WHERE emp.ID = c.IDEMPRESA),
+               c.CARGO,
+               (SELECT GROUP_CONCAT(e.ENDERECO, ' ') FROM Email e WHERE e.IDCONTATO = c.ID),
+               (SELECT GROUP_CONCAT(en.CIDADE, ' ') FROM Endereco en WHERE en.IDCONTATO = c.ID),
+               (SELECT GROUP_CONCAT(n.TEXTO, ' ') FROM Nota n WHERE n.IDCONTATO = c.ID)
+        FROM Contato c WHERE ${filtro};`;
+}
+
+/**
+ * Refaz as linhas de ContatoBusca dos contatos que atendem ao filtro
+ *
+ * @param {string} filtro - Condição sobre "c" (Contato)
+ * @returns {string} Comandos para o corpo de um trigger
+ */
+function reindexar(filtro) {
+    return `
+        DELETE FROM ContatoBusca WHERE rowid IN (SELECT c.ID FROM Contato c WHERE ${filtro});
+        ${indexar(filtro)}`;
+}
+
+module.exports = {
+    descricao: 'Índice FTS5 ContatoBusca (sem acentos) mantido por triggers',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE VIRTUAL TABLE ContatoBusca USING fts5(
+                NOME, EMPRESA, CARGO, EMAILS, CIDADES, NOTAS,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+
+        await executar(`CREATE TRIGGER trg_contato_busca_ins AFTER INSERT ON Contato BEGIN ${reindexar('c.ID = NEW.ID')} END`);
+        await executar(`CREATE TRIGGER trg_contato_busca_upd AFTER UPDATE OF NOME, IDEMPRESA, CARGO ON Contato BEGIN ${reindexar('c.ID = NEW.ID')} END`);
+        await executar('CREATE TRIGGER trg_contato_busca_del AFTER DELETE ON Contato BEGIN DELETE FROM ContatoBusca WHERE rowid = OLD.ID; END');
+
+        // Tabelas filhas: a linha do contato dono é refeita a cada mudança
+        for (const [tabela, sufixo] of [['Email', 'email'], ['Endereco', 'endereco'], ['Nota', 'nota']]) {
+            await executar(`CREATE TRIGGER trg_${sufixo}_busca_ins AFTER INSERT ON ${tabela} BEGIN ${reindexar('c.ID = NEW.IDCONTATO')} END`);
+            await executar(`CREATE TRIGGER trg_${sufixo}_busca_upd AFTER UPDATE ON ${tabela} BEGIN ${reindexar('c.ID IN (OLD.IDCONTATO, NEW.IDCONTATO)')} END`);
+            await executar(`CREATE TRIGGER trg_${sufixo}_busca_del AFTER DELETE ON ${tabela} BEGIN ${reindexar('c.ID = OLD.IDCONTATO')} END`);
+        }
+
+        await executar(`CREATE TRIGGER trg_empresa_busca_upd AFTER UPDATE OF NOME ON Empresa BEGIN ${reindexar('c.IDEMPRESA = NEW.ID')} END`);
+
+        // Contatos já cadastrados
+        await executar(indexar('1 = 1'));
+    }
+};
@@ -0,0 +1,21 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 016 - Data de cadastro do contato
+ * ============================================
+ *
+ * CRIADOEM guarda quando o contato foi cadastrado, no mesmo formato de
+ * Nota.CRIADOEM (ISO 8601 UTC), para ordenar a listagem por data de cadastro.
+ *
+ * ALTER TABLE não aceita DEFAULT com função, então a API grava o valor no
+ * INSERT. Contatos já existentes ficam com NULL (data desconhecida): na
+ * ordenação eles contam como os mais antigos, desempatados pelo ID.
+ */
+
+module.exports = {
+    descricao: 'Coluna CRIADOEM em Contato',
+
+    async up({ executar }) {
+        await executar('ALTER TABLE Contato ADD COLUMN CRIADOEM TEXT');
+        await executar('CREATE INDEX IF NOT EXISTS idx_contato_criadoem ON Contato(CRIADOEM, ID)');
+    }
+};
@@ -0,0 +1,34 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 017 - Pesquisas salvas (listas inteligentes)
+ * ============================================
+ *
+ * PesquisaSalva guarda um termo e filtros de pesquisa sob um nome
+ * ("Clientes DDD 21" = termo "tag:clientes ddd:21"). Só os critérios ficam
+ * gravados: os contatos da lista são calculados a cada consulta pela mesma
+ * lógica de GET /api/contatos/pesquisar.
+ *
+ * CHAVE (nome em minúsculas) garante nomes únicos, como em Tag.
+ * A lista filtrada por uma tag é excluída junto com a tag (CASCADE): sem o
+ * filtro ela passaria a mostrar outros contatos.
+ */
+
+module.exports = {
+    descricao: 'Tabela PesquisaSalva (termo e filtros com nome)',
+
+    async up({ executar }) {
+        await executar(`
+            CREATE TABLE IF NOT EXISTS PesquisaSalva (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                NOME VARCHAR(60) NOT NULL,
+                CHAVE VARCHAR(60) NOT NULL UNIQUE,
+                TERMO VARCHAR(200) NOT NULL DEFAULT '',
+                UF CHAR(2),
+                IDTAG INTEGER,
+                FAVORITOS INTEGER NOT NULL DEFAULT 0,
+                CRIADOEM TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+                FOREIGN KEY (IDTAG) REFERENCES Tag(ID) ON DELETE CASCADE
+            )
+        `);
+    }
+};
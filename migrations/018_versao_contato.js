@@ -0,0 +1,22 @@
+/*
+ * ============================================
+ * MIGRAÇÃO 018 - Versão do contato (concorrência otimista)
+ * ============================================
+ *
+ * VERSAO é incrementada a cada alteração do contato (dados, telefones, e-mails,
+ * endereços, tags ou campos) e vira o ETag de GET /api/contatos/:id. PUT, PATCH
+ * e DELETE exigem o cabeçalho If-Match com esse ETag: se outra pessoa salvou
+ * antes, a versão mudou e a API responde 412 em vez de sobrescrever.
+ *
+ * ATUALIZADOEM (ISO 8601 UTC, como CRIADOEM) registra a última alteração;
+ * contatos existentes começam na versão 1, com ATUALIZADOEM NULL.
+ */
+
+module.exports = {
+    descricao: 'Colunas VERSAO e ATUALIZADOEM em Contato',
+
+    async up({ executar }) {
+        await executar('ALTER TABLE Contato ADD COLUMN VERSAO INTEGER NOT NULL DEFAULT 1');
+        await executar('ALTER TABLE Contato ADD COLUMN ATUALIZADOEM TEXT');
+    }
+};
@@ -17,7 +17,7 @@
  * 1. Estado Global: variáveis que armazenam dados da sessão
  * 2. Funções de UI: manipulação do DOM e feedbacks visuais
  * 3. Funções de API: comunicação com servidor via REST
- * 4. Validação: regras de negócio no cliente (10-11 dígitos, duplicatas)
+ * 4. Validação: regras de negócio no cliente (telefone por país via shared/telefone.js, duplicatas)
  * 5. CRUD: Criar, Ler, Atualizar, Deletar contatos
  * 6. Event Listeners: reações a ações do usuário
  * 
@@ -29,7 +29,19 @@
 // ESTADO GLOBAL DA APLICAÇÃO
 // ============================================
 let contatoEditandoId = null; // ID do contato sendo editado (null = modo criação)
+let etagEditando = null;      // ETag da versão aberta no formulário (If-Match do PUT)
 let detalhesAberto = null;    // ID do card expandido com detalhes
+let idadeAproximadaEditando = null; // Idade do contato editado quando a data é aproximada (migrada de IDADE)
+let tagsDisponiveis = [];     // Tags cadastradas (GET /api/tags)
+let camposPersonalizados = []; // Definições de campos personalizados (GET /api/campos)
+let fotoContatoEditando = null; // Contato em edição ({ NOME, MINIATURA }) para o preview da foto
+let fotoRemovida = false;      // Usuário pediu para remover a foto atual
+let agruparPorEmpresa = false; // Grade de contatos agrupada por empresa
+let sugestoesPesquisa = [];   // "Você quis dizer" da última busca sem resultados
+let contatosExibidos = [];    // Contatos na grade (páginas já carregadas ou resultado da pesquisa)
+let paginacaoContatos = null; // Listagem paginada atual ({ params, total, carregando }); null = resultado de pesquisa
+let observadorPaginacao = null; // IntersectionObserver da rolagem infinita
+let pesquisasSalvas = [];     // Listas salvas da barra lateral (GET /api/pesquisas)
 // Controle de buscas e loading para evitar flickering/loops
 let currentSearchController = null; // AbortController da busca atual
 let searchLoadingTimer = null;      // Timer para exibir overlay com atraso
@@ -56,10 +68,108 @@ function hideSearchLoading() {
 // ============================================
 
 /**
- * Normaliza número de telefone removendo caracteres não-numéricos
+ * Normaliza número de telefone para E.164 (mesma regra do servidor, via shared/telefone.js)
+ * Números inválidos caem para apenas os dígitos, para que ainda possam ser comparados
+ * 
+ * @param {string} str - Número como digitado
+ * @param {string} pais - País do número quando digitado sem "+" (padrão BR)
+ */
+function normalizarTelefone(str, pais = Telefone.PAIS_PADRAO) {
+    const normalizado = Telefone.normalizar(str, pais);
+    return normalizado ? normalizado.e164 : Telefone.somenteDigitos(str);
+}
+
+/**
+ * Escapa texto livre antes de inserir via innerHTML (endereços, etc.)
+ */
+function escaparHtml(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Siglas dos estados brasileiros (mesma lista de UFS_BRASIL em server.js)
+ */
+const UFS_BRASIL = [
+    'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+/**
+ * Valida formato de CEP: 8 dígitos, com ou sem hífen (mesma regra de validarCep em server.js)
+ */
+function cepValido(cep) {
+    return /^\d{2}\.?\d{3}-?\d{3}$/.test(cep);
+}
+
+/**
+ * Valida formato de e-mail (mesma regra de validarEmail em server.js)
+ */
+function emailValido(email) {
+    return email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Tipos de telefone aceitos pela API (mesma lista de TIPOS_TELEFONE em server.js)
+ */
+const TIPOS_TELEFONE = [
+    { valor: 'celular', rotulo: 'Celular' },
+    { valor: 'fixo', rotulo: 'Fixo' },
+    { valor: 'trabalho', rotulo: 'Trabalho' },
+    { valor: 'whatsapp', rotulo: 'WhatsApp' },
+    { valor: 'outro', rotulo: 'Outro' }
+];
+
+/**
+ * Rótulo legível de um tipo de telefone ("whatsapp" → "WhatsApp")
+ */
+function rotuloTipoTelefone(tipo) {
+    const encontrado = TIPOS_TELEFONE.find(t => t.valor === tipo);
+    return encontrado ? encontrado.rotulo : tipo;
+}
+
+/**
+ * Tipos de relacionamento (mesmas chaves de TIPOS_RELACIONAMENTO em server.js)
+ * O tipo descreve o outro contato: "gerente" = o outro é gerente deste
+ */
+const TIPOS_RELACIONAMENTO = [
+    { valor: 'conjuge', rotulo: 'Cônjuge' },
+    { valor: 'familiar', rotulo: 'Familiar' },
+    { valor: 'socio', rotulo: 'Sócio(a)' },
+    { valor: 'gerente', rotulo: 'Gerente' },
+    { valor: 'subordinado', rotulo: 'Subordinado(a)' },
+    { valor: 'assistente', rotulo: 'Assistente' },
+    { valor: 'assistido', rotulo: 'Assessorado(a)' }
+];
+
+/**
+ * Rótulo legível de um tipo de relacionamento ("conjuge" → "Cônjuge")
+ */
+function rotuloRelacionamento(tipo) {
+    const encontrado = TIPOS_RELACIONAMENTO.find(t => t.valor === tipo);
+    return encontrado ? encontrado.rotulo : tipo;
+}
+
+/**
+ * Converte "YYYY-MM-DD" para "DD/MM/YYYY" (exibição)
+ */
+function formatarDataBr(iso) {
+    if (!iso) return '';
+    const [ano, mes, dia] = iso.split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/**
+ * Texto de idade do card: "~" indica idade aproximada (migrada do antigo campo IDADE)
  */
-function normalizarTelefone(str) {
-    return str.replace(/\D/g, '');
+function descreverIdade(contato) {
+    if (contato.IDADE === undefined || contato.IDADE === null) return '';
+    if (contato.NASCIMENTOAPROXIMADO) return `~${contato.IDADE} anos`;
+    return `${contato.IDADE} anos · ${formatarDataBr(contato.DATANASCIMENTO)}`;
 }
 
 // ============================================
@@ -101,9 +211,13 @@ function mostrarCarregando(mostrar) {
  */
 function ensureErrorPlaceholders() {
     const map = [
+        { inputId: 'foto', errorId: 'fotoError' },
         { inputId: 'nome', errorId: 'nomeError' },
-        { inputId: 'idade', errorId: 'idadeError' },
-        { inputId: 'telefones', errorId: 'telefonesError' }
+        { inputId: 'dataNascimento', errorId: 'dataNascimentoError' },
+        { inputId: 'telefones', errorId: 'telefonesError' },
+        { inputId: 'emails', errorId: 'emailsError' },
+        { inputId: 'enderecos', errorId: 'enderecosError' },
+        { inputId: 'camposPersonalizados', errorId: 'camposError' }
     ];
     map.forEach(({ inputId, errorId }) => {
         const input = document.getElementById(inputId);
@@ -135,7 +249,320 @@ function clearFieldError(elementId) {
 }
 
 function clearAllErrors() {
-    ['nomeError', 'idadeError', 'telefonesError'].forEach(id => clearFieldError(id));
+    ['fotoError', 'nomeError', 'dataNascimentoError', 'telefonesError', 'emailsError', 'enderecosError', 'camposError'].forEach(id => clearFieldError(id));
+}
+
+// ============================================
+// FOTO E AVATAR DO CONTATO
+// ============================================
+
+const TIPOS_FOTO = ['image/jpeg', 'image/png', 'image/webp'];
+const LIMITE_FOTO_BYTES = 5 * 1024 * 1024; // mesmo limite do servidor
+
+// Cores do avatar com iniciais (classes completas para o Tailwind encontrá-las)
+const CORES_AVATAR = [
+    'bg-blue-600', 'bg-emerald-600', 'bg-amber-600', 'bg-rose-600',
+    'bg-violet-600', 'bg-cyan-600', 'bg-orange-600', 'bg-teal-600'
+];
+
+/**
+ * Iniciais do nome: primeira letra do primeiro e do último nome
+ * Ex: "João da Silva" → "JS"
+ */
+function iniciaisNome(nome) {
+    const partes = String(nome || '').trim().split(/\s+/).filter(Boolean);
+    if (partes.length === 0) return '?';
+    const primeira = partes[0][0];
+    const ultima = partes.length > 1 ? partes[partes.length - 1][0] : '';
+    return (primeira + ultima).toLocaleUpperCase('pt-BR');
+}
+
+/**
+ * Cor estável derivada do nome: o mesmo contato tem sempre a mesma cor
+ */
+function corAvatar(nome) {
+    let hash = 0;
+    for (const letra of String(nome || '')) {
+        hash = (hash * 31 + letra.codePointAt(0)) >>> 0;
+    }
+    return CORES_AVATAR[hash % CORES_AVATAR.length];
+}
+
+/**
+ * HTML do avatar: miniatura da foto ou círculo colorido com as iniciais
+ *
+ * @param {{NOME: string, MINIATURA?: string|null}} contato
+ * @param {string} tamanho - Classes de tamanho do Tailwind
+ */
+function avatarContato(contato, tamanho = 'w-12 h-12') {
+    if (contato.MINIATURA) {
+        return `<img src="${escaparHtml(contato.MINIATURA)}" alt="" class="${tamanho} rounded-full object-cover flex-shrink-0">`;
+    }
+    return `
+        <div class="${tamanho} ${corAvatar(contato.NOME)} rounded-full flex items-center justify-center flex-shrink-0 text-white font-bold select-none" aria-hidden="true">
+            ${escaparHtml(iniciaisNome(contato.NOME))}
+        </div>
+    `;
+}
+
+/**
+ * Atualiza o preview da foto no formulário
+ * Prioridade: arquivo recém-escolhido → foto atual (se não removida) → iniciais
+ */
+function renderizarFotoFormulario() {
+    const preview = document.getElementById('fotoPreview');
+    if (!preview) return;
+
+    const input = document.getElementById('foto');
+    const arquivo = input && input.files && input.files[0];
+    const nome = document.getElementById('nome')?.value || fotoContatoEditando?.NOME || '';
+    const atual = fotoContatoEditando && !fotoRemovida ? fotoContatoEditando.MINIATURA : null;
+
+    preview.innerHTML = avatarContato({
+        NOME: nome,
+        MINIATURA: arquivo ? URL.createObjectURL(arquivo) : atual
+    }, 'w-16 h-16');
+
+    const btnRemover = document.getElementById('btnRemoverFoto');
+    if (btnRemover) btnRemover.classList.toggle('hidden', !arquivo && !atual);
+}
+
+/**
+ * Valida o arquivo escolhido (tipo e tamanho) antes do envio
+ */
+function selecionarFoto() {
+    const input = document.getElementById('foto');
+    const arquivo = input.files[0];
+    clearFieldError('fotoError');
+
+    if (arquivo && !TIPOS_FOTO.includes(arquivo.type)) {
+        setFieldError('fotoError', 'Formato inválido. Use JPEG, PNG ou WebP');
+        input.value = '';
+    } else if (arquivo && arquivo.size > LIMITE_FOTO_BYTES) {
+        setFieldError('fotoError', 'A foto deve ter no máximo 5MB');
+        input.value = '';
+    }
+    renderizarFotoFormulario();
+}
+
+/**
+ * Descarta o arquivo escolhido ou marca a foto atual para remoção
+ * (a remoção só é aplicada ao salvar)
+ */
+function removerFotoFormulario() {
+    const input = document.getElementById('foto');
+    if (input && input.files && input.files[0]) {
+        input.value = '';
+    } else {
+        fotoRemovida = true;
+    }
+    renderizarFotoFormulario();
+}
+
+/**
+ * Aplica a foto do formulário ao contato já salvo
+ * Endpoints: POST / DELETE /api/v2/contatos/:id/foto
+ * Falha no envio não desfaz o contato salvo
+ *
+ * @returns {Promise<string|null>} Mensagem de erro, ou null se deu certo
+ */
+async function enviarFotoFormulario(id) {
+    const input = document.getElementById('foto');
+    const arquivo = input && input.files && input.files[0];
+
+    try {
+        let resposta = null;
+        if (arquivo) {
+            const formData = new FormData();
+            formData.append('foto', arquivo);
+            resposta = await fetch(`/api/v2/contatos/${id}/foto`, { method: 'POST', body: formData });
+        } else if (fotoRemovida && fotoContatoEditando?.MINIATURA) {
+            resposta = await fetch(`/api/v2/contatos/${id}/foto`, { method: 'DELETE' });
+        }
+
+        if (resposta && !resposta.ok) {
+            const erro = await resposta.json();
+            return erro.erro || 'Erro ao salvar foto';
+        }
+        return null;
+    } catch (erro) {
+        console.error('Erro ao salvar foto:', erro);
+        return 'Erro ao salvar foto';
+    }
+}
+
+// ============================================
+// LINHAS DE TELEFONE DO FORMULÁRIO
+// ============================================
+
+/**
+ * Adiciona uma linha (país + número + tipo + principal) ao campo de telefones
+ * 
+ * @param {{NUMERO?: string, TIPO?: string, PRINCIPAL?: boolean, PAIS?: string}} telefone - Valores iniciais (opcional)
+ */
+function adicionarLinhaTelefone(telefone = {}) {
+    const container = document.getElementById('telefones');
+    if (!container) return;
+
+    const linha = document.createElement('div');
+    linha.className = 'telefone-linha flex gap-2 items-center';
+    linha.innerHTML = `
+        <select aria-label="País do telefone" title="País do número (ou digite +DDI)"
+            class="telefone-pais w-24 px-2 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all">
+            ${Object.entries(Telefone.PAISES).map(([sigla, p]) => `<option value="${sigla}" title="${p.nome}">${sigla} +${p.ddi}</option>`).join('')}
+        </select>
+        <input type="tel" placeholder="Ex: (11) 98765-4321" aria-label="Número de telefone"
+            class="telefone-numero flex-1 min-w-0 px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all">
+        <select aria-label="Tipo do telefone"
+            class="telefone-tipo px-3 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all">
+            ${TIPOS_TELEFONE.map(t => `<option value="${t.valor}">${t.rotulo}</option>`).join('')}
+        </select>
+        <label class="flex items-center gap-1 text-xs text-slate-300 cursor-pointer" title="Telefone principal">
+            <input type="radio" name="telefonePrincipal" class="telefone-principal accent-blue-500">
+            <span class="hidden sm:inline">Principal</span>
+        </label>
+        <button type="button" aria-label="Remover telefone"
+            class="telefone-remover text-slate-400 hover:text-red-400 p-2 rounded-lg hover:bg-slate-700 transition-colors">
+            <i data-lucide="x" class="w-4 h-4"></i>
+        </button>`;
+
+    linha.querySelector('.telefone-pais').value = telefone.PAIS || Telefone.PAIS_PADRAO;
+    linha.querySelector('.telefone-numero').value = telefone.NUMERO || '';
+    linha.querySelector('.telefone-tipo').value = telefone.TIPO || 'celular';
+    linha.querySelector('.telefone-principal').checked = !!telefone.PRINCIPAL;
+    linha.querySelector('.telefone-remover').onclick = () => {
+        linha.remove();
+        if (!container.querySelector('.telefone-linha')) adicionarLinhaTelefone();
+    };
+    configurarMascaraTelefone(linha);
+
+    container.appendChild(linha);
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * Máscara do campo de número (mesmas regras de shared/telefone.js usadas pelo servidor)
+ * - Enquanto digita: Telefone.mascarar, só com o cursor no fim (editar no meio não pula o cursor)
+ * - Ao sair do campo: número válido vai para a máscara canônica (Telefone.formatar)
+ * 
+ * @param {HTMLElement} linha - Linha .telefone-linha
+ */
+function configurarMascaraTelefone(linha) {
+    const campo = linha.querySelector('.telefone-numero');
+    const pais = linha.querySelector('.telefone-pais');
+
+    campo.addEventListener('input', () => {
+        if (campo.selectionStart !== campo.value.length) return;
+        campo.value = Telefone.mascarar(campo.value, pais.value);
+    });
+    const formatarCompleto = () => {
+        campo.value = Telefone.formatar(campo.value, pais.value) || campo.value;
+    };
+    campo.addEventListener('blur', formatarCompleto);
+    pais.addEventListener('change', formatarCompleto);
+}
+
+/**
+ * Substitui as linhas do formulário pelos telefones informados
+ * Sempre deixa ao menos uma linha vazia para digitação
+ * 
+ * @param {Array<Object>} telefones - Telefones no formato v2 ({ NUMERO, TIPO, PRINCIPAL })
+ */
+function preencherTelefonesFormulario(telefones) {
+    const container = document.getElementById('telefones');
+    if (!container) return;
+    container.querySelectorAll('.telefone-linha').forEach(linha => linha.remove());
+    if (telefones.length === 0) {
+        adicionarLinhaTelefone({ PRINCIPAL: true });
+    } else {
+        telefones.forEach(tel => adicionarLinhaTelefone(tel));
+    }
+}
+
+/**
+ * Lê as linhas preenchidas do formulário
+ * 
+ * @returns {Array<{numero: string, tipo: string, principal: boolean, pais: string}>} Linhas com número (vazias ignoradas)
+ */
+function lerTelefonesFormulario() {
+    return Array.from(document.querySelectorAll('#telefones .telefone-linha'))
+        .map(linha => ({
+            numero: linha.querySelector('.telefone-numero').value.trim(),
+            tipo: linha.querySelector('.telefone-tipo').value,
+            principal: linha.querySelector('.telefone-principal').checked,
+            pais: linha.querySelector('.telefone-pais').value
+        }))
+        .filter(tel => tel.numero);
+}
+
+// ============================================
+// ENDEREÇOS DO FORMULÁRIO
+// ============================================
+
+/**
+ * Adiciona um bloco de endereço (CEP, logradouro, número, complemento, bairro, cidade, UF)
+ * 
+ * @param {Object} endereco - Valores iniciais no formato da API (opcional)
+ */
+function adicionarLinhaEndereco(endereco = {}) {
+    const container = document.getElementById('enderecos');
+    if (!container) return;
+
+    const classeInput = 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-sm';
+    const bloco = document.createElement('div');
+    bloco.className = 'endereco-linha grid grid-cols-6 gap-2 p-3 bg-slate-900/40 rounded-lg border border-slate-700';
+    bloco.innerHTML = `
+        <input type="text" data-campo="cep" placeholder="CEP" inputmode="numeric" maxlength="10" aria-label="CEP" class="col-span-2 ${classeInput}">
+        <input type="text" data-campo="logradouro" placeholder="Logradouro" aria-label="Logradouro" class="col-span-3 ${classeInput}">
+        <input type="text" data-campo="numero" placeholder="Nº" aria-label="Número" class="col-span-1 ${classeInput}">
+        <input type="text" data-campo="complemento" placeholder="Complemento" aria-label="Complemento" class="col-span-3 ${classeInput}">
+        <input type="text" data-campo="bairro" placeholder="Bairro" aria-label="Bairro" class="col-span-3 ${classeInput}">
+        <input type="text" data-campo="cidade" placeholder="Cidade" aria-label="Cidade" class="col-span-3 ${classeInput}">
+        <select data-campo="uf" aria-label="UF" class="col-span-2 ${classeInput}">
+            <option value="">UF</option>
+            ${UFS_BRASIL.map(uf => `<option value="${uf}">${uf}</option>`).join('')}
+        </select>
+        <button type="button" aria-label="Remover endereço"
+            class="endereco-remover col-span-1 text-slate-400 hover:text-red-400 rounded-lg hover:bg-slate-700 transition-colors flex items-center justify-center">
+            <i data-lucide="trash-2" class="w-4 h-4"></i>
+        </button>`;
+
+    bloco.querySelectorAll('[data-campo]').forEach(campo => {
+        campo.value = endereco[campo.dataset.campo.toUpperCase()] || '';
+    });
+    bloco.querySelector('.endereco-remover').onclick = () => bloco.remove();
+
+    container.appendChild(bloco);
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * Substitui os blocos de endereço do formulário
+ * 
+ * @param {Array<Object>} enderecos - Endereços no formato da API
+ */
+function preencherEnderecosFormulario(enderecos) {
+    const container = document.getElementById('enderecos');
+    if (!container) return;
+    container.innerHTML = '';
+    enderecos.forEach(e => adicionarLinhaEndereco(e));
+}
+
+/**
+ * Lê os blocos de endereço do formulário (blocos totalmente vazios são ignorados)
+ * 
+ * @returns {Array<Object>} Endereços no formato do body da API
+ */
+function lerEnderecosFormulario() {
+    return Array.from(document.querySelectorAll('#enderecos .endereco-linha'))
+        .map(bloco => {
+            const endereco = {};
+            bloco.querySelectorAll('[data-campo]').forEach(campo => {
+                endereco[campo.dataset.campo] = campo.value.trim();
+            });
+            return endereco;
+        })
+        .filter(e => Object.values(e).some(valor => valor));
 }
 
 // ============================================
@@ -143,32 +570,163 @@ function clearAllErrors() {
 // ============================================
 
 /**
- * Busca todos os contatos da API
- * Endpoint: GET /api/contatos
+ * Acrescenta os filtros de tag e favoritos aos parâmetros da listagem/pesquisa
+ * 
+ * @param {URLSearchParams} params
+ * @returns {URLSearchParams}
+ */
+function aplicarFiltrosLista(params) {
+    const tag = document.getElementById('filtroTag')?.value;
+    if (tag) params.set('tag', tag);
+    if (document.getElementById('filtroFavoritos')?.getAttribute('aria-pressed') === 'true') {
+        params.set('favoritos', '1');
+    }
+    return params;
+}
+
+const TAMANHO_PAGINA = 30; // Contatos por página da listagem (rolagem infinita)
+
+/**
+ * Busca uma página da listagem e guarda o total (cabeçalho X-Total-Count)
+ * 
+ * @param {Object} paginacao - Listagem paginada (paginacaoContatos)
+ * @param {number} deslocamento - Quantos contatos pular
+ * @returns {Promise<Array<Object>>}
+ */
+async function buscarPaginaContatos(paginacao, deslocamento) {
+    const params = new URLSearchParams(paginacao.params);
+    params.set('limite', TAMANHO_PAGINA);
+    params.set('deslocamento', deslocamento);
+    const resposta = await fetch(`/api/v2/contatos?${params}`);
+    if (!resposta.ok) throw new Error(`HTTP ${resposta.status}`);
+    paginacao.total = Number(resposta.headers.get('X-Total-Count')) || 0;
+    return resposta.json();
+}
+
+/**
+ * Busca a primeira página de contatos (respeitando os filtros de tag e favoritos e a ordenação escolhida)
+ * Endpoint: GET /api/v2/contatos?limite=30&deslocamento=0&ordenar=nome&direcao=asc&tag=ID&favoritos=1
+ * As páginas seguintes vêm de carregarMaisContatos() ao rolar a lista
  */
 async function carregarContatos() {
+    const params = aplicarFiltrosLista(new URLSearchParams());
+    const [ordenar, direcao] = (document.getElementById('ordenacaoContatos')?.value || '').split(':');
+    if (ordenar) {
+        params.set('ordenar', ordenar);
+        params.set('direcao', direcao);
+    }
+
+    const paginacao = { params, total: 0, carregando: true };
+    paginacaoContatos = paginacao;
     try {
-        const resposta = await fetch('/api/contatos');
-        const contatos = await resposta.json();
+        const contatos = await buscarPaginaContatos(paginacao, 0);
+        // Filtros/ordenação mudaram (ou houve pesquisa) durante a requisição
+        if (paginacaoContatos !== paginacao) return;
         renderizarContatos(contatos);
     } catch (erro) {
         console.error('Erro ao carregar contatos:', erro);
         mostrarToast('Erro ao carregar contatos', 'erro');
+    } finally {
+        paginacao.carregando = false;
+        atualizarPaginacao();
+    }
+}
+
+/**
+ * Acrescenta a próxima página da listagem à grade (sem redesenhar os cards já exibidos)
+ * Chamada pela rolagem infinita e pelo botão "Carregar mais"
+ */
+async function carregarMaisContatos() {
+    const paginacao = paginacaoContatos;
+    if (!paginacao || paginacao.carregando || contatosExibidos.length >= paginacao.total) return;
+
+    paginacao.carregando = true;
+    try {
+        const contatos = await buscarPaginaContatos(paginacao, contatosExibidos.length);
+        if (paginacaoContatos !== paginacao) return;
+        renderizarContatos(contatos, true);
+    } catch (erro) {
+        console.error('Erro ao carregar mais contatos:', erro);
+        mostrarToast('Erro ao carregar mais contatos', 'erro');
+    } finally {
+        paginacao.carregando = false;
+        atualizarPaginacao();
+    }
+}
+
+/**
+ * Atualiza o total ao lado do título e mostra "Carregar mais" enquanto faltarem páginas
+ */
+function atualizarPaginacao() {
+    const total = document.getElementById('totalContatos');
+    const mais = document.getElementById('maisContatos');
+    const quantidade = paginacaoContatos ? paginacaoContatos.total : contatosExibidos.length;
+    const restantes = paginacaoContatos ? paginacaoContatos.total - contatosExibidos.length : 0;
+
+    if (total) total.textContent = `(${quantidade} ${quantidade === 1 ? 'contato' : 'contatos'})`;
+    if (!mais) return;
+    mais.classList.toggle('hidden', restantes <= 0);
+
+    // Observar de novo refaz a verificação: se a página coube inteira na tela, a próxima já é pedida
+    if (observadorPaginacao && restantes > 0) {
+        observadorPaginacao.unobserve(mais);
+        observadorPaginacao.observe(mais);
+    }
+}
+
+/**
+ * Busca os aniversários do período selecionado e renderiza o painel
+ * Endpoint: GET /api/aniversarios?dias=N
+ */
+async function carregarAniversarios() {
+    const lista = document.getElementById('listaAniversarios');
+    if (!lista) return;
+    const dias = document.getElementById('diasAniversarios')?.value || 30;
+
+    try {
+        const resposta = await fetch(`/api/aniversarios?dias=${dias}`);
+        const aniversarios = await resposta.json();
+
+        if (aniversarios.length === 0) {
+            lista.innerHTML = `<li class="py-3 text-slate-400 text-sm">Nenhum aniversário nos próximos ${dias} dias</li>`;
+            return;
+        }
+
+        lista.innerHTML = aniversarios.map(a => `
+            <li class="py-3 flex items-center justify-between gap-3 cursor-pointer hover:bg-slate-700/40 rounded-lg px-2"
+                onclick="editarContato(${a.ID})">
+                <div>
+                    <p class="text-white font-medium">${escaparHtml(a.NOME)}</p>
+                    <p class="text-slate-400 text-sm">${formatarDataBr(a.PROXIMOANIVERSARIO)} · faz ${a.IDADEAFAZER} anos</p>
+                </div>
+                <span class="text-xs px-2 py-0.5 rounded-full ${a.DIASATE === 0 ? 'bg-blue-500/20 text-blue-300' : 'bg-slate-700 text-slate-300'}">
+                    ${a.DIASATE === 0 ? 'Hoje' : a.DIASATE === 1 ? 'Amanhã' : `em ${a.DIASATE} dias`}
+                </span>
+            </li>
+        `).join('');
+    } catch (erro) {
+        console.error('Erro ao carregar aniversários:', erro);
     }
 }
 
 /**
- * Busca contatos que correspondem ao termo de pesquisa
- * Endpoint: GET /api/contatos/pesquisar?termo=XXX
+ * Busca contatos que correspondem ao termo de pesquisa (e aos filtros de UF, tag e favoritos)
+ * Endpoint: GET /api/v2/contatos/pesquisar?termo=XXX&uf=YY&tag=ID&favoritos=1
+ * Sem resultados para um termo de texto, pede sugestões à busca aproximada ("você quis dizer")
  */
 async function pesquisarContatos() {
     const termo = document.getElementById('termoPesquisa').value.trim();
+    const filtroUf = document.getElementById('filtroUf');
+    const uf = filtroUf ? filtroUf.value : '';
     
-    if (!termo) {
+    if (!termo && !uf) {
         carregarContatos();
         return;
     }
 
+    // Pesquisa vem inteira (ordenada por relevância): encerra a listagem paginada
+    paginacaoContatos = null;
+
     try {
         // Cancela qualquer busca anterior para evitar respostas fora de ordem
         if (currentSearchController) {
@@ -180,7 +738,11 @@ async function pesquisarContatos() {
         // Mostra overlay apenas se a requisição demorar (evita piscar)
         showSearchLoadingDelayed(200);
 
-        const resposta = await fetch(`/api/contatos/pesquisar?termo=${encodeURIComponent(termo)}` , { signal });
+        const params = new URLSearchParams();
+        if (termo) params.set('termo', termo);
+        if (uf) params.set('uf', uf);
+        aplicarFiltrosLista(params);
+        const resposta = await fetch(`/api/v2/contatos/pesquisar?${params}` , { signal });
         if (!resposta.ok) {
             let erroMsg = 'Erro ao pesquisar contatos';
             try {
@@ -193,6 +755,12 @@ async function pesquisarContatos() {
         const contatos = await resposta.json();
         const lista = Array.isArray(contatos) ? contatos : [];
         renderizarContatos(lista);
+
+        if (lista.length === 0 && termo && !/[\d@]/.test(termo) && !ehConsultaEstruturada(termo)) {
+            params.set('modo', 'aproximado');
+            const respostaSugestoes = await fetch(`/api/v2/contatos/pesquisar?${params}`, { signal });
+            if (respostaSugestoes.ok) renderizarSugestoes(await respostaSugestoes.json());
+        }
     } catch (erro) {
         if (erro && erro.name === 'AbortError') {
             // Busca anterior cancelada – ignore
@@ -207,57 +775,163 @@ async function pesquisarContatos() {
     }
 }
 
+/**
+ * Mostra "Você quis dizer" abaixo da lista vazia, com a semelhança de cada nome
+ * 
+ * @param {Array<Object>} sugestoes - Contatos da busca aproximada (com PONTUACAO)
+ */
+function renderizarSugestoes(sugestoes) {
+    const lista = document.getElementById('listaContatos');
+    sugestoesPesquisa = sugestoes;
+    if (!lista || sugestoes.length === 0) return;
+
+    const bloco = document.createElement('div');
+    bloco.id = 'sugestoesPesquisa';
+    bloco.className = 'col-span-full text-center -mt-6 pb-8';
+    bloco.innerHTML = `
+        <p class="text-slate-400 mb-3">Você quis dizer:</p>
+        <div class="flex flex-wrap justify-center gap-2">
+            ${sugestoes.map(contato => `
+                <button type="button" onclick="aplicarSugestao(${contato.ID})"
+                    class="px-3 py-1.5 rounded-full bg-slate-700 hover:bg-slate-600 text-white text-sm transition-colors"
+                    title="${Math.round(contato.PONTUACAO * 100)}% parecido">
+                    ${escaparHtml(contato.NOME)}
+                    <span class="text-xs text-slate-400 ml-1">${Math.round(contato.PONTUACAO * 100)}%</span>
+                </button>
+            `).join('')}
+        </div>`;
+    lista.appendChild(bloco);
+}
+
+/**
+ * Pesquisa pelo nome sugerido (corrige o termo digitado)
+ * 
+ * @param {number} id - ID do contato sugerido
+ */
+function aplicarSugestao(id) {
+    const sugestao = sugestoesPesquisa.find(contato => contato.ID === id);
+    if (!sugestao) return;
+    document.getElementById('termoPesquisa').value = sugestao.NOME;
+    pesquisarContatos();
+}
+
+/**
+ * Indica se o termo usa a sintaxe de consulta por campos (mesma regra de consulta.js no servidor)
+ * Consultas estruturadas não recebem sugestões da busca aproximada
+ */
+function ehConsultaEstruturada(termo) {
+    // Número de telefone formatado ("(11) 3456-7890"): os parênteses não agrupam
+    if (/\d/.test(termo) && /^[\d\s()+.\-]+$/.test(termo.trim())) return false;
+
+    const palavras = termo.trim().split(/\s+/);
+    const misturaLetrasEDigitos = palavras.some(palavra => /\p{L}/u.test(palavra) && !/\d/.test(palavra))
+        && palavras.some(palavra => /\d/.test(palavra) && !/\p{L}/u.test(palavra));
+
+    return /(^|[\s(])[a-z]+:/i.test(termo)
+        || /[()"]/.test(termo)
+        || /(^|\s)(E|AND|OU|OR)(\s|$)/.test(termo)
+        || misturaLetrasEDigitos;
+}
+
+/**
+ * Abre/fecha a ajuda da sintaxe de pesquisa (botão "?" no campo de busca)
+ * 
+ * @param {boolean} [aberta] - Força o estado; sem argumento, alterna
+ */
+function alternarAjudaPesquisa(aberta) {
+    const ajuda = document.getElementById('ajudaPesquisa');
+    const botao = document.getElementById('botaoAjudaPesquisa');
+    if (!ajuda || !botao) return;
+    const mostrar = aberta !== undefined ? aberta : ajuda.classList.contains('hidden');
+    ajuda.classList.toggle('hidden', !mostrar);
+    botao.setAttribute('aria-expanded', String(mostrar));
+}
+
 /**
  * Salva ou atualiza um contato (depende se contatoEditandoId está setado)
- * Endpoint: POST /api/contatos (criar) ou PUT /api/contatos/:id (atualizar)
+ * Endpoint: POST /api/v2/contatos (criar) ou PUT /api/v2/contatos/:id (atualizar)
  * 
  * VALIDAÇÕES:
  * - Nome obrigatório
- * - Idade obrigatória e numérica
- * - Pelo menos 1 telefone
- * - Telefones devem ter 10-11 dígitos
- * - Verifica duplicatas antes de salvar
+ * - Data de nascimento (opcional) não pode ser futura nem passar de 150 anos
+ * - Pelo menos 1 telefone (com tipo e um marcado como principal)
+ * - Telefones válidos para o país da linha (BR: DDD existente e nono dígito; outros países ou "+DDI")
+ * - E-mails (opcionais) em formato válido
+ * - Endereços (opcionais) com logradouro, cidade, UF e CEP válido
+ * - Verifica duplicatas (telefones e e-mails) antes de salvar
  */
 async function salvarContato() {
     const nome = document.getElementById('nome').value.trim();
-    const idade = document.getElementById('idade').value;
-    const telefones = document.getElementById('telefones').value.trim();
+    const dataNascimento = document.getElementById('dataNascimento').value;
+    const listaTelefones = lerTelefonesFormulario();
+    // E-mails: um por linha (ou separados por vírgula), sem repetição
+    const listaEmails = Array.from(new Set(
+        document.getElementById('emails').value
+            .split(/[,\n]/)
+            .map(e => e.trim().toLowerCase())
+            .filter(e => e)
+    ));
 
     // Limpa erros anteriores e validações básicas com mensagens inline
     clearAllErrors();
     let hasError = false;
     if (!nome) { setFieldError('nomeError', 'Informe o nome completo'); hasError = true; }
-    if (!telefones) { setFieldError('telefonesError', 'Informe ao menos um telefone'); hasError = true; }
+    if (listaTelefones.length === 0) { setFieldError('telefonesError', 'Informe ao menos um telefone'); hasError = true; }
     if (hasError) { mostrarToast('Verifique os campos destacados', 'erro'); return; }
 
-    // Processar telefones (separados por vírgula ou quebra de linha) e remover duplicatas
-    const listaTelefones = telefones
-        .split(/[,\n]/)
-        .map(t => t.trim())
-        .filter(t => t);
-
-    // Deduplicate telefones com base no número normalizado (remove formatação)
+    // Deduplicate telefones com base no número normalizado (E.164: "+55 11..." e "(11)..." são o mesmo)
     const uniqueMap = new Map();
     for (const t of listaTelefones) {
-        const norm = normalizarTelefone(t);
+        const norm = normalizarTelefone(t.numero, t.pais);
         if (!norm) continue;
         if (!uniqueMap.has(norm)) uniqueMap.set(norm, t);
     }
     const listaTelefonesUnicos = Array.from(uniqueMap.values());
 
-    // Validar formato dos telefones únicos (10 ou 11 dígitos)
+    // Validar telefones únicos com as mesmas regras do servidor (país, DDD, nono dígito)
     for (const tel of listaTelefonesUnicos) {
-        const normalizado = normalizarTelefone(tel);
-        if (normalizado.length < 10 || normalizado.length > 11) {
-            setFieldError('telefonesError', `Telefone ${tel} inválido. Use 10 ou 11 dígitos.`);
+        const motivo = Telefone.motivoInvalido(tel.numero, tel.pais);
+        if (motivo) {
+            setFieldError('telefonesError', `Telefone ${tel.numero} inválido: ${motivo}.`);
             return;
         }
     }
 
+    const emailInvalido = listaEmails.find(e => !emailValido(e));
+    if (emailInvalido) {
+        setFieldError('emailsError', `E-mail ${emailInvalido} inválido.`);
+        mostrarToast('Verifique os campos destacados', 'erro');
+        return;
+    }
+
+    const listaEnderecos = lerEnderecosFormulario();
+    for (let i = 0; i < listaEnderecos.length; i++) {
+        const e = listaEnderecos[i];
+        const problema = !e.logradouro ? 'informe o logradouro'
+            : !e.cidade ? 'informe a cidade'
+            : !e.uf ? 'selecione a UF'
+            : !cepValido(e.cep) ? 'CEP inválido (use 00000-000)'
+            : null;
+        if (problema) {
+            setFieldError('enderecosError', `Endereço ${i + 1}: ${problema}.`);
+            mostrarToast('Verifique os campos destacados', 'erro');
+            return;
+        }
+    }
+
+    // Campos personalizados obrigatórios (tipos já validados pelos próprios inputs)
+    const campos = lerCamposFormulario();
+    const faltando = camposPersonalizados.find(c => c.OBRIGATORIO && !campos[c.ID]);
+    if (faltando) {
+        setFieldError('camposError', `Preencha o campo ${faltando.NOME}.`);
+        mostrarToast('Verifique os campos destacados', 'erro');
+        return;
+    }
+
     // Verificar duplicatas (apenas ao criar novo contato)
     if (!contatoEditandoId) {
         try {
-            const verificacao = await fetch('/api/telefones/verificar', {
+            const verificacao = await fetch('/api/v2/telefones/verificar', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ telefones: listaTelefonesUnicos })
@@ -272,25 +946,60 @@ async function salvarContato() {
         } catch (erro) {
             console.error('Erro ao verificar duplicatas:', erro);
         }
+
+        // E-mail já usado por outro contato: avisa no próprio campo
+        if (listaEmails.length > 0) {
+            try {
+                const verificacao = await fetch('/api/v2/emails/verificar', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ emails: listaEmails })
+                });
+                const resultado = await verificacao.json();
+
+                if (resultado.duplicatas && resultado.duplicatas.length > 0) {
+                    const existente = resultado.duplicatas[0];
+                    const repetido = listaEmails.find(e => existente.EMAILS.includes(e));
+                    setFieldError('emailsError', `E-mail ${repetido} já cadastrado para ${existente.NOME}.`);
+                    mostrarToast('E-mail já cadastrado', 'aviso');
+                    return;
+                }
+            } catch (erro) {
+                console.error('Erro ao verificar e-mails duplicados:', erro);
+            }
+        }
     }
 
-    // Validar idade se fornecida (1-150)
-    let idadeNum = null;
-    if (idade !== null && idade !== undefined && idade.toString().trim() !== '') {
-        const n = parseInt(idade);
-        if (isNaN(n) || n < 1 || n > 150) {
-            setFieldError('idadeError', 'Idade deve estar entre 1 e 150');
+    // Validar data de nascimento se fornecida (mesmas regras do servidor)
+    if (dataNascimento) {
+        const hoje = new Date();
+        const hojeIso = `${hoje.getFullYear()}-${String(hoje.getMonth() + 1).padStart(2, '0')}-${String(hoje.getDate()).padStart(2, '0')}`;
+        const limiteIso = `${String(hoje.getFullYear() - 151).padStart(4, '0')}${hojeIso.slice(4)}`;
+        if (dataNascimento > hojeIso) {
+            setFieldError('dataNascimentoError', 'Data de nascimento não pode ser futura');
+            mostrarToast('Verifique os campos destacados', 'erro');
+            return;
+        }
+        if (dataNascimento <= limiteIso) {
+            setFieldError('dataNascimentoError', 'Idade deve ser no máximo 150 anos');
             mostrarToast('Verifique os campos destacados', 'erro');
             return;
         }
-        idadeNum = n;
     }
 
     // Preparar dados para envio
     const dados = {
         nome,
-        idade: idadeNum, // opcional
-        telefones: listaTelefonesUnicos
+        dataNascimento: dataNascimento || null, // opcional
+        // Sem data real informada, reenviar a idade preserva a data aproximada existente
+        ...(!dataNascimento && idadeAproximadaEditando != null ? { idade: idadeAproximadaEditando } : {}),
+        telefones: listaTelefonesUnicos,
+        emails: listaEmails,
+        enderecos: listaEnderecos,
+        tags: lerTagsFormulario(),
+        campos,
+        empresa: document.getElementById('empresa').value.trim() || null,
+        cargo: document.getElementById('cargo').value.trim() || null
     };
 
     try {
@@ -302,24 +1011,43 @@ async function salvarContato() {
         const idParaAtualizar = (contatoEditandoId != null) ? contatoEditandoId : idHiddenVal;
 
         const url = (idParaAtualizar != null)
-            ? `/api/contatos/${idParaAtualizar}` 
-            : '/api/contatos';
+            ? `/api/v2/contatos/${idParaAtualizar}` 
+            : '/api/v2/contatos';
 
         const metodo = (idParaAtualizar != null) ? 'PUT' : 'POST';
 
+        // PUT só grava se o contato ainda estiver na versão aberta no formulário
+        const headers = { 'Content-Type': 'application/json' };
+        if (metodo === 'PUT' && etagEditando) headers['If-Match'] = etagEditando;
+
         const resposta = await fetch(url, {
             method: metodo,
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(dados)
         });
 
-        if (resposta.ok) {
-            mostrarToast(
-                contatoEditandoId ? 'Contato atualizado com sucesso!' : 'Contato cadastrado com sucesso!',
-                'sucesso'
-            );
+        if (resposta.status === 412) {
+            const conflito = await resposta.json();
+            mostrarModalConflito(conflito, resposta.headers.get('ETag'));
+        } else if (resposta.ok) {
+            // A foto só pode ser enviada depois que o contato tem ID
+            const idSalvo = idParaAtualizar ?? (await resposta.json()).id;
+            const erroFoto = await enviarFotoFormulario(idSalvo);
+
+            if (erroFoto) {
+                mostrarToast(`Contato salvo, mas a foto não foi enviada: ${erroFoto}`, 'erro');
+            } else {
+                mostrarToast(
+                    contatoEditandoId ? 'Contato atualizado com sucesso!' : 'Contato cadastrado com sucesso!',
+                    'sucesso'
+                );
+            }
             limparFormulario();
             carregarContatos();
+            carregarAniversarios();
+            carregarTags();
+            carregarEmpresas();
+            carregarPesquisasSalvas();
             fecharModalForm();
         } else {
             const erro = await resposta.json();
@@ -335,7 +1063,7 @@ async function salvarContato() {
 
 /**
  * Exclui um contato após confirmação
- * Endpoint: DELETE /api/contatos/:id
+ * Endpoint: DELETE /api/v2/contatos/:id
  * Backend registra exclusão em arquivo de log
  */
 // Modal de confirmação de exclusão (criado via JS se não existir)
@@ -355,6 +1083,7 @@ function ensureConfirmModal() {
                 <h3 class="text-xl font-bold text-white">Confirmação de Exclusão</h3>
             </div>
             <p class="text-slate-300 mb-4">Tem certeza que deseja excluir este contato? Esta ação não pode ser desfeita.</p>
+            <div id="avisoRelacionamentos" class="hidden mb-4 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/40 text-sm text-yellow-200"></div>
             <div class="flex gap-3">
                 <button id="btnConfirmDelete" class="flex-1 bg-red-600 hover:bg-red-700 text-white px-4 py-3 rounded-lg font-medium transition-colors flex items-center justify-center gap-2">
                     <i data-lucide="trash-2" class="w-4 h-4"></i>
@@ -372,11 +1101,12 @@ function ensureConfirmModal() {
     if (btnCancel) btnCancel.onclick = () => wrapper.classList.add('hidden');
 }
 
-function confirmarExcluir(id) {
+async function confirmarExcluir(id) {
     pendingDeleteId = id;
     ensureConfirmModal();
     const modal = document.getElementById('modalConfirmDelete');
     const btn = document.getElementById('btnConfirmDelete');
+    await avisarRelacionamentos(id);
     if (modal) modal.classList.remove('hidden');
     if (btn) {
         btn.onclick = async () => {
@@ -387,17 +1117,68 @@ function confirmarExcluir(id) {
     }
 }
 
+/**
+ * Lista no modal de exclusão os relacionamentos que serão removidos junto
+ * Endpoint: GET /api/v2/contatos/:id/relacionamentos
+ */
+async function avisarRelacionamentos(id) {
+    const aviso = document.getElementById('avisoRelacionamentos');
+    if (!aviso) return;
+    aviso.classList.add('hidden');
+
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/relacionamentos`);
+        const relacionamentos = resposta.ok ? await resposta.json() : [];
+        if (relacionamentos.length === 0) return;
+
+        aviso.innerHTML = `
+            <p class="font-medium mb-1">Os relacionamentos abaixo também serão removidos:</p>
+            <ul class="list-disc pl-5">
+                ${relacionamentos.map(rel => `<li>${rotuloRelacionamento(rel.TIPO)}: ${escaparHtml(rel.CONTATO.NOME)}</li>`).join('')}
+            </ul>
+        `;
+        aviso.classList.remove('hidden');
+    } catch (erro) {
+        console.error('Erro ao carregar relacionamentos:', erro);
+    }
+}
+
 async function excluirContato(id) {
     try {
         mostrarCarregando(true);
-        const resposta = await fetch(`/api/contatos/${id}`, {
-            method: 'DELETE'
+        // Exclui a versão exibida no card; se outra pessoa alterou o contato, a API recusa (412)
+        // Contato fora da listagem exibida: busca a versão atual (ETag) antes de excluir
+        const contato = contatosExibidos.find(c => c.ID === id);
+        let etag = contato ? `"${contato.VERSAO}"` : null;
+        if (!etag) {
+            const atual = await fetch(`/api/v2/contatos/${id}`);
+            etag = atual.ok ? atual.headers.get('ETag') : null;
+        }
+        if (!etag) {
+            mostrarToast('Contato não encontrado (pode já ter sido excluído)', 'aviso');
+            detalhesAberto = null;
+            pesquisarContatos();
+            return;
+        }
+
+        const resposta = await fetch(`/api/v2/contatos/${id}`, {
+            method: 'DELETE',
+            headers: { 'If-Match': etag }
         });
 
-        if (resposta.ok) {
+        if (resposta.status === 412) {
+            mostrarToast('Contato alterado por outra pessoa. Confira os dados atualizados antes de excluir', 'aviso');
+            detalhesAberto = null;
+            pesquisarContatos();
+        } else if (resposta.ok) {
             mostrarToast('Contato excluído com sucesso!', 'sucesso');
-            fecharTodosDetalhes();
-            carregarContatos();
+            // Recarrega a listagem (ou refaz a pesquisa) sem o contato excluído
+            detalhesAberto = null;
+            pesquisarContatos();
+            carregarAniversarios();
+            carregarTags();
+            carregarEmpresas();
+            carregarPesquisasSalvas();
         } else {
             mostrarToast('Erro ao excluir contato', 'erro');
         }
@@ -416,16 +1197,25 @@ async function excluirContato(id) {
 /**
  * Renderiza lista de contatos na tela
  * Cada card é expansível para mostrar telefones e ações
+ * 
+ * @param {Array<Object>} contatos - Contatos a exibir
+ * @param {boolean} [acrescentar=false] - Próxima página: só os novos cards são inseridos no fim
+ *   (no agrupamento por empresa a grade é refeita, pois os grupos mudam)
  */
-function renderizarContatos(contatos) {
+function renderizarContatos(contatos, acrescentar = false) {
     const lista = document.getElementById('listaContatos');
     
     if (!lista) {
         console.error('Elemento listaContatos não encontrado');
         return;
     }
+
+    const jaExibidos = new Set(acrescentar ? contatosExibidos.map(c => c.ID) : []);
+    const novos = contatos.filter(c => !jaExibidos.has(c.ID));
+    contatosExibidos = acrescentar ? contatosExibidos.concat(novos) : contatos;
+    atualizarPaginacao();
     
-    if (contatos.length === 0) {
+    if (contatosExibidos.length === 0) {
         lista.innerHTML = `
             <div class="col-span-full text-center py-12">
                 <i data-lucide="phone-off" class="w-16 h-16 mx-auto mb-4 text-slate-600"></i>
@@ -436,21 +1226,37 @@ function renderizarContatos(contatos) {
         return;
     }
 
-    lista.innerHTML = contatos.map(contato => `
+    const cartao = contato => `
         <div class="contato-card bg-slate-800 rounded-xl p-6 border border-slate-700 hover:border-blue-500 shadow-lg"
              onclick="alternarExpandir(${contato.ID})">
             <div class="flex items-start justify-between mb-3">
                 <div class="flex items-center space-x-3">
-                    <div class="bg-gradient-to-br from-blue-500 to-blue-700 p-3 rounded-lg">
-                        <i data-lucide="user" class="w-6 h-6 text-white"></i>
-                    </div>
+                    ${avatarContato(contato)}
                     <div>
                         <h3 class="font-bold text-xl text-white">${contato.NOME}</h3>
-                        <p class="text-slate-400 text-sm">${(contato.IDADE !== undefined && contato.IDADE !== null) ? (contato.IDADE + ' anos') : ''}</p>
+                        <p class="text-slate-400 text-sm"${contato.NASCIMENTOAPROXIMADO ? ' title="Idade aproximada"' : ''}>${descreverIdade(contato)}</p>
+                        ${contato.CARGO || contato.EMPRESA ? `
+                            <p class="text-slate-400 text-sm flex items-center gap-1">
+                                <i data-lucide="briefcase" class="w-3.5 h-3.5"></i>
+                                <span>${escaparHtml([contato.CARGO, contato.EMPRESA?.NOME].filter(Boolean).join(' · '))}</span>
+                            </p>
+                        ` : ''}
+                        ${(contato.TAGS || []).length > 0 ? `
+                            <div class="flex flex-wrap gap-1 mt-1">
+                                ${contato.TAGS.map(tag => `<span class="text-xs px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-300">${escaparHtml(tag.NOME)}</span>`).join('')}
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
-                <i data-lucide="${detalhesAberto === contato.ID ? 'chevron-up' : 'chevron-down'}" 
-                   class="w-5 h-5 text-slate-400"></i>
+                <div class="flex items-center gap-1">
+                    <button onclick="alternarFavorito(${contato.ID}); event.stopPropagation();"
+                            aria-label="${contato.FAVORITO ? 'Remover dos favoritos' : 'Marcar como favorito'}" aria-pressed="${contato.FAVORITO}"
+                            class="p-1.5 rounded-lg hover:bg-slate-700 transition-colors">
+                        <i data-lucide="star" class="w-5 h-5 ${contato.FAVORITO ? 'text-yellow-400 fill-yellow-400' : 'text-slate-500'}"></i>
+                    </button>
+                    <i data-lucide="${detalhesAberto === contato.ID ? 'chevron-up' : 'chevron-down'}" 
+                       class="w-5 h-5 text-slate-400"></i>
+                </div>
             </div>
 
             <div id="detalhes-${contato.ID}" class="${detalhesAberto === contato.ID ? '' : 'hidden'} mt-4 pt-4 border-t border-slate-700">
@@ -458,10 +1264,75 @@ function renderizarContatos(contatos) {
                     <p class="text-sm text-slate-400 font-medium mb-2">Telefones:</p>
                     ${contato.TELEFONES.map(tel => `
                         <div class="flex items-center space-x-2 text-slate-300">
-                            <i data-lucide="phone" class="w-4 h-4 text-blue-400"></i>
-                            <span>${tel}</span>
+                            <i data-lucide="${tel.TIPO === 'fixo' ? 'phone' : tel.TIPO === 'trabalho' ? 'briefcase' : tel.TIPO === 'whatsapp' ? 'message-circle' : 'smartphone'}" class="w-4 h-4 text-blue-400"></i>
+                            <span>${tel.NUMERO}</span>
+                            ${tel.PAIS && tel.PAIS !== Telefone.PAIS_PADRAO ? `<span class="text-xs text-slate-400" title="${tel.E164 || ''}">${tel.PAIS}</span>` : ''}
+                            ${tel.UF ? `<span class="text-xs text-slate-400" title="${escaparHtml(tel.REGIAO)}">${tel.LINHA === 'movel' ? 'Celular' : 'Fixo'} · ${tel.UF}</span>` : ''}
+                            <span class="text-xs px-2 py-0.5 rounded-full bg-slate-700 text-slate-300">${rotuloTipoTelefone(tel.TIPO)}</span>
+                            ${tel.PRINCIPAL ? '<span class="text-xs px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-300">Principal</span>' : ''}
                         </div>
                     `).join('')}
+                    ${contato.EMAILS.length > 0 ? `
+                        <p class="text-sm text-slate-400 font-medium mt-3 mb-2">E-mails:</p>
+                        ${contato.EMAILS.map(email => `
+                            <div class="flex items-center space-x-2 text-slate-300">
+                                <i data-lucide="mail" class="w-4 h-4 text-blue-400"></i>
+                                <a href="mailto:${email}" onclick="event.stopPropagation();" class="hover:text-blue-300 break-all">${email}</a>
+                            </div>
+                        `).join('')}
+                    ` : ''}
+                    ${camposPersonalizados.some(c => contato.CAMPOS && contato.CAMPOS[c.ID] !== undefined) ? `
+                        <p class="text-sm text-slate-400 font-medium mt-3 mb-2">Outras informações:</p>
+                        ${camposPersonalizados.filter(c => contato.CAMPOS[c.ID] !== undefined).map(c => `
+                            <p class="text-sm text-slate-300"><span class="text-slate-400">${escaparHtml(c.NOME)}:</span> ${escaparHtml(c.TIPO === 'data' ? formatarDataBr(contato.CAMPOS[c.ID]) : String(contato.CAMPOS[c.ID]))}</p>
+                        `).join('')}
+                    ` : ''}
+                    ${contato.ENDERECOS.length > 0 ? `
+                        <p class="text-sm text-slate-400 font-medium mt-3 mb-2">Endereços:</p>
+                        ${contato.ENDERECOS.map(e => `
+                            <div class="flex items-start space-x-2 text-slate-300">
+                                <i data-lucide="map-pin" class="w-4 h-4 text-blue-400 mt-0.5 shrink-0"></i>
+                                <div class="text-sm">
+                                    <p>${escaparHtml(e.LOGRADOURO)}${e.NUMERO ? ', ' + escaparHtml(e.NUMERO) : ''}${e.COMPLEMENTO ? ' - ' + escaparHtml(e.COMPLEMENTO) : ''}</p>
+                                    <p class="text-slate-400">${e.BAIRRO ? escaparHtml(e.BAIRRO) + ' - ' : ''}${escaparHtml(e.CIDADE)}/${e.UF} - CEP ${e.CEP}</p>
+                                </div>
+                            </div>
+                        `).join('')}
+                    ` : ''}
+                </div>
+
+                <!-- Relacionamentos (carregados por carregarRelacionamentos ao expandir) -->
+                <div class="mb-4" onclick="event.stopPropagation();">
+                    <p class="text-sm text-slate-400 font-medium mb-2">Relacionamentos:</p>
+                    <ul id="relacionamentos-${contato.ID}" class="space-y-1 mb-3"></ul>
+                    <div class="flex gap-2">
+                        <select id="tipoRelacionamento-${contato.ID}" aria-label="Tipo de relacionamento"
+                            class="px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                            ${TIPOS_RELACIONAMENTO.map(t => `<option value="${t.valor}">${t.rotulo}</option>`).join('')}
+                        </select>
+                        <select id="novoRelacionamento-${contato.ID}" aria-label="Contato relacionado"
+                            class="flex-1 min-w-0 px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                            <option value="">Selecione o contato</option>
+                        </select>
+                        <button onclick="adicionarRelacionamento(${contato.ID})" aria-label="Adicionar relacionamento"
+                                class="bg-slate-700 hover:bg-slate-600 text-slate-200 px-3 rounded-lg transition-colors">
+                            <i data-lucide="link" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Linha do tempo de notas (carregada por carregarNotas ao expandir) -->
+                <div class="mb-4" onclick="event.stopPropagation();">
+                    <p class="text-sm text-slate-400 font-medium mb-2">Notas:</p>
+                    <div class="flex gap-2 mb-3">
+                        <textarea id="novaNota-${contato.ID}" rows="2" maxlength="2000" placeholder="Ex: Liguei na segunda, retornar na sexta"
+                            class="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"></textarea>
+                        <button onclick="adicionarNota(${contato.ID})" aria-label="Adicionar nota"
+                                class="bg-slate-700 hover:bg-slate-600 text-slate-200 px-3 rounded-lg transition-colors">
+                            <i data-lucide="send" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                    <ol id="notas-${contato.ID}" class="space-y-2 border-l border-slate-700 pl-4"></ol>
                 </div>
                 
                 <div class="flex gap-2">
@@ -478,13 +1349,325 @@ function renderizarContatos(contatos) {
                 </div>
             </div>
         </div>
-    `).join('');
+    `;
+
+    if (acrescentar && !agruparPorEmpresa) {
+        lista.insertAdjacentHTML('beforeend', novos.map(cartao).join(''));
+        if (window.lucide) lucide.createIcons();
+        return;
+    }
+
+    lista.innerHTML = agruparPorEmpresa
+        ? agruparContatosPorEmpresa(contatosExibidos).map(grupo => `
+            <h3 class="col-span-full flex items-center gap-2 text-slate-300 font-semibold pt-2">
+                <i data-lucide="${grupo.empresa ? 'building-2' : 'user'}" class="w-5 h-5 text-blue-400"></i>
+                <span>${escaparHtml(grupo.empresa ? grupo.empresa.NOME : 'Sem empresa')}</span>
+                <span class="text-xs font-normal text-slate-500">(${grupo.contatos.length})</span>
+            </h3>
+            ${grupo.contatos.map(cartao).join('')}
+        `).join('')
+        : contatosExibidos.map(cartao).join('');
 
     if (window.lucide) lucide.createIcons();
+    if (detalhesAberto !== null && contatosExibidos.some(c => c.ID === detalhesAberto)) {
+        carregarNotas(detalhesAberto);
+        carregarRelacionamentos(detalhesAberto);
+    }
+}
+
+// ============================================
+// NOTAS - LINHA DO TEMPO DO CONTATO
+// ============================================
+
+/**
+ * Busca e renderiza as notas do contato expandido (mais recentes primeiro)
+ * Endpoint: GET /api/v2/contatos/:id/notas
+ */
+async function carregarNotas(id) {
+    const lista = document.getElementById(`notas-${id}`);
+    if (!lista) return;
+
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/notas`);
+        const notas = await resposta.json();
+
+        if (!resposta.ok || notas.length === 0) {
+            lista.innerHTML = '<li class="text-sm text-slate-500">Nenhuma nota registrada</li>';
+            return;
+        }
+
+        lista.innerHTML = notas.map(nota => `
+            <li class="relative">
+                <span class="absolute -left-[21px] top-1.5 w-2 h-2 rounded-full bg-blue-400"></span>
+                <div class="flex items-start justify-between gap-2">
+                    <p class="text-xs text-slate-400">${new Date(nota.CRIADOEM).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</p>
+                    <button onclick="excluirNota(${id}, ${nota.ID})" aria-label="Excluir nota"
+                            class="text-slate-500 hover:text-red-400 transition-colors">
+                        <i data-lucide="x" class="w-3 h-3"></i>
+                    </button>
+                </div>
+                <p class="text-sm text-slate-200 whitespace-pre-line break-words">${escaparHtml(nota.TEXTO)}</p>
+            </li>
+        `).join('');
+        if (window.lucide) lucide.createIcons();
+    } catch (erro) {
+        console.error('Erro ao carregar notas:', erro);
+    }
+}
+
+/**
+ * Registra uma nota no contato
+ * Endpoint: POST /api/v2/contatos/:id/notas
+ */
+async function adicionarNota(id) {
+    const campo = document.getElementById(`novaNota-${id}`);
+    const texto = campo ? campo.value.trim() : '';
+    if (!texto) {
+        mostrarToast('Escreva a nota antes de salvar', 'aviso');
+        return;
+    }
+
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/notas`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ texto })
+        });
+        if (!resposta.ok) {
+            const erro = await resposta.json();
+            mostrarToast(erro.erro || 'Erro ao salvar nota', 'erro');
+            return;
+        }
+        campo.value = '';
+        carregarNotas(id);
+    } catch (erro) {
+        console.error('Erro ao salvar nota:', erro);
+        mostrarToast('Erro ao salvar nota', 'erro');
+    }
+}
+
+/**
+ * Exclui uma nota do contato
+ * Endpoint: DELETE /api/v2/contatos/:id/notas/:idNota
+ */
+async function excluirNota(id, idNota) {
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/notas/${idNota}`, { method: 'DELETE' });
+        if (!resposta.ok) {
+            mostrarToast('Erro ao excluir nota', 'erro');
+            return;
+        }
+        carregarNotas(id);
+    } catch (erro) {
+        console.error('Erro ao excluir nota:', erro);
+        mostrarToast('Erro ao excluir nota', 'erro');
+    }
+}
+
+/**
+ * Carrega os relacionamentos do contato expandido e as opções de contato do formulário
+ * Endpoints: GET /api/v2/contatos/:id/relacionamentos e GET /api/contatos
+ */
+async function carregarRelacionamentos(id) {
+    const lista = document.getElementById(`relacionamentos-${id}`);
+    const select = document.getElementById(`novoRelacionamento-${id}`);
+    if (!lista) return;
+
+    try {
+        const [respostaRel, respostaContatos] = await Promise.all([
+            fetch(`/api/v2/contatos/${id}/relacionamentos`),
+            fetch('/api/contatos')
+        ]);
+        const relacionamentos = await respostaRel.json();
+        const contatos = await respostaContatos.json();
+
+        if (!respostaRel.ok || relacionamentos.length === 0) {
+            lista.innerHTML = '<li class="text-sm text-slate-500">Nenhum relacionamento</li>';
+        } else {
+            lista.innerHTML = relacionamentos.map(rel => `
+                <li class="flex items-center justify-between gap-2 text-sm">
+                    <span class="text-slate-300">
+                        <span class="text-slate-400">${rotuloRelacionamento(rel.TIPO)}:</span>
+                        <button onclick="irParaContato(${rel.CONTATO.ID})" class="text-blue-400 hover:text-blue-300 hover:underline">
+                            ${escaparHtml(rel.CONTATO.NOME)}
+                        </button>
+                    </span>
+                    <button onclick="excluirRelacionamento(${id}, ${rel.ID})" aria-label="Remover relacionamento"
+                            class="text-slate-500 hover:text-red-400 transition-colors">
+                        <i data-lucide="x" class="w-3 h-3"></i>
+                    </button>
+                </li>
+            `).join('');
+        }
+
+        if (select && respostaContatos.ok) {
+            select.innerHTML = '<option value="">Selecione o contato</option>' + contatos
+                .filter(c => c.ID !== id)
+                .sort((a, b) => a.NOME.localeCompare(b.NOME, 'pt-BR'))
+                .map(c => `<option value="${c.ID}">${escaparHtml(c.NOME)}</option>`)
+                .join('');
+        }
+        if (window.lucide) lucide.createIcons();
+    } catch (erro) {
+        console.error('Erro ao carregar relacionamentos:', erro);
+    }
+}
+
+/**
+ * Vincula o contato escolhido ao contato expandido
+ * Endpoint: POST /api/v2/contatos/:id/relacionamentos
+ */
+async function adicionarRelacionamento(id) {
+    const tipo = document.getElementById(`tipoRelacionamento-${id}`).value;
+    const idContato = parseInt(document.getElementById(`novoRelacionamento-${id}`).value);
+    if (!idContato) {
+        mostrarToast('Selecione o contato relacionado', 'aviso');
+        return;
+    }
+
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/relacionamentos`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ idContato, tipo })
+        });
+        if (!resposta.ok) {
+            const erro = await resposta.json();
+            mostrarToast(erro.erro || 'Erro ao salvar relacionamento', 'erro');
+            return;
+        }
+        carregarRelacionamentos(id);
+    } catch (erro) {
+        console.error('Erro ao salvar relacionamento:', erro);
+        mostrarToast('Erro ao salvar relacionamento', 'erro');
+    }
+}
+
+/**
+ * Remove um relacionamento (some dos dois contatos)
+ * Endpoint: DELETE /api/v2/contatos/:id/relacionamentos/:idRelacionamento
+ */
+async function excluirRelacionamento(id, idRelacionamento) {
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/relacionamentos/${idRelacionamento}`, { method: 'DELETE' });
+        if (!resposta.ok) {
+            mostrarToast('Erro ao remover relacionamento', 'erro');
+            return;
+        }
+        carregarRelacionamentos(id);
+    } catch (erro) {
+        console.error('Erro ao remover relacionamento:', erro);
+        mostrarToast('Erro ao remover relacionamento', 'erro');
+    }
+}
+
+/**
+ * Abre o card de um contato relacionado
+ * Limpa a pesquisa para que ele apareça; se os filtros ainda o esconderem, abre a edição
+ */
+async function irParaContato(id) {
+    const termo = document.getElementById('termoPesquisa');
+    if (termo) termo.value = '';
+    detalhesAberto = id;
+    await carregarContatos();
+
+    const card = document.getElementById(`detalhes-${id}`);
+    if (card) {
+        card.closest('.contato-card').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+        editarContato(id);
+    }
+}
+
+/**
+ * Marca/desmarca um contato como favorito e recarrega a lista atual
+ * Endpoint: POST /api/v2/contatos/:id/favorito
+ */
+async function alternarFavorito(id) {
+    try {
+        const resposta = await fetch(`/api/v2/contatos/${id}/favorito`, { method: 'POST' });
+        if (!resposta.ok) {
+            mostrarToast('Erro ao atualizar favorito', 'erro');
+            return;
+        }
+        // Sem termo/UF a pesquisa já recai em carregarContatos()
+        pesquisarContatos();
+        carregarPesquisasSalvas();
+    } catch (erro) {
+        console.error('Erro ao atualizar favorito:', erro);
+        mostrarToast('Erro ao atualizar favorito', 'erro');
+    }
+}
+
+/**
+ * Liga/desliga o filtro "somente favoritos" ao lado da pesquisa
+ */
+function alternarFiltroFavoritos(ativo) {
+    const botao = document.getElementById('filtroFavoritos');
+    if (!botao) return;
+    const ligado = ativo !== undefined ? ativo : botao.getAttribute('aria-pressed') !== 'true';
+    botao.setAttribute('aria-pressed', String(ligado));
+    botao.classList.toggle('bg-yellow-500/20', ligado);
+    botao.classList.toggle('text-yellow-300', ligado);
+    botao.classList.toggle('border-yellow-500', ligado);
+    if (ativo === undefined) pesquisarContatos();
+}
+
+/**
+ * Agrupa contatos por empresa (ordem alfabética; "Sem empresa" por último)
+ * Dentro de cada grupo mantém a ordem da API (favoritos primeiro)
+ *
+ * @returns {Array<{empresa: {ID, NOME}|null, contatos: Array}>}
+ */
+function agruparContatosPorEmpresa(contatos) {
+    const grupos = new Map();
+    contatos.forEach(contato => {
+        const chave = contato.EMPRESA ? contato.EMPRESA.ID : null;
+        if (!grupos.has(chave)) grupos.set(chave, { empresa: contato.EMPRESA, contatos: [] });
+        grupos.get(chave).contatos.push(contato);
+    });
+    return Array.from(grupos.values()).sort((a, b) => {
+        if (!a.empresa) return 1;
+        if (!b.empresa) return -1;
+        return a.empresa.NOME.localeCompare(b.empresa.NOME, 'pt-BR');
+    });
+}
+
+/**
+ * Liga/desliga o agrupamento da grade por empresa
+ */
+function alternarAgrupamentoEmpresa() {
+    agruparPorEmpresa = !agruparPorEmpresa;
+    const botao = document.getElementById('agruparEmpresa');
+    if (botao) {
+        botao.setAttribute('aria-pressed', String(agruparPorEmpresa));
+        botao.classList.toggle('bg-blue-500/20', agruparPorEmpresa);
+        botao.classList.toggle('text-blue-300', agruparPorEmpresa);
+        botao.classList.toggle('border-blue-500', agruparPorEmpresa);
+    }
+    pesquisarContatos();
+}
+
+/**
+ * Carrega as empresas cadastradas nas sugestões do campo Empresa
+ * Endpoint: GET /api/empresas
+ */
+async function carregarEmpresas() {
+    const lista = document.getElementById('listaEmpresas');
+    if (!lista) return;
+
+    try {
+        const resposta = await fetch('/api/empresas');
+        const empresas = await resposta.json();
+        lista.innerHTML = empresas.map(empresa => `<option value="${escaparHtml(empresa.NOME)}"></option>`).join('');
+    } catch (erro) {
+        console.error('Erro ao carregar empresas:', erro);
+    }
 }
 
 /**
  * Expande/colapsa detalhes de um card de contato
+ * Redesenha os contatos já exibidos (mantém as páginas carregadas e o resultado da pesquisa)
  */
 function alternarExpandir(id) {
     if (detalhesAberto === id) {
@@ -492,7 +1675,7 @@ function alternarExpandir(id) {
     } else {
         detalhesAberto = id;
     }
-    carregarContatos();
+    renderizarContatos(contatosExibidos);
 }
 
 /**
@@ -500,7 +1683,7 @@ function alternarExpandir(id) {
  */
 function fecharTodosDetalhes() {
     detalhesAberto = null;
-    carregarContatos();
+    renderizarContatos(contatosExibidos);
 }
 
 /**
@@ -510,12 +1693,24 @@ async function editarContato(id) {
     try {
         // Abre modal de formulário ao editar
         abrirModalForm();
-        const resposta = await fetch(`/api/contatos/${id}`);
+        const resposta = await fetch(`/api/v2/contatos/${id}`);
         const contato = await resposta.json();
+        etagEditando = resposta.headers.get('ETag');
 
     document.getElementById('nome').value = contato.NOME;
-    document.getElementById('idade').value = (contato.IDADE ?? '');
-        document.getElementById('telefones').value = contato.TELEFONES.join('\n');
+    // Data aproximada (migrada de IDADE) não é pré-preenchida: o usuário informa a real
+    document.getElementById('dataNascimento').value = contato.NASCIMENTOAPROXIMADO ? '' : (contato.DATANASCIMENTO ?? '');
+    idadeAproximadaEditando = contato.NASCIMENTOAPROXIMADO ? contato.IDADE : null;
+        preencherTelefonesFormulario(contato.TELEFONES);
+        document.getElementById('empresa').value = contato.EMPRESA ? contato.EMPRESA.NOME : '';
+        document.getElementById('cargo').value = contato.CARGO ?? '';
+        document.getElementById('emails').value = (contato.EMAILS || []).join('\n');
+        preencherEnderecosFormulario(contato.ENDERECOS || []);
+        renderizarTagsFormulario((contato.TAGS || []).map(tag => tag.ID));
+        renderizarCamposFormulario(contato.CAMPOS || {});
+        fotoContatoEditando = contato;
+        fotoRemovida = false;
+        renderizarFotoFormulario();
 
     contatoEditandoId = id;
     const hidden = document.getElementById('contatoIdHidden');
@@ -541,7 +1736,16 @@ async function editarContato(id) {
  */
 function limparFormulario() {
     document.getElementById('formContato').reset();
+    preencherTelefonesFormulario([]);
+    preencherEnderecosFormulario([]);
+    renderizarTagsFormulario([]);
+    renderizarCamposFormulario({});
+    fotoContatoEditando = null;
+    fotoRemovida = false;
+    renderizarFotoFormulario();
     contatoEditandoId = null;
+    etagEditando = null;
+    idadeAproximadaEditando = null;
     const hidden = document.getElementById('contatoIdHidden');
     if (hidden) hidden.value = '';
     document.getElementById('tituloFormulario').textContent = 'Novo Contato';
@@ -582,14 +1786,15 @@ function mostrarModalDuplicata(contatoExistente, novosNumeros) {
         <div class="space-y-2">
             <p class="font-medium text-white">
                 <i data-lucide="user" class="w-4 h-4 inline"></i>
-                ${contatoExistente.NOME} (${contatoExistente.IDADE} anos)
+                ${contatoExistente.NOME}${contatoExistente.IDADE != null ? ` (${contatoExistente.IDADE} anos)` : ''}
             </p>
             <div class="text-sm text-slate-300">
                 <p class="font-medium mb-1">Telefones cadastrados:</p>
                 ${contatoExistente.TELEFONES.map(tel => `
                     <div class="flex items-center gap-2 ml-4">
                         <i data-lucide="phone" class="w-3 h-3 text-blue-400"></i>
-                        <span>${tel}</span>
+                        <span>${tel.NUMERO}</span>
+                        <span class="text-xs text-slate-400">${rotuloTipoTelefone(tel.TIPO)}</span>
                     </div>
                 `).join('')}
             </div>
@@ -606,10 +1811,11 @@ function mostrarModalDuplicata(contatoExistente, novosNumeros) {
             modal.classList.add('hidden');
             await editarContato(contatoExistente.ID);
             
-            // Mesclar novos números com existentes
-            const telefonesExistentes = document.getElementById('telefones').value.split('\n').filter(t => t.trim());
-            const todosNumeros = [...new Set([...telefonesExistentes, ...novosNumeros])];
-            document.getElementById('telefones').value = todosNumeros.join('\n');
+            // Mesclar novos números com existentes (sem repetir o mesmo número)
+            const existentes = new Set(lerTelefonesFormulario().map(t => normalizarTelefone(t.numero, t.pais)));
+            novosNumeros
+                .filter(t => !existentes.has(normalizarTelefone(t.numero, t.pais)))
+                .forEach(t => adicionarLinhaTelefone({ NUMERO: t.numero, TIPO: t.tipo, PAIS: t.pais }));
             
             mostrarToast('Adicione os novos números e salve', 'aviso');
         };
@@ -626,6 +1832,66 @@ function fecharModalDuplicata() {
     }
 }
 
+// ============================================
+// MODAL DE CONFLITO DE EDIÇÃO
+// ============================================
+
+/**
+ * Exibe modal quando o PUT é recusado (412): outra pessoa salvou o contato
+ * depois que ele foi aberto no formulário
+ * - Recarregar: descarta o que foi digitado e abre a versão atual
+ * - Sobrescrever: salva o formulário por cima da versão atual
+ * 
+ * @param {{erro: string, versao: number, atualizadoEm: string|null}} conflito - Corpo do 412
+ * @param {string|null} etagAtual - ETag da versão atual (cabeçalho do 412)
+ */
+function mostrarModalConflito(conflito, etagAtual) {
+    const modal = document.getElementById('modalConflito');
+    const info = document.getElementById('infoConflito');
+
+    if (!modal || !info) {
+        console.error('Elementos do modal não encontrados');
+        return;
+    }
+
+    const quando = conflito.atualizadoEm
+        ? ` em ${new Date(conflito.atualizadoEm).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}`
+        : '';
+    info.textContent = `Este contato foi alterado por outra pessoa${quando}, depois que você o abriu. `
+        + 'Recarregue para ver a versão atual (suas alterações serão descartadas) ou sobrescreva com o que está no formulário.';
+
+    modal.classList.remove('hidden');
+    if (window.lucide) lucide.createIcons();
+
+    const btnRecarregar = document.getElementById('btnRecarregarConflito');
+    if (btnRecarregar) {
+        btnRecarregar.onclick = async () => {
+            modal.classList.add('hidden');
+            await editarContato(contatoEditandoId);
+            mostrarToast('Versão atual carregada', 'aviso');
+        };
+    }
+
+    const btnSobrescrever = document.getElementById('btnSobrescreverConflito');
+    if (btnSobrescrever) {
+        btnSobrescrever.onclick = async () => {
+            modal.classList.add('hidden');
+            etagEditando = etagAtual;
+            await salvarContato();
+        };
+    }
+}
+
+/**
+ * Fecha modal de conflito (o formulário continua aberto com o que foi digitado)
+ */
+function fecharModalConflito() {
+    const modal = document.getElementById('modalConflito');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
 /**
  * Exibe o formulário para criação de novo contato
  */
@@ -643,7 +1909,7 @@ function mostrarFormulario() {
 /**
  * Executado quando o DOM está pronto
  * - Força dark mode permanentemente
- * - Carrega contatos iniciais
+ * - Carrega contatos iniciais e próximos aniversários
  * - Inicializa ícones Lucide
  */
 document.addEventListener('DOMContentLoaded', () => {
@@ -652,6 +1918,30 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Carrega lista inicial de contatos
     carregarContatos();
+    carregarAniversarios();
+    carregarTags();
+    carregarCamposPersonalizados();
+    carregarEmpresas();
+    carregarPesquisasSalvas();
+    const diasAniversarios = document.getElementById('diasAniversarios');
+    if (diasAniversarios) diasAniversarios.addEventListener('change', carregarAniversarios);
+
+    // Ordenação vale para a listagem; com pesquisa ativa, refaz a pesquisa (que recai na listagem se vazia)
+    const ordenacaoContatos = document.getElementById('ordenacaoContatos');
+    if (ordenacaoContatos) ordenacaoContatos.addEventListener('change', pesquisarContatos);
+
+    // Rolagem infinita: pede a próxima página quando "Carregar mais" se aproxima da tela
+    const maisContatos = document.getElementById('maisContatos');
+    if (maisContatos && 'IntersectionObserver' in window) {
+        observadorPaginacao = new IntersectionObserver(entradas => {
+            if (entradas.some(entrada => entrada.isIntersecting)) carregarMaisContatos();
+        }, { rootMargin: '400px' });
+        observadorPaginacao.observe(maisContatos);
+    }
+
+    // Formulário começa com uma linha de telefone vazia e o avatar com iniciais
+    preencherTelefonesFormulario([]);
+    renderizarFotoFormulario();
     
     // Inicializa ícones
     if (window.lucide) {
@@ -661,11 +1951,20 @@ document.addEventListener('DOMContentLoaded', () => {
     // Garante placeholders de erro abaixo dos inputs e listeners para limpar
     ensureErrorPlaceholders();
     const nomeEl = document.getElementById('nome');
-    const idadeEl = document.getElementById('idade');
+    const dataNascimentoEl = document.getElementById('dataNascimento');
     const telefonesEl = document.getElementById('telefones');
-    if (nomeEl) nomeEl.addEventListener('input', () => clearFieldError('nomeError'));
-    if (idadeEl) idadeEl.addEventListener('input', () => clearFieldError('idadeError'));
+    if (nomeEl) nomeEl.addEventListener('input', () => {
+        clearFieldError('nomeError');
+        renderizarFotoFormulario(); // iniciais do avatar acompanham o nome
+    });
+    if (dataNascimentoEl) dataNascimentoEl.addEventListener('input', () => clearFieldError('dataNascimentoError'));
     if (telefonesEl) telefonesEl.addEventListener('input', () => clearFieldError('telefonesError'));
+    const emailsEl = document.getElementById('emails');
+    if (emailsEl) emailsEl.addEventListener('input', () => clearFieldError('emailsError'));
+    const enderecosEl = document.getElementById('enderecos');
+    if (enderecosEl) enderecosEl.addEventListener('input', () => clearFieldError('enderecosError'));
+    const camposEl = document.getElementById('camposPersonalizados');
+    if (camposEl) camposEl.addEventListener('input', () => clearFieldError('camposError'));
 
     // Busca automática com debounce (sem flood no servidor)
     const termo = document.getElementById('termoPesquisa');
@@ -680,12 +1979,24 @@ document.addEventListener('DOMContentLoaded', () => {
             if (composing) return;
             triggerSearch();
         });
+        termo.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') alternarAjudaPesquisa(false);
+        });
+
+        // Filtro por estado reaproveita a mesma busca
+        const filtroUf = document.getElementById('filtroUf');
+        if (filtroUf) {
+            filtroUf.insertAdjacentHTML('beforeend', UFS_BRASIL.map(uf => `<option value="${uf}">${uf}</option>`).join(''));
+            filtroUf.addEventListener('change', triggerSearch);
+        }
+        const filtroTag = document.getElementById('filtroTag');
+        if (filtroTag) filtroTag.addEventListener('change', triggerSearch);
 
         function triggerSearch() {
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(() => {
                 const value = termo.value.trim();
-                if (value) {
+                if (value || (filtroUf && filtroUf.value)) {
                     pesquisarContatos();
                 } else {
                     // Limpo: aborta busca anterior e volta lista completa
@@ -699,6 +2010,521 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+/**
+ * Limpa termo e filtros de UF, tag e favoritos e volta à lista completa
+ */
+function limparPesquisa() {
+    document.getElementById('termoPesquisa').value = '';
+    const filtroUf = document.getElementById('filtroUf');
+    if (filtroUf) filtroUf.value = '';
+    const filtroTag = document.getElementById('filtroTag');
+    if (filtroTag) filtroTag.value = '';
+    alternarFiltroFavoritos(false);
+    carregarContatos();
+}
+
+// ============================================
+// PESQUISAS SALVAS - LISTAS DA BARRA LATERAL
+// ============================================
+
+/**
+ * Busca as pesquisas salvas (com a contagem atual de contatos) e renderiza a barra lateral
+ * Endpoint: GET /api/pesquisas
+ */
+async function carregarPesquisasSalvas() {
+    try {
+        const resposta = await fetch('/api/pesquisas');
+        if (!resposta.ok) throw new Error(`HTTP ${resposta.status}`);
+        pesquisasSalvas = await resposta.json();
+    } catch (erro) {
+        console.error('Erro ao carregar pesquisas salvas:', erro);
+        return;
+    }
+    renderizarPesquisasSalvas();
+}
+
+/**
+ * Resume os filtros de uma lista salva (dica ao passar o mouse)
+ */
+function descreverPesquisaSalva(pesquisa) {
+    return [
+        pesquisa.TERMO,
+        pesquisa.UF && `UF ${pesquisa.UF}`,
+        pesquisa.TAG && `tag ${pesquisa.TAG.NOME}`,
+        pesquisa.FAVORITOS && 'só favoritos'
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Renderiza as listas salvas: clicar aplica a pesquisa; o contador é o total atual de contatos
+ */
+function renderizarPesquisasSalvas() {
+    const lista = document.getElementById('listaPesquisasSalvas');
+    if (!lista) return;
+
+    if (pesquisasSalvas.length === 0) {
+        lista.innerHTML = '<li class="text-sm text-slate-400">Nenhuma lista salva. Pesquise e dê um nome abaixo.</li>';
+        return;
+    }
+
+    lista.innerHTML = pesquisasSalvas.map(pesquisa => `
+        <li class="flex items-center gap-1">
+            <button type="button" onclick="aplicarPesquisaSalva(${pesquisa.ID})" title="${escaparHtml(descreverPesquisaSalva(pesquisa))}"
+                class="flex-1 min-w-0 flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-left text-slate-200 hover:bg-slate-700 transition-colors">
+                <span class="truncate">${escaparHtml(pesquisa.NOME)}</span>
+                <span class="text-xs px-2 py-0.5 rounded-full bg-slate-700 text-slate-300">${pesquisa.TOTALCONTATOS}</span>
+            </button>
+            <button type="button" onclick="excluirPesquisaSalva(${pesquisa.ID}, this)" aria-label="Excluir lista ${escaparHtml(pesquisa.NOME)}"
+                class="text-slate-500 hover:text-red-400 p-2 rounded-lg hover:bg-slate-700 transition-colors">
+                <i data-lucide="x" class="w-4 h-4"></i>
+            </button>
+        </li>
+    `).join('');
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * Coloca o termo e os filtros da lista na barra de pesquisa e pesquisa
+ * (o resultado é o mesmo de GET /api/pesquisas/:id/contatos, e o usuário pode refinar a partir dele)
+ */
+function aplicarPesquisaSalva(id) {
+    const pesquisa = pesquisasSalvas.find(p => p.ID === id);
+    if (!pesquisa) return;
+
+    document.getElementById('termoPesquisa').value = pesquisa.TERMO;
+    const filtroUf = document.getElementById('filtroUf');
+    if (filtroUf) filtroUf.value = pesquisa.UF || '';
+    const filtroTag = document.getElementById('filtroTag');
+    if (filtroTag) filtroTag.value = pesquisa.TAG ? String(pesquisa.TAG.ID) : '';
+    alternarFiltroFavoritos(pesquisa.FAVORITOS);
+    pesquisarContatos();
+}
+
+/**
+ * Salva o termo e os filtros atuais (estado, tag, favoritos) com o nome digitado
+ * Endpoint: POST /api/pesquisas
+ */
+async function salvarPesquisaAtual() {
+    const campoNome = document.getElementById('nomePesquisaSalva');
+    const nome = campoNome.value.trim();
+    if (!nome) {
+        mostrarToast('Dê um nome para a lista', 'aviso');
+        campoNome.focus();
+        return;
+    }
+
+    const corpo = {
+        nome,
+        termo: document.getElementById('termoPesquisa').value.trim(),
+        uf: document.getElementById('filtroUf')?.value || '',
+        tag: document.getElementById('filtroTag')?.value || '',
+        favoritos: document.getElementById('filtroFavoritos')?.getAttribute('aria-pressed') === 'true'
+    };
+
+    try {
+        const resposta = await fetch('/api/pesquisas', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(corpo)
+        });
+        if (!resposta.ok) {
+            const erro = await resposta.json();
+            mostrarToast(erro.erro || 'Erro ao salvar lista', 'erro');
+            return;
+        }
+        campoNome.value = '';
+        mostrarToast('Lista salva!', 'sucesso');
+        carregarPesquisasSalvas();
+    } catch (erro) {
+        console.error('Erro ao salvar lista:', erro);
+        mostrarToast('Erro ao salvar lista', 'erro');
+    }
+}
+
+/**
+ * Exclui uma lista salva; o primeiro clique só pede confirmação no próprio botão
+ * Endpoint: DELETE /api/pesquisas/:id
+ */
+async function excluirPesquisaSalva(id, botao) {
+    if (botao && !botao.dataset.confirmar) {
+        botao.dataset.confirmar = '1';
+        botao.innerHTML = '<span class="text-xs font-medium">Excluir?</span>';
+        return;
+    }
+
+    try {
+        const resposta = await fetch(`/api/pesquisas/${id}`, { method: 'DELETE' });
+        if (!resposta.ok) {
+            mostrarToast('Erro ao excluir lista', 'erro');
+            return;
+        }
+        mostrarToast('Lista excluída (contatos mantidos)', 'sucesso');
+        carregarPesquisasSalvas();
+    } catch (erro) {
+        console.error('Erro ao excluir lista:', erro);
+        mostrarToast('Erro ao excluir lista', 'erro');
+    }
+}
+
+// ============================================
+// TAGS - FILTRO, FORMULÁRIO E MODAL DE GERENCIAMENTO
+// ============================================
+
+/**
+ * Busca as tags e atualiza filtro, checkboxes do formulário e modal
+ * Endpoint: GET /api/tags
+ */
+async function carregarTags() {
+    try {
+        const resposta = await fetch('/api/tags');
+        tagsDisponiveis = await resposta.json();
+    } catch (erro) {
+        console.error('Erro ao carregar tags:', erro);
+        return;
+    }
+
+    // Filtro: mantém a seleção se a tag ainda existir
+    const filtroTag = document.getElementById('filtroTag');
+    if (filtroTag) {
+        const selecionada = filtroTag.value;
+        filtroTag.innerHTML = '<option value="">Todas as tags</option>' + tagsDisponiveis
+            .map(tag => `<option value="${tag.ID}">${escaparHtml(tag.NOME)} (${tag.TOTALCONTATOS})</option>`)
+            .join('');
+        filtroTag.value = tagsDisponiveis.some(tag => String(tag.ID) === selecionada) ? selecionada : '';
+    }
+
+    renderizarTagsFormulario(lerTagsFormulario());
+    renderizarListaTags();
+}
+
+/**
+ * Renderiza os checkboxes de tags do formulário
+ * 
+ * @param {Array<number>} selecionadas - IDs das tags marcadas
+ */
+function renderizarTagsFormulario(selecionadas) {
+    const container = document.getElementById('tagsContato');
+    if (!container) return;
+
+    if (tagsDisponiveis.length === 0) {
+        container.innerHTML = '<p class="text-sm text-slate-400">Nenhuma tag cadastrada. Crie tags em "Gerenciar tags".</p>';
+        return;
+    }
+
+    container.innerHTML = tagsDisponiveis.map(tag => `
+        <label class="flex items-center gap-2 px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-full text-sm text-slate-200 cursor-pointer">
+            <input type="checkbox" class="tag-contato" value="${tag.ID}" ${selecionadas.includes(tag.ID) ? 'checked' : ''}>
+            <span>${escaparHtml(tag.NOME)}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Lê os IDs das tags marcadas no formulário
+ * 
+ * @returns {Array<number>}
+ */
+function lerTagsFormulario() {
+    return Array.from(document.querySelectorAll('#tagsContato .tag-contato:checked'))
+        .map(input => parseInt(input.value));
+}
+
+/**
+ * Renderiza a lista do modal (renomear inline + excluir)
+ */
+function renderizarListaTags() {
+    const lista = document.getElementById('listaTags');
+    if (!lista) return;
+
+    if (tagsDisponiveis.length === 0) {
+        lista.innerHTML = '<li class="text-sm text-slate-400">Nenhuma tag cadastrada</li>';
+        return;
+    }
+
+    lista.innerHTML = tagsDisponiveis.map(tag => `
+        <li class="flex items-center gap-2">
+            <input type="text" id="nomeTag-${tag.ID}" value="${escaparHtml(tag.NOME)}" maxlength="40" aria-label="Nome da tag"
+                onkeydown="if (event.key === 'Enter') renomearTag(${tag.ID})"
+                class="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+            <span class="text-xs text-slate-400 whitespace-nowrap">${tag.TOTALCONTATOS} contato(s)</span>
+            <button type="button" onclick="renomearTag(${tag.ID})" aria-label="Renomear tag"
+                class="text-slate-300 hover:text-white p-2 rounded-lg hover:bg-slate-700 transition-colors">
+                <i data-lucide="save" class="w-4 h-4"></i>
+            </button>
+            <button type="button" onclick="excluirTag(${tag.ID}, this)" aria-label="Excluir tag"
+                class="text-red-400 hover:text-red-300 p-2 rounded-lg hover:bg-slate-700 transition-colors">
+                <i data-lucide="trash-2" class="w-4 h-4"></i>
+            </button>
+        </li>
+    `).join('');
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * Envia uma alteração de tag e recarrega tags e contatos (chips/filtro)
+ */
+async function enviarTag(url, metodo, corpo, mensagemSucesso) {
+    try {
+        const resposta = await fetch(url, {
+            method: metodo,
+            headers: { 'Content-Type': 'application/json' },
+            body: corpo ? JSON.stringify(corpo) : undefined
+        });
+        if (!resposta.ok) {
+            const erro = await resposta.json();
+            mostrarToast(erro.erro || 'Erro ao salvar tag', 'erro');
+            return false;
+        }
+        mostrarToast(mensagemSucesso, 'sucesso');
+        await carregarTags();
+        carregarContatos();
+        carregarPesquisasSalvas();
+        return true;
+    } catch (erro) {
+        console.error('Erro ao salvar tag:', erro);
+        mostrarToast('Erro ao salvar tag', 'erro');
+        return false;
+    }
+}
+
+async function criarTag() {
+    const input = document.getElementById('novaTag');
+    const nome = input.value.trim();
+    if (!nome) {
+        mostrarToast('Informe o nome da tag', 'aviso');
+        return;
+    }
+    if (await enviarTag('/api/tags', 'POST', { nome }, 'Tag criada!')) input.value = '';
+}
+
+async function renomearTag(id) {
+    const nome = document.getElementById(`nomeTag-${id}`).value.trim();
+    await enviarTag(`/api/tags/${id}`, 'PUT', { nome }, 'Tag renomeada!');
+}
+
+/**
+ * Exclui uma tag; o primeiro clique só pede confirmação no próprio botão
+ */
+async function excluirTag(id, botao) {
+    if (botao && !botao.dataset.confirmar) {
+        botao.dataset.confirmar = '1';
+        botao.innerHTML = '<span class="text-xs font-medium">Excluir?</span>';
+        return;
+    }
+    await enviarTag(`/api/tags/${id}`, 'DELETE', null, 'Tag excluída (contatos mantidos)');
+}
+
+function abrirModalTags() {
+    renderizarListaTags();
+    const modal = document.getElementById('modalTags');
+    if (modal) modal.classList.remove('hidden');
+    const input = document.getElementById('novaTag');
+    if (input) input.focus();
+}
+
+function fecharModalTags() {
+    const modal = document.getElementById('modalTags');
+    if (modal) modal.classList.add('hidden');
+}
+
+// ============================================
+// CAMPOS PERSONALIZADOS - FORMULÁRIO E CADASTRO
+// ============================================
+
+/**
+ * Busca as definições de campos e atualiza formulário e modal
+ * Endpoint: GET /api/campos
+ */
+async function carregarCamposPersonalizados() {
+    try {
+        const resposta = await fetch('/api/campos');
+        camposPersonalizados = await resposta.json();
+    } catch (erro) {
+        console.error('Erro ao carregar campos personalizados:', erro);
+        return;
+    }
+    renderizarCamposFormulario(lerCamposFormulario());
+    renderizarListaCampos();
+}
+
+/**
+ * Renderiza um input por campo personalizado no formulário (tipo define o input)
+ * 
+ * @param {Object} valores - { idCampo: valor } (CAMPOS do contato)
+ */
+function renderizarCamposFormulario(valores) {
+    const container = document.getElementById('camposPersonalizados');
+    if (!container) return;
+
+    const classeInput = 'w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+    container.innerHTML = camposPersonalizados.map(campo => {
+        const valor = valores[campo.ID] ?? '';
+        const atributos = `id="campo-${campo.ID}" data-campo-personalizado="${campo.ID}" class="${classeInput}"`;
+        const input = campo.TIPO === 'selecao'
+            ? `<select ${atributos}>
+                   <option value="">Selecione...</option>
+                   ${campo.OPCOES.map(opcao => `<option value="${escaparHtml(opcao)}" ${opcao === valor ? 'selected' : ''}>${escaparHtml(opcao)}</option>`).join('')}
+               </select>`
+            : `<input type="${campo.TIPO === 'numero' ? 'number' : campo.TIPO === 'data' ? 'date' : 'text'}" ${campo.TIPO === 'numero' ? 'step="any"' : ''}
+                   value="${escaparHtml(String(valor))}" ${atributos}>`;
+        return `
+            <div>
+                <label for="campo-${campo.ID}" class="block text-sm font-medium text-slate-300 mb-2">
+                    ${escaparHtml(campo.NOME)}${campo.OBRIGATORIO ? ' <span class="text-red-400">*</span>' : ' (opcional)'}
+                </label>
+                ${input}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Lê os campos personalizados do formulário
+ * 
+ * @returns {Object} { idCampo: valor } (vazios vão como "" e são ignorados pelo servidor)
+ */
+function lerCamposFormulario() {
+    const campos = {};
+    document.querySelectorAll('#camposPersonalizados [data-campo-personalizado]').forEach(input => {
+        campos[input.dataset.campoPersonalizado] = input.value.trim();
+    });
+    return campos;
+}
+
+/**
+ * Renderiza a lista do modal de campos (nome, opções e obrigatoriedade editáveis)
+ */
+function renderizarListaCampos() {
+    const lista = document.getElementById('listaCampos');
+    if (!lista) return;
+
+    if (camposPersonalizados.length === 0) {
+        lista.innerHTML = '<li class="text-sm text-slate-400">Nenhum campo cadastrado</li>';
+        return;
+    }
+
+    const rotulos = { texto: 'Texto', numero: 'Número', data: 'Data', selecao: 'Seleção' };
+    const classeInput = 'px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+    lista.innerHTML = camposPersonalizados.map(campo => `
+        <li class="p-3 bg-slate-900/40 rounded-lg border border-slate-700 space-y-2">
+            <div class="flex items-center gap-2">
+                <input type="text" id="nomeCampo-${campo.ID}" value="${escaparHtml(campo.NOME)}" maxlength="60" aria-label="Nome do campo"
+                    class="flex-1 min-w-0 ${classeInput}">
+                <span class="text-xs px-2 py-0.5 rounded-full bg-slate-700 text-slate-300">${rotulos[campo.TIPO]}</span>
+            </div>
+            ${campo.TIPO === 'selecao' ? `
+                <input type="text" id="opcoesCampo-${campo.ID}" value="${escaparHtml(campo.OPCOES.join(', '))}" aria-label="Opções do campo"
+                    class="w-full ${classeInput}">
+            ` : ''}
+            <div class="flex items-center gap-2">
+                <label class="flex-1 flex items-center gap-2 text-sm text-slate-300">
+                    <input type="checkbox" id="obrigatorioCampo-${campo.ID}" ${campo.OBRIGATORIO ? 'checked' : ''}>
+                    Obrigatório
+                </label>
+                <button type="button" onclick="salvarCampo(${campo.ID})" aria-label="Salvar campo"
+                    class="text-slate-300 hover:text-white p-2 rounded-lg hover:bg-slate-700 transition-colors">
+                    <i data-lucide="save" class="w-4 h-4"></i>
+                </button>
+                <button type="button" onclick="excluirCampo(${campo.ID}, this)" aria-label="Excluir campo"
+                    class="text-red-400 hover:text-red-300 p-2 rounded-lg hover:bg-slate-700 transition-colors">
+                    <i data-lucide="trash-2" class="w-4 h-4"></i>
+                </button>
+            </div>
+        </li>
+    `).join('');
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * Envia uma alteração no cadastro de campos e recarrega formulário/lista
+ */
+async function enviarCampo(url, metodo, corpo, mensagemSucesso) {
+    try {
+        const resposta = await fetch(url, {
+            method: metodo,
+            headers: { 'Content-Type': 'application/json' },
+            body: corpo ? JSON.stringify(corpo) : undefined
+        });
+        if (!resposta.ok) {
+            const erro = await resposta.json();
+            mostrarToast(erro.erro || 'Erro ao salvar campo', 'erro');
+            return false;
+        }
+        mostrarToast(mensagemSucesso, 'sucesso');
+        await carregarCamposPersonalizados();
+        carregarContatos();
+        return true;
+    } catch (erro) {
+        console.error('Erro ao salvar campo:', erro);
+        mostrarToast('Erro ao salvar campo', 'erro');
+        return false;
+    }
+}
+
+/**
+ * Converte "Vendas, TI, Financeiro" em lista de opções
+ */
+function lerOpcoesCampo(texto) {
+    return texto.split(',').map(opcao => opcao.trim()).filter(opcao => opcao);
+}
+
+async function criarCampo() {
+    const nome = document.getElementById('novoCampoNome').value.trim();
+    const tipo = document.getElementById('novoCampoTipo').value;
+    if (!nome) {
+        mostrarToast('Informe o nome do campo', 'aviso');
+        return;
+    }
+
+    const corpo = {
+        nome,
+        tipo,
+        obrigatorio: document.getElementById('novoCampoObrigatorio').checked
+    };
+    if (tipo === 'selecao') corpo.opcoes = lerOpcoesCampo(document.getElementById('novoCampoOpcoes').value);
+
+    if (await enviarCampo('/api/campos', 'POST', corpo, 'Campo criado!')) {
+        document.getElementById('novoCampoNome').value = '';
+        document.getElementById('novoCampoOpcoes').value = '';
+        document.getElementById('novoCampoObrigatorio').checked = false;
+    }
+}
+
+async function salvarCampo(id) {
+    const corpo = {
+        nome: document.getElementById(`nomeCampo-${id}`).value.trim(),
+        obrigatorio: document.getElementById(`obrigatorioCampo-${id}`).checked
+    };
+    const opcoes = document.getElementById(`opcoesCampo-${id}`);
+    if (opcoes) corpo.opcoes = lerOpcoesCampo(opcoes.value);
+    await enviarCampo(`/api/campos/${id}`, 'PUT', corpo, 'Campo atualizado!');
+}
+
+/**
+ * Exclui um campo (e os valores em todos os contatos); o primeiro clique só pede confirmação
+ */
+async function excluirCampo(id, botao) {
+    if (botao && !botao.dataset.confirmar) {
+        botao.dataset.confirmar = '1';
+        botao.innerHTML = '<span class="text-xs font-medium">Excluir?</span>';
+        return;
+    }
+    await enviarCampo(`/api/campos/${id}`, 'DELETE', null, 'Campo excluído');
+}
+
+function abrirModalCampos() {
+    renderizarListaCampos();
+    const modal = document.getElementById('modalCampos');
+    if (modal) modal.classList.remove('hidden');
+}
+
+function fecharModalCampos() {
+    const modal = document.getElementById('modalCampos');
+    if (modal) modal.classList.add('hidden');
+}
+
 // ============================================
 // EXPORTAÇÃO - MODAL E AÇÕES
 // ============================================
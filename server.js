@@ -30,20 +30,54 @@
  * ENDPOINTS:
  * GET    /api/contatos              - Lista todos contatos com telefones
  * GET    /api/contatos/:id          - Busca contato específico por ID
- * GET    /api/contatos/pesquisar    - Busca por nome ou telefone
+ * GET    /api/contatos/pesquisar    - Busca por nome, e-mail, telefone, cidade ou UF
  * POST   /api/contatos              - Cria novo contato
  * PUT    /api/contatos/:id          - Atualiza contato existente
  * DELETE /api/contatos/:id          - Exclui contato (registra em log)
  * POST   /api/telefones/verificar   - Verifica duplicatas de telefone
+ * POST   /api/emails/verificar      - Verifica duplicatas de e-mail
+ * GET    /api/aniversarios          - Aniversários dos próximos N dias
+ * GET    /api/tags                  - Lista tags (grupos) com total de contatos
+ * POST   /api/tags                  - Cria tag
+ * PUT    /api/tags/:id              - Renomeia tag
+ * DELETE /api/tags/:id              - Exclui tag (contatos são mantidos)
+ * PUT    /api/contatos/:id/tags     - Define as tags de um contato
+ * POST   /api/contatos/:id/favorito - Alterna contato favorito
+ * GET    /api/empresas              - Diretório de empresas com seus contatos
+ * POST   /api/contatos/:id/foto     - Envia foto (multipart, campo "foto")
+ * DELETE /api/contatos/:id/foto     - Remove foto
+ * GET    /fotos/<arquivo>.jpg       - Foto e miniatura (URLs em FOTO/MINIATURA)
+ * GET    /api/campos                - Lista campos personalizados
+ * POST   /api/campos                - Cadastra campo personalizado
+ * PUT    /api/campos/:id            - Altera campo personalizado
+ * DELETE /api/campos/:id            - Exclui campo (e os valores nos contatos)
+ * GET    /api/contatos/:id/relacionamentos - Contatos relacionados (cônjuge, gerente...)
+ * POST   /api/contatos/:id/relacionamentos - Cria relacionamento
+ * DELETE /api/contatos/:id/relacionamentos/:idRelacionamento - Remove relacionamento
+ * GET    /api/contatos/:id/notas    - Linha do tempo de notas do contato
+ * POST   /api/contatos/:id/notas    - Registra nota
+ * DELETE /api/contatos/:id/notas/:idNota - Exclui nota
  * GET    /export-db                 - Baixa arquivo do banco SQLite
  * GET    /export                    - Exporta contatos em CSV | TXT | JSON
+ * GET    /api/schema/versao         - Versão do schema e migrações aplicadas
+ * 
+ * VERSÕES DA API:
+ * - /api/...    (v1): TELEFONES é array de strings (clientes antigos)
+ * - /api/v2/... (v2): TELEFONES é array de { ID, NUMERO, TIPO, PRINCIPAL, E164, PAIS, LINHA, UF, REGIAO }
+ * Rotas de contatos e de /verificar respondem nos dois prefixos.
  */
 
 const express = require('express');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
+const { promisify } = require('util');
 const db = require('./database');
+const dados = require('./dados');
+const Telefone = require('./shared/telefone');
+const { ErroConsulta, ehConsultaEstruturada, analisarConsulta } = require('./consulta');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -73,6 +107,9 @@ app.use(express.static('public'));
 // Serve arquivos estáticos adicionais (ex: favicon) que ficam em /assets
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
+// Módulos usados pelo servidor e pelo navegador (ex: /shared/telefone.js)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+
 // ============================================
 // SISTEMA DE LOGS
 // ============================================
@@ -92,8 +129,10 @@ if (!fs.existsSync(logsDir)) {
  * @param {number} id - ID do contato excluído
  * @param {string} nome - Nome do contato
  * @param {Array<string>} telefones - Lista de telefones
+ * @param {Array<Object>} notas - Notas do contato ({ TEXTO, CRIADOEM }), mais antigas primeiro
+ * @param {Array<Object>} relacionamentos - Vínculos removidos junto ({ TIPO, CONTATO: { ID, NOME } })
  */
-function gravarLog(id, nome, telefones) {
+function gravarLog(id, nome, telefones, notas = [], relacionamentos = []) {
     // Formata data para PT-BR (DD/MM/YYYY HH:MM:SS)
     function formatDateBR(d) {
         const dd = String(d.getDate()).padStart(2, '0');
@@ -120,6 +159,20 @@ function gravarLog(id, nome, telefones) {
     } else {
         linhas.push('Telefones: (nenhum)');
     }
+    // Notas: uma por linha, com a data em que foram registradas (quebras de linha viram espaço)
+    if (notas.length > 0) {
+        linhas.push('Notas:');
+        notas.forEach(nota => {
+            linhas.push(`  - [${formatDateBR(new Date(nota.CRIADOEM))}] ${nota.TEXTO.replace(/\s*\n\s*/g, ' ')}`);
+        });
+    }
+    // Relacionamentos: o outro contato continua existindo, mas perde o vínculo
+    if (relacionamentos.length > 0) {
+        linhas.push('Relacionamentos removidos:');
+        relacionamentos.forEach(rel => {
+            linhas.push(`  - ${rel.TIPO}: ${rel.CONTATO.NOME} (ID ${rel.CONTATO.ID})`);
+        });
+    }
     linhas.push('');
 
     const logBlock = linhas.join('\n') + '\n';
@@ -131,6 +184,116 @@ function gravarLog(id, nome, telefones) {
     });
 }
 
+// ============================================
+// FOTOS DOS CONTATOS
+// ============================================
+
+/**
+ * Fotos ficam em fotos/, ao lado do agenda.db (fora de public/)
+ * Cada envio gera dois JPEG com o mesmo nome base (coluna Contato.FOTO):
+ * - <base>.jpg      → foto ajustada para no máximo TAMANHO_FOTO px
+ * - <base>_mini.jpg → miniatura quadrada de TAMANHO_MINIATURA px
+ */
+const fotosDir = path.join(__dirname, 'fotos');
+if (!fs.existsSync(fotosDir)) {
+    fs.mkdirSync(fotosDir, { recursive: true });
+}
+
+const LIMITE_FOTO_BYTES = 5 * 1024 * 1024;
+const TIPOS_FOTO = ['image/jpeg', 'image/png', 'image/webp'];
+const TAMANHO_FOTO = 512;
+const TAMANHO_MINIATURA = 96;
+
+/**
+ * Nomes mudam a cada envio, então o cache pode ser longo
+ */
+app.use('/fotos', express.static(fotosDir, { maxAge: '30d', immutable: true }));
+
+/**
+ * Upload multipart (campo "foto") mantido em memória: o arquivo original
+ * nunca é gravado, só as versões reprocessadas pelo sharp
+ */
+const uploadFoto = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: LIMITE_FOTO_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!TIPOS_FOTO.includes(file.mimetype)) {
+            const err = new Error('Formato de foto inválido (use JPEG, PNG ou WebP)');
+            err.code = 'TIPO_FOTO_INVALIDO';
+            return cb(err);
+        }
+        cb(null, true);
+    }
+}).single('foto');
+
+/**
+ * Caminhos dos arquivos de uma foto
+ *
+ * @param {string} base - Valor de Contato.FOTO
+ * @returns {{ foto: string, miniatura: string }}
+ */
+function arquivosFoto(base) {
+    return {
+        foto: path.join(fotosDir, `${base}.jpg`),
+        miniatura: path.join(fotosDir, `${base}_mini.jpg`)
+    };
+}
+
+/**
+ * Reprocessa a imagem enviada e grava foto + miniatura
+ * Reencodar em JPEG descarta metadados (EXIF/GPS) e rejeita arquivos
+ * que só fingem ser imagem.
+ *
+ * @param {number} idContato - ID do contato
+ * @param {Buffer} buffer - Conteúdo do arquivo enviado
+ * @returns {Promise<string>} Nome base gravado
+ */
+async function gravarFoto(idContato, buffer) {
+    const base = `${idContato}-${Date.now().toString(36)}`;
+    const destino = arquivosFoto(base);
+    const imagem = sharp(buffer, { failOn: 'error' }).rotate();
+
+    await imagem.clone()
+        .resize(TAMANHO_FOTO, TAMANHO_FOTO, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toFile(destino.foto);
+    await imagem.clone()
+        .resize(TAMANHO_MINIATURA, TAMANHO_MINIATURA, { fit: 'cover' })
+        .jpeg({ quality: 80 })
+        .toFile(destino.miniatura);
+
+    return base;
+}
+
+/**
+ * Remove os arquivos de uma foto (arquivos já ausentes são ignorados)
+ *
+ * @param {string|null} base - Valor de Contato.FOTO
+ */
+function removerFoto(base) {
+    if (!base) return;
+    Object.values(arquivosFoto(base)).forEach(arquivo => {
+        fs.unlink(arquivo, (err) => {
+            if (err && err.code !== 'ENOENT') {
+                console.error('Erro ao remover foto:', err);
+            }
+        });
+    });
+}
+
+/**
+ * URLs públicas da foto para a resposta da API
+ *
+ * @param {string|null} base - Valor de Contato.FOTO
+ * @returns {{ FOTO: string|null, MINIATURA: string|null }}
+ */
+function urlsFoto(base) {
+    return {
+        FOTO: base ? `/fotos/${base}.jpg` : null,
+        MINIATURA: base ? `/fotos/${base}_mini.jpg` : null
+    };
+}
+
 // ============================================
 // UTILITÁRIOS DE VALIDAÇÃO E SANITIZAÇÃO
 // ============================================
@@ -148,10 +311,10 @@ function sanitizar(str) {
 }
 
 /**
- * Extrai apenas dígitos de um número de telefone
- * Usado para comparação e validação de duplicatas
+ * Extrai apenas dígitos de um texto (telefone, CEP)
+ * Telefones são comparados pela coluna indexada NUMERONORMALIZADO (Telefone.chave)
  * 
- * @param {string} str - Telefone com formatação
+ * @param {string} str - Texto com formatação
  * @returns {string} Apenas dígitos (ex: "11987654321")
  */
 function normalizarNumero(str) {
@@ -159,25 +322,123 @@ function normalizarNumero(str) {
     return str.replace(/\D+/g, '');
 }
 
+// ============================================
+// DATA DE NASCIMENTO E IDADE
+// ============================================
+
+/**
+ * Converte "YYYY-MM-DD" em componentes numéricos, validando a data de calendário
+ * (rejeita 2023-02-30, 2024-13-01 etc.)
+ * 
+ * @param {string} texto - Data no formato ISO (YYYY-MM-DD)
+ * @returns {{ano: number, mes: number, dia: number}|null} null se inválida
+ */
+function lerData(texto) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof texto === 'string' ? texto.trim() : '');
+    if (!match) return null;
+
+    const [ano, mes, dia] = match.slice(1).map(Number);
+    const data = new Date(ano, mes - 1, dia);
+    if (data.getFullYear() !== ano || data.getMonth() !== mes - 1 || data.getDate() !== dia) return null;
+
+    return { ano, mes, dia };
+}
+
+/**
+ * Formata uma data local como "YYYY-MM-DD"
+ * 
+ * @param {Date} d - Data
+ * @returns {string}
+ */
+function formatarDataIso(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Calcula a idade (anos completos) a partir da data de nascimento
+ * 
+ * @param {string|null} dataNascimento - "YYYY-MM-DD"
+ * @param {Date} hoje - Data de referência (padrão: agora)
+ * @returns {number|null} Idade ou null se não houver data
+ */
+function calcularIdade(dataNascimento, hoje = new Date()) {
+    const nascimento = lerData(dataNascimento);
+    if (!nascimento) return null;
+
+    let idade = hoje.getFullYear() - nascimento.ano;
+    const aindaNaoFezAniversario = (hoje.getMonth() + 1) < nascimento.mes
+        || ((hoje.getMonth() + 1) === nascimento.mes && hoje.getDate() < nascimento.dia);
+    if (aindaNaoFezAniversario) idade--;
+    return idade;
+}
+
+/**
+ * Calcula o próximo aniversário (hoje conta como próximo)
+ * Nascidos em 29/02 comemoram em 28/02 nos anos não bissextos
+ * 
+ * @param {string} dataNascimento - "YYYY-MM-DD"
+ * @param {Date} hoje - Data de referência, à meia-noite local
+ * @returns {{data: Date, diasAte: number, idadeAFazer: number}|null}
+ */
+function proximoAniversario(dataNascimento, hoje) {
+    const nascimento = lerData(dataNascimento);
+    if (!nascimento) return null;
+
+    const aniversarioEm = (ano) => {
+        const bissexto = new Date(ano, 1, 29).getMonth() === 1;
+        const dia = nascimento.mes === 2 && nascimento.dia === 29 && !bissexto ? 28 : nascimento.dia;
+        return new Date(ano, nascimento.mes - 1, dia);
+    };
+
+    let data = aniversarioEm(hoje.getFullYear());
+    if (data < hoje) data = aniversarioEm(hoje.getFullYear() + 1);
+
+    return {
+        data,
+        // round() absorve a hora a mais/a menos de mudanças de horário de verão
+        diasAte: Math.round((data - hoje) / 86400000),
+        idadeAFazer: data.getFullYear() - nascimento.ano
+    };
+}
+
 /**
- * Expressão SQL para normalizar coluna NUMERO no banco
- * Remove parênteses, hífens e espaços para comparação
- * Usado em queries WHERE para buscar telefones independente de formatação
+ * Define a data de nascimento a partir do body de POST/PUT
+ * 
+ * - dataNascimento ("YYYY-MM-DD") tem prioridade
+ * - Clientes antigos que só enviam "idade" recebem 01/01 do ano aproximado
+ *   (marcado como aproximado para não entrar na lista de aniversários)
+ * 
+ * @param {string|undefined} dataNascimento - Data informada
+ * @param {number|string|undefined} idade - Idade informada (API antiga)
+ * @returns {{data: string|null, aproximado: boolean}}
  */
-const SQL_NUMERO_NORMALIZADO = `REPLACE(REPLACE(REPLACE(REPLACE(t.NUMERO, '(', ''), ')', ''), '-', ''), ' ', '')`;
+function resolverNascimento(dataNascimento, idade) {
+    if (dataNascimento !== undefined && dataNascimento !== null && dataNascimento !== '') {
+        return { data: String(dataNascimento).trim(), aproximado: false };
+    }
+    if (idade !== undefined && idade !== null && idade !== '') {
+        const idadeNum = parseInt(idade);
+        const ano = isNaN(idadeNum) ? NaN : new Date().getFullYear() - idadeNum;
+        return { data: isNaN(ano) ? String(idade) : `${String(ano).padStart(4, '0')}-01-01`, aproximado: true };
+    }
+    return { data: null, aproximado: false };
+}
 
 /**
  * Valida dados de um contato antes de salvar
  * 
  * Regras:
  * - Nome: obrigatório, máximo 100 caracteres
- * - Idade: opcional, entre 1-150 se fornecida
+ * - Data de nascimento: opcional; data real no formato YYYY-MM-DD,
+ *   não pode estar no futuro nem indicar mais de 150 anos
  * 
  * @param {string} nome - Nome do contato
- * @param {number|null} idade - Idade do contato
+ * @param {string|null} dataNascimento - Data de nascimento (YYYY-MM-DD)
  * @returns {Array<string>} Lista de erros (vazia se válido)
  */
-function validarContato(nome, idade) {
+function validarContato(nome, dataNascimento) {
     const erros = [];
 
     if (!nome || nome.trim().length === 0) {
@@ -186,10 +447,14 @@ function validarContato(nome, idade) {
         erros.push('Nome deve ter no máximo 100 caracteres');
     }
 
-    if (idade !== null && idade !== undefined && idade !== '') {
-        const idadeNum = parseInt(idade);
-        if (isNaN(idadeNum) || idadeNum < 1 || idadeNum > 150) {
-            erros.push('Idade deve estar entre 1 e 150 anos');
+    if (dataNascimento !== null && dataNascimento !== undefined && dataNascimento !== '') {
+        const idade = calcularIdade(dataNascimento);
+        if (idade === null) {
+            erros.push('Data de nascimento inválida (use AAAA-MM-DD)');
+        } else if (dataNascimento > formatarDataIso(new Date())) {
+            erros.push('Data de nascimento não pode estar no futuro');
+        } else if (idade > 150) {
+            erros.push('Data de nascimento indica mais de 150 anos');
         }
     }
 
@@ -199,498 +464,4011 @@ function validarContato(nome, idade) {
 /**
  * Valida formato de número de telefone
  * 
- * Regras:
- * - Deve ter 10 (fixo) ou 11 dígitos (celular com 9)
- * - Exemplos válidos: (11) 98765-4321, 1134567890
+ * Regras (shared/telefone.js):
+ * - Com "+": DDI de um país suportado e tamanho válido para ele
+ * - Sem "+": número nacional do país informado (BR: 10 ou 11 dígitos)
+ * - Brasil: DDD existente; celular (11 dígitos) começa com 9, fixo (10 dígitos) com 2-5
+ * - Exemplos válidos: (11) 98765-4321, (11) 3456-7890, +351 912 345 678
+ * - Exemplos inválidos: 0000000000 (DDD 00), (11) 8765-4321 (celular sem o 9)
  * 
  * @param {string} numero - Número a validar
+ * @param {string} pais - País do número quando digitado sem "+" (padrão BR)
  * @returns {boolean} true se válido, false caso contrário
  */
-function validarTelefone(numero) {
-    const normalizado = normalizarNumero(numero);
-    return normalizado.length >= 10 && normalizado.length <= 11;
+function validarTelefone(numero, pais = Telefone.PAIS_PADRAO) {
+    return Telefone.valido(numero, pais);
 }
 
-// ============================================
-// ENDPOINTS DA API REST
-// ============================================
-
 /**
- * GET /api/contatos
+ * Valida formato de endereço de e-mail
  * 
- * Lista todos os contatos com seus telefones
+ * Regras:
+ * - Formato usuario@dominio.tld, sem espaços
+ * - Máximo de 254 caracteres (limite do RFC 5321)
+ * - Exemplos válidos: joao@empresa.com.br, maria.silva+agenda@gmail.com
  * 
- * Retorno: Array de objetos
- * [
- *   {
- *     ID: 1,
- *     NOME: "João Silva",
- *     IDADE: 25,
- *     TELEFONES: ["(11) 98765-4321", "(11) 3456-7890"]
- *   },
- *   ...
- * ]
+ * @param {string} email - E-mail a validar
+ * @returns {boolean} true se válido, false caso contrário
  */
-app.get('/api/contatos', (req, res) => {
-    const sql = `
-        SELECT c.ID, c.NOME, c.IDADE,
-               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-        FROM Contato c
-        LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
-        GROUP BY c.ID
-        ORDER BY c.NOME
-    `;
-
-    db.all(sql, [], (err, rows) => {
-        if (err) {
-            console.error('Erro ao buscar contatos:', err);
-            return res.status(500).json({ erro: 'Erro ao buscar contatos' });
-        }
-
-        const contatos = rows.map(row => ({
-            ID: row.ID,
-            NOME: row.NOME,
-            IDADE: row.IDADE,
-            TELEFONES: row.TELEFONES ? row.TELEFONES.split('||') : []
-        }));
+function validarEmail(email) {
+    if (typeof email !== 'string') return false;
+    const limpo = email.trim();
+    return limpo.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(limpo);
+}
 
-        res.json(contatos);
-    });
-});
+/**
+ * Siglas das 27 unidades federativas do Brasil
+ */
+const UFS_BRASIL = [
+    'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+    'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
 
 /**
- * GET /api/contatos/pesquisar?termo=XXX
- * 
- * Busca contatos por nome ou telefone (case-insensitive)
- * 
- * Parâmetros:
- * - termo (query string): Texto para buscar
+ * Valida formato de CEP
  * 
- * Comportamento:
- * - Busca em NOME (LIKE) e em TELEFONES normalizadas
- * - Ignora formatação de telefone (busca "11987654321" encontra "(11) 98765-4321")
+ * Regras:
+ * - 8 dígitos, com ou sem hífen/ponto
+ * - Exemplos válidos: 01310-100, 01310100, 01.310-100
  * 
- * Retorno: Array de contatos (mesmo formato de GET /api/contatos)
+ * @param {string} cep - CEP a validar
+ * @returns {boolean} true se válido, false caso contrário
  */
-app.get('/api/contatos/pesquisar', (req, res) => {
-    // Busca simplificada: apenas por NOME (texto) ou TELEFONE (quando termo contém dígitos)
-    const termoRaw = req.query.termo || '';
-    const termo = termoRaw.trim();
-
-    if (!termo) return res.json([]);
-
-    // Se o termo contém dígitos, procurar por telefone normalizado
-    if (/\d/.test(termo)) {
-        const termoNormalizado = normalizarNumero(termo);
-        const sql = `
-            SELECT DISTINCT c.ID, c.NOME, c.IDADE,
-                   GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-            FROM Contato c
-            INNER JOIN Telefone t ON c.ID = t.IDCONTATO
-            WHERE COALESCE(${SQL_NUMERO_NORMALIZADO}, '') LIKE ?
-            GROUP BY c.ID
-            ORDER BY c.NOME
-        `;
-
-    const params = [`%${termoNormalizado}%`];
-
-        db.all(sql, params, (err, rows) => {
-            if (err) {
-                console.error('[SEARCH] erro telefone:', err);
-                return res.status(500).json({ erro: 'Erro ao pesquisar contatos' });
-            }
-
-            const contatos = (rows || []).map(r => ({
-                ID: r.ID,
-                NOME: r.NOME,
-                IDADE: r.IDADE,
-                TELEFONES: r.TELEFONES ? r.TELEFONES.split('||') : []
-            }));
-
-            return res.json(contatos);
-        });
-
-    } else {
-        // Busca por nome (case-insensitive)
-        const sql = `
-            SELECT c.ID, c.NOME, c.IDADE,
-                   GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-            FROM Contato c
-            LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
-            WHERE c.NOME LIKE ? COLLATE NOCASE
-            GROUP BY c.ID
-            ORDER BY c.NOME
-        `;
-
-    const params = [`%${termo}%`];
-
-        db.all(sql, params, (err, rows) => {
-            if (err) {
-                console.error('[SEARCH] erro nome:', err);
-                return res.status(500).json({ erro: 'Erro ao pesquisar contatos' });
-            }
-
-            const contatos = (rows || []).map(r => ({
-                ID: r.ID,
-                NOME: r.NOME,
-                IDADE: r.IDADE,
-                TELEFONES: r.TELEFONES ? r.TELEFONES.split('||') : []
-            }));
-
-            return res.json(contatos);
-        });
-    }
-});
+function validarCep(cep) {
+    if (typeof cep !== 'string') return false;
+    return /^\d{2}\.?\d{3}-?\d{3}$/.test(cep.trim());
+}
 
 /**
- * GET /api/contatos/:id
+ * Formata CEP armazenado (8 dígitos) no padrão 00000-000
  * 
- * Busca um contato específico por ID
- * 
- * Parâmetros:
- * - id (URL): ID do contato
- * 
- * Retorno: Objeto do contato
- * {
- *   ID: 1,
- *   NOME: "João Silva",
- *   IDADE: 25,
- *   TELEFONES: ["(11) 98765-4321"]
- * }
+ * @param {string} cep - Apenas dígitos
+ * @returns {string} CEP formatado
  */
-app.get('/api/contatos/:id', (req, res) => {
-    const { id } = req.params;
-
-    const sql = `
-        SELECT c.ID, c.NOME, c.IDADE,
-               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-        FROM Contato c
-        LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
-        WHERE c.ID = ?
-        GROUP BY c.ID
-    `;
+function formatarCep(cep) {
+    return cep && cep.length === 8 ? `${cep.slice(0, 5)}-${cep.slice(5)}` : (cep || '');
+}
 
-    db.get(sql, [id], (err, row) => {
-        if (err) {
-            console.error('Erro ao buscar contato:', err);
-            return res.status(500).json({ erro: 'Erro ao buscar contato' });
-        }
+// ============================================
+// TELEFONES TIPADOS (TIPO + PRINCIPAL)
+// ============================================
 
-        if (!row) {
-            return res.status(404).json({ erro: 'Contato não encontrado' });
-        }
+/**
+ * Tipos (rótulos) aceitos para um telefone
+ * Mantenha sincronizado com o <select> de tipo em app.js
+ */
+const TIPOS_TELEFONE = ['celular', 'fixo', 'trabalho', 'whatsapp', 'outro'];
 
-        const contato = {
-            ID: row.ID,
-            NOME: row.NOME,
-            IDADE: row.IDADE,
-            TELEFONES: row.TELEFONES ? row.TELEFONES.split('||') : []
+/**
+ * Converte um item de "telefones" recebido na API em objeto padronizado
+ *
+ * Aceita os dois formatos:
+ * - v1: "(11) 98765-4321" (país padrão; "+351 ..." define o país pelo DDI)
+ * - v2: { numero: "(11) 98765-4321", tipo: "celular", principal: true, pais: "BR" }
+ *
+ * somenteNumero marca o item v1: tipo e principal não foram informados (são o padrão),
+ * então sincronizarTelefones mantém os do telefone já gravado com o mesmo número
+ *
+ * @param {string|Object} item - Telefone no formato v1 ou v2
+ * @returns {{numero: string, tipo: string, principal: boolean, pais: string, somenteNumero: boolean}}
+ */
+function lerTelefone(item) {
+    if (item && typeof item === 'object') {
+        return {
+            numero: typeof item.numero === 'string' ? item.numero : '',
+            tipo: typeof item.tipo === 'string' && item.tipo.trim() ? item.tipo.trim().toLowerCase() : 'outro',
+            principal: item.principal === true || item.principal === 1 || item.principal === 'true',
+            pais: typeof item.pais === 'string' && item.pais.trim() ? item.pais.trim().toUpperCase() : Telefone.PAIS_PADRAO,
+            somenteNumero: false
         };
-
-        res.json(contato);
-    });
-});
+    }
+    return { numero: typeof item === 'string' ? item : '', tipo: 'outro', principal: false, pais: Telefone.PAIS_PADRAO, somenteNumero: true };
+}
 
 /**
- * POST /api/contatos
- * 
- * Cria novo contato com telefones
- * 
- * Body (JSON):
- * {
- *   nome: "João Silva",
- *   idade: 25,
- *   telefones: ["(11) 98765-4321", "(11) 3456-7890"]
- * }
- * 
- * Validações:
- * - Nome obrigatório, máx 100 chars
- * - Idade entre 1-150 (opcional)
- * - Telefones: 10-11 dígitos cada
- * - Pelo menos 1 telefone obrigatório
- * 
- * Retorno: { id: number }
+ * Valida e prepara a lista de telefones de POST/PUT
+ *
+ * Regras:
+ * - Pelo menos um telefone; todos válidos (validarTelefone), senão erro com o motivo
+ * - Tipo deve estar em TIPOS_TELEFONE; país em Telefone.PAISES
+ * - Duplicatas (mesmo E.164, formatações diferentes) são removidas
+ * - Exatamente um telefone principal (o primeiro marcado, ou o primeiro da lista)
+ * - NUMERO é gravado na máscara canônica (Telefone.formatar), não como foi digitado
+ *
+ * @param {Array<string|Object>} telefones - Lista recebida no body
+ * @returns {{erro: string}|{telefones: Array<Object>}}
  */
-app.post('/api/contatos', (req, res) => {
-    const { nome, idade, telefones } = req.body;
+function prepararTelefones(telefones) {
+    if (!telefones || !Array.isArray(telefones) || telefones.length === 0) {
+        return { erro: 'Pelo menos um telefone é obrigatório' };
+    }
 
-    // Validações
-    const errosContato = validarContato(nome, idade);
-    if (errosContato.length > 0) {
-        return res.status(400).json({ erro: errosContato.join(', ') });
+    const lidos = telefones.map(lerTelefone);
+
+    const tipoInvalido = lidos.find(tel => !TIPOS_TELEFONE.includes(tel.tipo));
+    if (tipoInvalido) {
+        return { erro: `Tipo de telefone inválido: ${tipoInvalido.tipo} (use ${TIPOS_TELEFONE.join(', ')})` };
     }
 
-    if (!telefones || !Array.isArray(telefones) || telefones.length === 0) {
-        return res.status(400).json({ erro: 'Pelo menos um telefone é obrigatório' });
+    const paisInvalido = lidos.find(tel => !Telefone.PAISES[tel.pais]);
+    if (paisInvalido) {
+        return { erro: `País do telefone inválido: ${paisInvalido.pais} (use ${Object.keys(Telefone.PAISES).join(', ')})` };
     }
 
-    // Validar cada telefone
-    const telefonesValidos = telefones.filter(tel => {
-        const normalizado = normalizarNumero(tel);
-        return normalizado.length >= 10 && normalizado.length <= 11;
-    });
+    const telefonesPreenchidos = lidos.filter(tel => tel.numero.trim());
+    if (telefonesPreenchidos.length === 0) {
+        return { erro: 'Pelo menos um telefone é obrigatório' };
+    }
 
-    if (telefonesValidos.length === 0) {
-        return res.status(400).json({ erro: 'Nenhum telefone válido fornecido (devem ter 10 ou 11 dígitos)' });
+    // Mesmas regras de salvarContato em app.js (DDD, nono dígito, tamanho por país)
+    const invalido = telefonesPreenchidos.find(tel => !validarTelefone(tel.numero, tel.pais));
+    if (invalido) {
+        return { erro: `Telefone ${invalido.numero} inválido: ${Telefone.motivoInvalido(invalido.numero, invalido.pais)}` };
     }
 
-    // Remover telefones duplicados (mesmo número, formatações diferentes)
+    const telefonesValidos = telefonesPreenchidos
+        .map(tel => ({ ...tel, normalizado: Telefone.normalizar(tel.numero, tel.pais) }));
+
+    // Remover telefones duplicados (mesmo E.164, formatações diferentes)
     const mapTelefones = new Map();
     telefonesValidos.forEach(tel => {
-        const norm = normalizarNumero(tel);
-        if (norm && !mapTelefones.has(norm)) mapTelefones.set(norm, tel);
+        if (!mapTelefones.has(tel.normalizado.e164)) mapTelefones.set(tel.normalizado.e164, tel);
     });
     const telefonesUnicos = Array.from(mapTelefones.values());
 
-    // Sanitizar dados
-    const nomeLimpo = sanitizar(nome);
-    const idadeNum = idade ? parseInt(idade) : null;
+    // Garante exatamente um principal
+    const indicePrincipal = Math.max(0, telefonesUnicos.findIndex(tel => tel.principal));
+    return {
+        telefones: telefonesUnicos.map((tel, i) => ({
+            numero: Telefone.formatar(tel.numero, tel.pais),
+            tipo: tel.tipo,
+            principal: i === indicePrincipal,
+            e164: tel.normalizado.e164,
+            pais: tel.normalizado.pais,
+            chave: Telefone.chave(tel.numero, tel.pais),
+            somenteNumero: tel.somenteNumero
+        }))
+    };
+}
 
-    // Inserir contato
-    const sqlContato = 'INSERT INTO Contato (NOME, IDADE) VALUES (?, ?)';
+/**
+ * Insere os telefones de um contato
+ *
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato dono dos telefones
+ * @param {Array<Object>} telefones - Saída de prepararTelefones()
+ * @returns {Promise<void>}
+ */
+async function inserirTelefones(tx, contatoId, telefones) {
+    const sqlTelefone = `INSERT INTO Telefone (IDCONTATO, NUMERO, TIPO, PRINCIPAL, E164, PAIS, NUMERONORMALIZADO)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`;
+    for (const tel of telefones) {
+        await tx.executar(sqlTelefone, [contatoId, tel.numero, tel.tipo, tel.principal ? 1 : 0, tel.e164, tel.pais, tel.chave]);
+    }
+}
 
-    db.run(sqlContato, [nomeLimpo, idadeNum], function(err) {
-        if (err) {
-            console.error('Erro ao inserir contato:', err);
-            return res.status(500).json({ erro: 'Erro ao criar contato' });
+/**
+ * Sincroniza os telefones gravados com a lista de PUT/PATCH
+ *
+ * Telefones que continuam na lista (mesmo E.164) mantêm o ID e só têm máscara,
+ * tipo, principal e país atualizados; os que saíram são excluídos e os novos inseridos.
+ * Assim o ID informado em /api/contatos/:id/telefones/:idTelefone sobrevive a um PUT.
+ *
+ * Itens v1 (strings) não trazem tipo nem principal: o telefone que continua mantém o
+ * TIPO gravado e, se nenhum item v2 marcou outro como principal, o principal gravado
+ * continua principal. Só números novos ficam com o padrão ('outro').
+ *
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato dono dos telefones
+ * @param {Array<Object>} telefones - Saída de prepararTelefones()
+ * @returns {Promise<void>}
+ */
+async function sincronizarTelefones(tx, contatoId, telefones) {
+    const atuais = await tx.consultar('SELECT ID, E164, TIPO, PRINCIPAL FROM Telefone WHERE IDCONTATO = ? ORDER BY ID', [contatoId]);
+    const idPorE164 = new Map();
+    const gravadoPorE164 = new Map();
+    atuais.forEach(tel => {
+        if (tel.E164 && !idPorE164.has(tel.E164)) {
+            idPorE164.set(tel.E164, tel.ID);
+            gravadoPorE164.set(tel.E164, tel);
         }
+    });
 
-        const contatoId = this.lastID;
+    const gravadoV1 = tel => (tel.somenteNumero ? gravadoPorE164.get(tel.e164) : undefined);
+    const principalInformado = telefones.some(tel => tel.principal && !tel.somenteNumero);
+    const principalMantido = principalInformado ? undefined : telefones.find(tel => gravadoV1(tel)?.PRINCIPAL === 1);
+    const ajustados = telefones.map(tel => ({
+        ...tel,
+        tipo: gravadoV1(tel)?.TIPO || tel.tipo,
+        principal: principalMantido ? tel === principalMantido : tel.principal
+    }));
 
-        // Inserir telefones
-        const sqlTelefone = 'INSERT INTO Telefone (IDCONTATO, NUMERO) VALUES (?, ?)';
-        const promises = telefonesUnicos.map(tel => {
-            const telLimpo = sanitizar(tel);
-            return new Promise((resolve, reject) => {
-                db.run(sqlTelefone, [contatoId, telLimpo], (err) => {
-                    if (err) reject(err);
-                    else resolve();
-                });
-            });
-        });
+    const mantidos = ajustados.filter(tel => idPorE164.has(tel.e164));
+    const idsMantidos = new Set(mantidos.map(tel => idPorE164.get(tel.e164)));
 
-        Promise.all(promises)
-            .then(() => {
-                res.status(201).json({ id: contatoId });
-            })
-            .catch(err => {
-                console.error('Erro ao inserir telefones:', err);
-                res.status(500).json({ erro: 'Erro ao criar telefones' });
-            });
-    });
-});
+    for (const tel of atuais.filter(tel => !idsMantidos.has(tel.ID))) {
+        await tx.executar('DELETE FROM Telefone WHERE ID = ?', [tel.ID]);
+    }
+    for (const tel of mantidos) {
+        await tx.executar(
+            'UPDATE Telefone SET NUMERO = ?, TIPO = ?, PRINCIPAL = ?, PAIS = ?, NUMERONORMALIZADO = ? WHERE ID = ?',
+            [tel.numero, tel.tipo, tel.principal ? 1 : 0, tel.pais, tel.chave, idPorE164.get(tel.e164)]
+        );
+    }
+    await inserirTelefones(tx, contatoId, ajustados.filter(tel => !idPorE164.has(tel.e164)));
+}
 
 /**
- * PUT /api/contatos/:id
- * 
- * Atualiza contato existente (nome, idade, telefones)
- * 
- * Parâmetros:
- * - id (URL): ID do contato
- * 
- * Body (JSON): mesmo formato de POST /api/contatos
+ * Grava um único telefone do contato (POST/PATCH /api/contatos/:id/telefones)
+ *
+ * Se o telefone for marcado como principal, os demais do contato deixam de ser.
+ *
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato
+ * @param {number|null} idTelefone - ID a atualizar; null = inserir
+ * @param {Object} telefone - Item de prepararTelefones() (principal já definido pelo chamador)
+ * @returns {Promise<number>} ID do telefone gravado
+ */
+async function gravarTelefoneContato(tx, contatoId, idTelefone, telefone) {
+    if (telefone.principal) {
+        await tx.executar('UPDATE Telefone SET PRINCIPAL = 0 WHERE IDCONTATO = ? AND PRINCIPAL = 1', [contatoId]);
+    }
+
+    const valores = [telefone.numero, telefone.tipo, telefone.principal ? 1 : 0, telefone.e164, telefone.pais, telefone.chave];
+    if (idTelefone === null) {
+        const { lastID } = await tx.executar(`INSERT INTO Telefone (NUMERO, TIPO, PRINCIPAL, E164, PAIS, NUMERONORMALIZADO, IDCONTATO)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`, [...valores, contatoId]);
+        return lastID;
+    }
+
+    await tx.executar(`UPDATE Telefone SET NUMERO = ?, TIPO = ?, PRINCIPAL = ?, E164 = ?, PAIS = ?, NUMERONORMALIZADO = ?
+        WHERE ID = ?`, [...valores, idTelefone]);
+    return idTelefone;
+}
+
+// ============================================
+// E-MAILS
+// ============================================
+
+/**
+ * Valida e prepara a lista de e-mails de POST/PUT
+ * 
+ * Regras:
+ * - Campo opcional (undefined = não informado)
+ * - Cada e-mail deve passar em validarEmail (inválido gera erro, não é descartado)
+ * - Gravados em minúsculas, sem duplicatas
+ * 
+ * @param {Array<string>|undefined} emails - Lista recebida no body
+ * @returns {{erro: string}|{emails: Array<string>}}
+ */
+function prepararEmails(emails) {
+    if (emails === undefined || emails === null) return { emails: [] };
+    if (!Array.isArray(emails)) {
+        return { erro: 'E-mails devem ser enviados como lista' };
+    }
+
+    const preenchidos = emails
+        .map(email => (typeof email === 'string' ? email.trim().toLowerCase() : ''))
+        .filter(email => email);
+
+    const invalido = preenchidos.find(email => !validarEmail(email));
+    if (invalido) {
+        return { erro: `E-mail inválido: ${invalido}` };
+    }
+
+    return { emails: Array.from(new Set(preenchidos)) };
+}
+
+/**
+ * Insere os e-mails de um contato
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato dono dos e-mails
+ * @param {Array<string>} emails - Saída de prepararEmails()
+ * @returns {Promise<void>}
+ */
+async function inserirEmails(tx, contatoId, emails) {
+    for (const email of emails) {
+        await tx.executar('INSERT INTO Email (IDCONTATO, ENDERECO) VALUES (?, ?)', [contatoId, email]);
+    }
+}
+
+// ============================================
+// ENDEREÇOS
+// ============================================
+
+/**
+ * Valida e prepara a lista de endereços de POST/PUT
+ * 
+ * Cada endereço: { logradouro, numero, complemento, bairro, cidade, uf, cep }
+ * 
+ * Regras:
+ * - Campo opcional (undefined = não informado)
+ * - Logradouro, cidade, UF e CEP obrigatórios em cada endereço
+ * - UF deve estar em UFS_BRASIL; CEP deve passar em validarCep
+ * 
+ * @param {Array<Object>|undefined} enderecos - Lista recebida no body
+ * @returns {{erro: string}|{enderecos: Array<Object>}}
+ */
+function prepararEnderecos(enderecos) {
+    if (enderecos === undefined || enderecos === null) return { enderecos: [] };
+    if (!Array.isArray(enderecos)) {
+        return { erro: 'Endereços devem ser enviados como lista' };
+    }
+
+    const texto = (valor, limite) => (typeof valor === 'string' ? valor.trim().substring(0, limite) : '');
+    const preparados = [];
+
+    for (let i = 0; i < enderecos.length; i++) {
+        const e = enderecos[i] || {};
+        const posicao = `Endereço ${i + 1}`;
+        const endereco = {
+            logradouro: texto(e.logradouro, 150),
+            numero: texto(e.numero, 10),
+            complemento: texto(e.complemento, 60),
+            bairro: texto(e.bairro, 60),
+            cidade: texto(e.cidade, 60),
+            uf: texto(e.uf, 2).toUpperCase(),
+            cep: typeof e.cep === 'string' ? e.cep.trim() : ''
+        };
+
+        if (!endereco.logradouro) return { erro: `${posicao}: logradouro é obrigatório` };
+        if (!endereco.cidade) return { erro: `${posicao}: cidade é obrigatória` };
+        if (!UFS_BRASIL.includes(endereco.uf)) return { erro: `${posicao}: UF inválida (${e.uf || 'vazia'})` };
+        if (!validarCep(endereco.cep)) return { erro: `${posicao}: CEP inválido (use 00000-000)` };
+
+        endereco.cep = normalizarNumero(endereco.cep);
+        preparados.push(endereco);
+    }
+
+    return { enderecos: preparados };
+}
+
+/**
+ * Insere os endereços de um contato
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato dono dos endereços
+ * @param {Array<Object>} enderecos - Saída de prepararEnderecos()
+ * @returns {Promise<void>}
+ */
+async function inserirEnderecos(tx, contatoId, enderecos) {
+    const sqlEndereco = `
+        INSERT INTO Endereco (IDCONTATO, LOGRADOURO, NUMERO, COMPLEMENTO, BAIRRO, CIDADE, UF, CEP)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    for (const e of enderecos) {
+        await tx.executar(sqlEndereco, [contatoId, e.logradouro, e.numero || null, e.complemento || null, e.bairro || null, e.cidade, e.uf, e.cep]);
+    }
+}
+
+/**
+ * Resume um endereço em uma linha (usado em TXT/CSV)
+ * Ex: "Av. Paulista, 1000 - Apto 12 - Bela Vista - São Paulo/SP - CEP 01310-100"
+ * 
+ * @param {Object} e - Endereço no formato da API
+ * @returns {string}
+ */
+function formatarEnderecoLinha(e) {
+    const partes = [
+        e.NUMERO ? `${e.LOGRADOURO}, ${e.NUMERO}` : e.LOGRADOURO,
+        e.COMPLEMENTO,
+        e.BAIRRO,
+        `${e.CIDADE}/${e.UF}`,
+        `CEP ${e.CEP}`
+    ];
+    return partes.filter(Boolean).join(' - ');
+}
+
+// ============================================
+// TAGS (GRUPOS DE CONTATOS)
+// ============================================
+
+/**
+ * Valida o nome de uma tag
+ * 
+ * Regras:
+ * - Obrigatório, máximo 40 caracteres
+ * - Unicidade sem diferenciar maiúsculas (inclusive acentuadas) pela coluna CHAVE
+ * 
+ * @param {string} nome - Nome recebido no body
+ * @returns {{erro: string}|{nome: string, chave: string}}
+ */
+function validarNomeTag(nome) {
+    const nomeLimpo = typeof nome === 'string' ? sanitizar(nome) : '';
+    if (!nomeLimpo) return { erro: 'Nome da tag é obrigatório' };
+    if (nomeLimpo.length > 40) return { erro: 'Nome da tag deve ter no máximo 40 caracteres' };
+    return { nome: nomeLimpo, chave: nomeLimpo.toLocaleLowerCase('pt-BR') };
+}
+
+/**
+ * Valida e prepara a lista de tags de um contato
+ * 
+ * Regras:
+ * - Campo opcional (undefined = não informado)
+ * - Lista de IDs inteiros de tags, sem duplicatas
+ * 
+ * @param {Array<number>|undefined} tags - Lista recebida no body
+ * @returns {{erro: string}|{tags: Array<number>}}
+ */
+function prepararTags(tags) {
+    if (tags === undefined || tags === null) return { tags: [] };
+    if (!Array.isArray(tags)) {
+        return { erro: 'Tags devem ser enviadas como lista de IDs' };
+    }
+
+    const ids = tags.map(tag => Number(tag));
+    const invalida = ids.findIndex(tag => !Number.isInteger(tag) || tag <= 0);
+    if (invalida !== -1) {
+        return { erro: `Tag inválida: ${tags[invalida]}` };
+    }
+
+    return { tags: Array.from(new Set(ids)) };
+}
+
+/**
+ * Confere se as tags informadas existem
+ * 
+ * @param {Array<number>} tags - Saída de prepararTags()
+ * @param {Function} callback - (err, Array<number> IDs inexistentes)
+ */
+function verificarTags(tags, callback) {
+    if (tags.length === 0) return callback(null, []);
+
+    db.all('SELECT ID FROM Tag WHERE ID IN (SELECT value FROM json_each(?))', [JSON.stringify(tags)], (err, rows) => {
+        if (err) return callback(err);
+        const existentes = new Set(rows.map(row => row.ID));
+        callback(null, tags.filter(tag => !existentes.has(tag)));
+    });
+}
+
+/**
+ * Vincula tags a um contato
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato
+ * @param {Array<number>} tags - Saída de prepararTags() (já verificadas)
+ * @returns {Promise<void>}
+ */
+async function inserirTags(tx, contatoId, tags) {
+    for (const tag of tags) {
+        await tx.executar('INSERT OR IGNORE INTO ContatoTag (IDCONTATO, IDTAG) VALUES (?, ?)', [contatoId, tag]);
+    }
+}
+
+/**
+ * Lê o filtro ?tag=ID das listagens
+ * 
+ * @param {Object} query - req.query (ou os filtros de uma pesquisa salva)
+ * @returns {{erro: string}|{tag: number|null}}
+ */
+function lerFiltroTag(query) {
+    if (query.tag === undefined || query.tag === null || query.tag === '') return { tag: null };
+    const tag = Number(query.tag);
+    if (!Number.isInteger(tag) || tag <= 0) {
+        return { erro: `Tag inválida: ${query.tag}` };
+    }
+    return { tag };
+}
+
+// ============================================
+// EMPRESAS E CARGOS
+// ============================================
+
+/**
+ * Valida empresa e cargo de um contato
+ * 
+ * Regras:
+ * - Campos opcionais (undefined = não informado; null ou "" = limpar)
+ * - Texto de até 100 caracteres
+ * - A empresa é informada pelo nome: o servidor reaproveita a existente
+ *   (sem diferenciar maiúsculas, pela coluna CHAVE) ou cadastra uma nova
+ * 
+ * @param {string|null|undefined} empresa - Nome da empresa
+ * @param {string|null|undefined} cargo - Cargo do contato
+ * @returns {{erro: string}|{empresa: {nome: string, chave: string}|null|undefined, cargo: string|null|undefined}}
+ */
+function prepararOrganizacao(empresa, cargo) {
+    const ler = (valor, rotulo) => {
+        if (valor === undefined) return { valor: undefined };
+        if (valor === null) return { valor: null };
+        if (typeof valor !== 'string') return { erro: `${rotulo} deve ser texto` };
+        const limpo = sanitizar(valor);
+        if (limpo.length > 100) return { erro: `${rotulo} deve ter no máximo 100 caracteres` };
+        return { valor: limpo || null };
+    };
+
+    const nomeEmpresa = ler(empresa, 'Empresa');
+    if (nomeEmpresa.erro) return { erro: nomeEmpresa.erro };
+    const cargoLido = ler(cargo, 'Cargo');
+    if (cargoLido.erro) return { erro: cargoLido.erro };
+
+    return {
+        empresa: nomeEmpresa.valor
+            ? { nome: nomeEmpresa.valor, chave: nomeEmpresa.valor.toLocaleLowerCase('pt-BR') }
+            : nomeEmpresa.valor,
+        cargo: cargoLido.valor
+    };
+}
+
+/**
+ * Obtém o ID da empresa pelo nome, cadastrando-a se ainda não existir
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {{nome: string, chave: string}|null|undefined} empresa - Saída de prepararOrganizacao()
+ * @returns {Promise<number|null|undefined>} ID, repassando null/undefined
+ */
+async function resolverEmpresa(tx, empresa) {
+    if (!empresa) return empresa;
+
+    await tx.executar('INSERT OR IGNORE INTO Empresa (NOME, CHAVE) VALUES (?, ?)', [empresa.nome, empresa.chave]);
+    const row = await tx.obter('SELECT ID FROM Empresa WHERE CHAVE = ?', [empresa.chave]);
+    return row.ID;
+}
+
+/**
+ * Exclui empresas que ficaram sem contatos (após troca de empresa ou exclusão)
+ * Empresas só existem através dos contatos: não há cadastro avulso
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @returns {Promise<void>}
+ */
+async function removerEmpresasSemContatos(tx) {
+    await tx.executar(`
+        DELETE FROM Empresa
+        WHERE ID NOT IN (SELECT IDEMPRESA FROM Contato WHERE IDEMPRESA IS NOT NULL)
+    `);
+}
+
+// ============================================
+// RELACIONAMENTOS ENTRE CONTATOS
+// ============================================
+
+/**
+ * Tipos de relacionamento e o tipo inverso (visto pelo outro contato)
+ * O tipo descreve o OUTRO contato: "gerente" = o outro é meu gerente.
+ * Tipos simétricos são o próprio inverso.
+ */
+const TIPOS_RELACIONAMENTO = {
+    conjuge: 'conjuge',
+    familiar: 'familiar',
+    socio: 'socio',
+    gerente: 'subordinado',
+    subordinado: 'gerente',
+    assistente: 'assistido',
+    assistido: 'assistente'
+};
+
+/**
+ * Tipos gravados no banco: de cada par assimétrico só um lado é armazenado
+ */
+const TIPOS_RELACIONAMENTO_GRAVADOS = ['conjuge', 'familiar', 'socio', 'gerente', 'assistente'];
+
+/**
+ * Converte um vínculo para a forma gravada em Relacionamento
+ * 
+ * - Simétricos: menor ID em IDCONTATO
+ * - Assimétricos: inverte os lados quando o tipo não é o gravado
+ *   ("B é subordinado de A" vira "A é gerente de B")
+ * 
+ * @param {number} idContato - Contato de referência
+ * @param {number} idRelacionado - Outro contato
+ * @param {string} tipo - Tipo visto por idContato
+ * @returns {{idContato: number, idRelacionado: number, tipo: string}}
+ */
+function canonizarRelacionamento(idContato, idRelacionado, tipo) {
+    const inverso = TIPOS_RELACIONAMENTO[tipo];
+    const inverter = inverso === tipo
+        ? idContato > idRelacionado
+        : !TIPOS_RELACIONAMENTO_GRAVADOS.includes(tipo);
+
+    return inverter
+        ? { idContato: idRelacionado, idRelacionado: idContato, tipo: inverso }
+        : { idContato, idRelacionado, tipo };
+}
+
+/**
+ * Valida o body de criação de um relacionamento
+ * 
+ * @param {number} idContato - Contato da URL
+ * @param {Object} body - { idContato, tipo }
+ * @returns {{erro: string}|{idRelacionado: number, tipo: string}}
+ */
+function validarRelacionamento(idContato, body) {
+    const { tipo } = body || {};
+    const idRelacionado = Number((body || {}).idContato);
+
+    if (!Object.prototype.hasOwnProperty.call(TIPOS_RELACIONAMENTO, tipo)) {
+        return { erro: `Tipo de relacionamento inválido. Use: ${Object.keys(TIPOS_RELACIONAMENTO).join(', ')}` };
+    }
+    if (!Number.isInteger(idRelacionado) || idRelacionado <= 0) {
+        return { erro: 'Informe o contato relacionado (idContato)' };
+    }
+    if (idRelacionado === idContato) {
+        return { erro: 'Um contato não pode se relacionar com ele mesmo' };
+    }
+    return { idRelacionado, tipo };
+}
+
+/**
+ * Relacionamentos de um contato, do ponto de vista dele (ordenados pelo nome do outro)
+ * 
+ * @param {number|string} id - ID do contato
+ * @param {Function} callback - (err, Array<{ ID, TIPO, CONTATO: { ID, NOME } }>)
+ */
+function buscarRelacionamentos(id, callback) {
+    const sql = `
+        SELECT v.ID, v.TIPO, v.INVERSO, c.ID AS IDOUTRO, c.NOME
+        FROM (
+            SELECT r.ID, r.TIPO, r.IDRELACIONADO AS IDOUTRO, 0 AS INVERSO FROM Relacionamento r WHERE r.IDCONTATO = ?
+            UNION ALL
+            SELECT r.ID, r.TIPO, r.IDCONTATO AS IDOUTRO, 1 AS INVERSO FROM Relacionamento r WHERE r.IDRELACIONADO = ?
+        ) v
+        JOIN Contato c ON c.ID = v.IDOUTRO
+        ORDER BY c.NOME COLLATE NOCASE, v.ID
+    `;
+
+    db.all(sql, [id, id], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => ({
+            ID: row.ID,
+            TIPO: row.INVERSO ? TIPOS_RELACIONAMENTO[row.TIPO] : row.TIPO,
+            CONTATO: { ID: row.IDOUTRO, NOME: row.NOME }
+        })));
+    });
+}
+
+// ============================================
+// NOTAS (HISTÓRICO DE INTERAÇÕES)
+// ============================================
+
+/**
+ * Valida o texto de uma nota
+ * 
+ * Regras:
+ * - Obrigatório (espaços nas pontas são removidos)
+ * - Máximo 2000 caracteres (quebras de linha são mantidas)
+ * 
+ * @param {string} texto - Texto recebido no body
+ * @returns {{erro: string}|{texto: string}}
+ */
+function validarNota(texto) {
+    const textoLimpo = typeof texto === 'string' ? texto.trim() : '';
+    if (!textoLimpo) return { erro: 'Texto da nota é obrigatório' };
+    if (textoLimpo.length > 2000) return { erro: 'Nota deve ter no máximo 2000 caracteres' };
+    return { texto: textoLimpo };
+}
+
+// ============================================
+// CAMPOS PERSONALIZADOS
+// ============================================
+
+/**
+ * Tipos aceitos para campos personalizados
+ * - texto: até 200 caracteres
+ * - numero: inteiro ou decimal (aceita vírgula)
+ * - data: YYYY-MM-DD
+ * - selecao: uma das OPCOES cadastradas no campo
+ */
+const TIPOS_CAMPO = ['texto', 'numero', 'data', 'selecao'];
+
+/**
+ * Valida a definição de um campo (POST/PUT /api/campos)
+ * 
+ * @param {Object} body - { nome, tipo, opcoes, obrigatorio }
+ * @param {string} [tipoAtual] - Tipo já cadastrado (PUT): o tipo não muda depois de criado
+ * @returns {{erro: string}|{nome: string, chave: string, tipo: string, opcoes: Array<string>|null, obrigatorio: boolean}}
+ */
+function validarDefinicaoCampo(body, tipoAtual) {
+    const nome = typeof body.nome === 'string' ? sanitizar(body.nome) : '';
+    if (!nome) return { erro: 'Nome do campo é obrigatório' };
+    if (nome.length > 60) return { erro: 'Nome do campo deve ter no máximo 60 caracteres' };
+
+    if (tipoAtual && body.tipo !== undefined && body.tipo !== tipoAtual) {
+        return { erro: 'O tipo de um campo não pode ser alterado' };
+    }
+    const tipo = tipoAtual || body.tipo;
+    if (!TIPOS_CAMPO.includes(tipo)) {
+        return { erro: `Tipo de campo inválido: ${tipo}. Use: ${TIPOS_CAMPO.join(', ')}` };
+    }
+
+    let opcoes = null;
+    if (tipo === 'selecao') {
+        if (!Array.isArray(body.opcoes)) {
+            return { erro: 'Campos de seleção precisam de uma lista de opções' };
+        }
+        opcoes = Array.from(new Set(body.opcoes
+            .map(opcao => (typeof opcao === 'string' ? sanitizar(opcao).substring(0, 60) : ''))
+            .filter(opcao => opcao)));
+        if (opcoes.length === 0) {
+            return { erro: 'Informe ao menos uma opção para o campo de seleção' };
+        }
+    }
+
+    return { nome, chave: nome.toLocaleLowerCase('pt-BR'), tipo, opcoes, obrigatorio: body.obrigatorio === true };
+}
+
+/**
+ * Carrega as definições de campos personalizados (ordem de criação)
+ * 
+ * @param {Function} callback - (err, Array<{ID, NOME, TIPO, OPCOES, OBRIGATORIO}>)
+ */
+function carregarDefinicoesCampos(callback) {
+    db.all('SELECT ID, NOME, TIPO, OPCOES, OBRIGATORIO FROM CampoPersonalizado ORDER BY ID', [], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => ({
+            ID: row.ID,
+            NOME: row.NOME,
+            TIPO: row.TIPO,
+            OPCOES: row.OPCOES ? JSON.parse(row.OPCOES) : null,
+            OBRIGATORIO: row.OBRIGATORIO === 1
+        })));
+    });
+}
+
+/**
+ * Valida o valor de um campo conforme o tipo
+ * 
+ * @param {Object} campo - Definição (saída de carregarDefinicoesCampos)
+ * @param {*} valor - Valor recebido
+ * @returns {{erro: string}|{valor: string|null}} null = não preenchido
+ */
+function validarValorCampo(campo, valor) {
+    if (valor === undefined || valor === null || (typeof valor === 'string' && valor.trim() === '')) {
+        return { valor: null };
+    }
+    if (typeof valor !== 'string' && typeof valor !== 'number') {
+        return { erro: `${campo.NOME}: valor inválido` };
+    }
+
+    const texto = String(valor).trim();
+
+    switch (campo.TIPO) {
+        case 'numero': {
+            const numero = Number(texto.replace(',', '.'));
+            if (!Number.isFinite(numero)) return { erro: `${campo.NOME}: informe um número` };
+            return { valor: String(numero) };
+        }
+        case 'data':
+            if (!lerData(texto)) return { erro: `${campo.NOME}: data inválida (use AAAA-MM-DD)` };
+            return { valor: texto };
+        case 'selecao':
+            if (!campo.OPCOES.includes(texto)) {
+                return { erro: `${campo.NOME}: opção inválida. Use: ${campo.OPCOES.join(', ')}` };
+            }
+            return { valor: texto };
+        default:
+            return { valor: sanitizar(texto) };
+    }
+}
+
+/**
+ * Valida os valores de campos personalizados de um contato
+ * 
+ * Regras:
+ * - Objeto { idCampo: valor }; IDs devem existir no cadastro
+ * - Cada valor validado pelo tipo do campo (validarValorCampo)
+ * - Campos obrigatórios precisam de valor
+ * 
+ * @param {Object} campos - Valores recebidos no body
+ * @param {Array<Object>} definicoes - Saída de carregarDefinicoesCampos()
+ * @returns {{erro: string}|{valores: Array<{idCampo: number, valor: string}>}}
+ */
+function prepararCampos(campos, definicoes) {
+    if (campos === null || typeof campos !== 'object' || Array.isArray(campos)) {
+        return { erro: 'Campos personalizados devem ser enviados como objeto { idCampo: valor }' };
+    }
+
+    const ids = new Set(definicoes.map(campo => String(campo.ID)));
+    const desconhecido = Object.keys(campos).find(id => !ids.has(id));
+    if (desconhecido) {
+        return { erro: `Campo personalizado não encontrado: ${desconhecido}` };
+    }
+
+    const valores = [];
+    for (const campo of definicoes) {
+        const validado = validarValorCampo(campo, campos[campo.ID]);
+        if (validado.erro) return validado;
+
+        if (validado.valor === null) {
+            if (campo.OBRIGATORIO) return { erro: `Campo obrigatório: ${campo.NOME}` };
+            continue;
+        }
+        valores.push({ idCampo: campo.ID, valor: validado.valor });
+    }
+
+    return { valores };
+}
+
+/**
+ * Confere as referências de POST/PUT de contato que dependem do banco:
+ * tags existentes e campos personalizados (tipos e obrigatórios)
+ * 
+ * @param {Array<number>} tags - Saída de prepararTags()
+ * @param {Object|undefined} campos - Valores do body; undefined = não validar (PUT mantém os atuais)
+ * @returns {Promise<{erro: string}|{valores: Array}>}
+ */
+async function verificarTagsECampos(tags, campos) {
+    const inexistentes = await promisify(verificarTags)(tags);
+    if (inexistentes.length > 0) {
+        return { erro: `Tag não encontrada: ${inexistentes.join(', ')}` };
+    }
+
+    if (campos === undefined) return { valores: [] };
+
+    const definicoes = await promisify(carregarDefinicoesCampos)();
+    return prepararCampos(campos, definicoes);
+}
+
+/**
+ * Grava os valores de campos personalizados de um contato
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} contatoId - ID do contato
+ * @param {Array<Object>} valores - Saída de prepararCampos()
+ * @returns {Promise<void>}
+ */
+async function inserirCampos(tx, contatoId, valores) {
+    for (const v of valores) {
+        await tx.executar('INSERT INTO ValorCampo (IDCONTATO, IDCAMPO, VALOR) VALUES (?, ?, ?)', [contatoId, v.idCampo, v.valor]);
+    }
+}
+
+// ============================================
+// MONTAGEM DAS RESPOSTAS (v1 / v2)
+// ============================================
+
+/**
+ * Colunas de Contato lidas por todas as consultas que alimentam montarContatos()
+ * IDADE não é armazenada: é calculada a partir de DATANASCIMENTO
+ */
+const SQL_COLUNAS_CONTATO = `c.ID, c.NOME, c.DATANASCIMENTO, c.NASCIMENTOAPROXIMADO, c.FAVORITO, c.FOTO,
+    c.IDEMPRESA, (SELECT emp.NOME FROM Empresa emp WHERE emp.ID = c.IDEMPRESA) AS NOMEEMPRESA, c.CARGO, c.CRIADOEM,
+    c.VERSAO, c.ATUALIZADOEM`;
+
+/**
+ * Ordem padrão das listagens: favoritos fixados no topo, depois por nome
+ * (c.ID desempata homônimos, como em ORDENACOES_CONTATOS: a paginação não repete nem pula contatos)
+ */
+const SQL_ORDEM_CONTATOS = 'c.FAVORITO DESC, c.NOME, c.ID';
+
+/**
+ * Ordenações aceitas em ?ordenar= (GET /api/contatos), para ?direcao=asc e desc
+ * c.ID no final desempata, para que as páginas não repitam nem pulem contatos
+ * - idade: asc = mais novo primeiro (data de nascimento mais recente); sem data sempre por último
+ * - criacao: contatos anteriores à migração 016 (CRIADOEM NULL) contam como os mais antigos
+ */
+const ORDENACOES_CONTATOS = {
+    nome: {
+        asc: 'c.NOME COLLATE NOCASE, c.ID',
+        desc: 'c.NOME COLLATE NOCASE DESC, c.ID DESC'
+    },
+    idade: {
+        asc: 'c.DATANASCIMENTO IS NULL, c.DATANASCIMENTO DESC, c.ID',
+        desc: 'c.DATANASCIMENTO IS NULL, c.DATANASCIMENTO, c.ID'
+    },
+    criacao: {
+        asc: 'c.CRIADOEM, c.ID',
+        desc: 'c.CRIADOEM DESC, c.ID DESC'
+    }
+};
+
+/**
+ * Tamanho máximo de página em ?limite=
+ */
+const LIMITE_PAGINA = 200;
+
+/**
+ * Campos do contato que podem ser pedidos em ?campos= (ID sempre vem)
+ */
+const CAMPOS_CONTATO = ['ID', 'NOME', 'IDADE', 'DATANASCIMENTO', 'NASCIMENTOAPROXIMADO', 'FAVORITO', 'FOTO', 'MINIATURA',
+    'EMPRESA', 'CARGO', 'CRIADOEM', 'VERSAO', 'ATUALIZADOEM', 'TELEFONES', 'EMAILS', 'ENDERECOS', 'TAGS', 'CAMPOS'];
+
+/**
+ * Identifica a versão da API pela URL
+ *
+ * - /api/...    → v1: TELEFONES é array de strings
+ * - /api/v2/... → v2: TELEFONES é array de objetos { ID, NUMERO, TIPO, PRINCIPAL, E164, PAIS, LINHA, UF, REGIAO }
+ *
+ * @param {Object} req - Requisição Express
+ * @returns {number} 1 ou 2
+ */
+function versaoApi(req) {
+    return req.originalUrl.startsWith('/api/v2/') ? 2 : 1;
+}
+
+/**
+ * Lê o filtro ?favoritos=1 (aceita também "true")
+ *
+ * @param {Object} query - req.query (ou os filtros de uma pesquisa salva)
+ * @returns {boolean}
+ */
+function lerFiltroFavoritos(query) {
+    return ['1', 'true'].includes(String(query.favoritos || '').toLowerCase());
+}
+
+/**
+ * Lê paginação, ordenação e seleção de campos da listagem
+ * (?limite=30&deslocamento=60&ordenar=idade&direcao=desc&campos=NOME,TELEFONES)
+ *
+ * Sem ?limite a listagem vem completa (compatível com clientes antigos).
+ * Sem ?ordenar vale a ordem padrão (favoritos primeiro, depois nome).
+ *
+ * @param {Object} req - Requisição Express
+ * @returns {{erro: string}|{limite: number|null, deslocamento: number, ordem: string, campos: Set<string>|null}}
+ */
+function lerPaginacao(req) {
+    const { limite, deslocamento, ordenar, direcao, campos } = req.query;
+    const pagina = { limite: null, deslocamento: 0, ordem: SQL_ORDEM_CONTATOS, campos: null };
+
+    if (limite !== undefined && limite !== '') {
+        pagina.limite = Number(limite);
+        if (!Number.isInteger(pagina.limite) || pagina.limite < 1 || pagina.limite > LIMITE_PAGINA) {
+            return { erro: `Limite inválido: ${limite} (use de 1 a ${LIMITE_PAGINA})` };
+        }
+    }
+
+    if (deslocamento !== undefined && deslocamento !== '') {
+        pagina.deslocamento = Number(deslocamento);
+        if (!Number.isInteger(pagina.deslocamento) || pagina.deslocamento < 0) {
+            return { erro: `Deslocamento inválido: ${deslocamento}` };
+        }
+    }
+
+    const sentido = String(direcao || 'asc').toLowerCase();
+    if (!['asc', 'desc'].includes(sentido)) {
+        return { erro: `Direção inválida: ${direcao} (use asc ou desc)` };
+    }
+    if (ordenar !== undefined && ordenar !== '') {
+        const ordenacao = ORDENACOES_CONTATOS[String(ordenar).toLowerCase()];
+        if (!ordenacao) {
+            return { erro: `Ordenação inválida: ${ordenar} (use ${Object.keys(ORDENACOES_CONTATOS).join(', ')})` };
+        }
+        pagina.ordem = ordenacao[sentido];
+    }
+
+    if (campos !== undefined && campos !== '') {
+        const pedidos = String(campos).split(',').map(campo => campo.trim().toUpperCase()).filter(Boolean);
+        const desconhecido = pedidos.find(campo => !CAMPOS_CONTATO.includes(campo));
+        if (desconhecido) {
+            return { erro: `Campo desconhecido: ${desconhecido} (use ${CAMPOS_CONTATO.join(', ')})` };
+        }
+        pagina.campos = new Set(['ID', ...pedidos]);
+    }
+
+    return pagina;
+}
+
+/**
+ * Carrega registros filhos (telefones, e-mails...) de vários contatos em uma única consulta
+ * 
+ * json_each() recebe os IDs como um único parâmetro JSON,
+ * evitando o limite de placeholders do SQLite em listas grandes.
+ * O SQL deve filtrar com "IDCONTATO IN (SELECT value FROM json_each(?))".
+ * 
+ * @param {string} sql - Consulta que retorna a coluna IDCONTATO
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>} Registros agrupados por IDCONTATO
+ */
+function carregarPorContato(sql, ids) {
+    if (ids.length === 0) return Promise.resolve(new Map());
+
+    return new Promise((resolve, reject) => {
+        db.all(sql, [JSON.stringify(ids)], (err, rows) => {
+            if (err) return reject(err);
+
+            const porContato = new Map();
+            rows.forEach(row => {
+                if (!porContato.has(row.IDCONTATO)) porContato.set(row.IDCONTATO, []);
+                porContato.get(row.IDCONTATO).push(row);
+            });
+            resolve(porContato);
+        });
+    });
+}
+
+/**
+ * Telefones de vários contatos (principal primeiro)
+ * 
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+function carregarTelefones(ids) {
+    return carregarPorContato(`
+        SELECT ID, IDCONTATO, NUMERO, TIPO, PRINCIPAL, E164, PAIS
+        FROM Telefone
+        WHERE IDCONTATO IN (SELECT value FROM json_each(?))
+        ORDER BY PRINCIPAL DESC, ID
+    `, ids);
+}
+
+/**
+ * E-mails de vários contatos (ordem de cadastro)
+ * 
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+function carregarEmails(ids) {
+    return carregarPorContato(`
+        SELECT ID, IDCONTATO, ENDERECO
+        FROM Email
+        WHERE IDCONTATO IN (SELECT value FROM json_each(?))
+        ORDER BY ID
+    `, ids);
+}
+
+/**
+ * Endereços de vários contatos (ordem de cadastro)
+ * 
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+function carregarEnderecos(ids) {
+    return carregarPorContato(`
+        SELECT ID, IDCONTATO, LOGRADOURO, NUMERO, COMPLEMENTO, BAIRRO, CIDADE, UF, CEP
+        FROM Endereco
+        WHERE IDCONTATO IN (SELECT value FROM json_each(?))
+        ORDER BY ID
+    `, ids);
+}
+
+/**
+ * Tags de vários contatos (ordem alfabética)
+ * 
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+function carregarTags(ids) {
+    return carregarPorContato(`
+        SELECT ct.IDCONTATO, tg.ID, tg.NOME
+        FROM ContatoTag ct
+        JOIN Tag tg ON tg.ID = ct.IDTAG
+        WHERE ct.IDCONTATO IN (SELECT value FROM json_each(?))
+        ORDER BY tg.NOME COLLATE NOCASE
+    `, ids);
+}
+
+/**
+ * Valores de campos personalizados de vários contatos
+ * 
+ * @param {Array<number>} ids - IDs dos contatos
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+function carregarCampos(ids) {
+    return carregarPorContato(`
+        SELECT v.IDCONTATO, v.IDCAMPO, v.VALOR, cp.TIPO
+        FROM ValorCampo v
+        JOIN CampoPersonalizado cp ON cp.ID = v.IDCAMPO
+        WHERE v.IDCONTATO IN (SELECT value FROM json_each(?))
+    `, ids);
+}
+
+/**
+ * Formata os valores de campos personalizados como objeto { idCampo: valor }
+ * Campos do tipo "numero" voltam como number
+ * 
+ * @param {Array<Object>} valores - Linhas de ValorCampo (com TIPO)
+ * @returns {Object}
+ */
+function formatarCampos(valores) {
+    const campos = {};
+    valores.forEach(v => {
+        campos[v.IDCAMPO] = v.TIPO === 'numero' ? Number(v.VALOR) : v.VALOR;
+    });
+    return campos;
+}
+
+/**
+ * Classificação (linha e região) de um telefone gravado
+ *
+ * @param {Object} tel - Linha da tabela Telefone (E164, NUMERO, PAIS)
+ * @returns {{LINHA: ?string, UF: ?string, REGIAO: ?string}}
+ */
+function classificarTelefone(tel) {
+    const normalizado = Telefone.normalizar(tel.E164 || tel.NUMERO, tel.PAIS);
+    return {
+        LINHA: normalizado ? normalizado.linha : null,
+        UF: normalizado ? normalizado.uf : null,
+        REGIAO: normalizado ? normalizado.regiao : null
+    };
+}
+
+/**
+ * Número na máscara canônica de exibição ("(11) 98765-4321", "+351 912 345 678")
+ * Telefones antigos que não passam nas regras atuais saem como foram gravados
+ *
+ * @param {Object} tel - Linha da tabela Telefone (E164, NUMERO, PAIS)
+ * @returns {string}
+ */
+function exibirTelefone(tel) {
+    return Telefone.formatar(tel.E164 || tel.NUMERO, tel.PAIS) || tel.NUMERO;
+}
+
+/**
+ * Formata a lista de telefones de um contato conforme a versão da API
+ * Telefone principal sempre vem primeiro; NUMERO sempre na máscara canônica (exibirTelefone)
+ *
+ * v2 inclui a classificação inferida do número (shared/telefone.js):
+ * LINHA ("movel" | "fixo"), UF e REGIAO do DDD — null para estrangeiros e
+ * telefones antigos que não passam nas regras atuais
+ *
+ * @param {Array<Object>} telefones - Linhas da tabela Telefone
+ * @param {number} versao - Versão da API (1 ou 2)
+ * @returns {Array<string>|Array<Object>}
+ */
+function formatarTelefones(telefones, versao) {
+    if (versao >= 2) {
+        return telefones.map(tel => ({
+            ID: tel.ID,
+            NUMERO: exibirTelefone(tel),
+            TIPO: tel.TIPO,
+            PRINCIPAL: tel.PRINCIPAL === 1,
+            E164: tel.E164,
+            PAIS: tel.PAIS,
+            ...classificarTelefone(tel)
+        }));
+    }
+    return telefones.map(exibirTelefone);
+}
+
+/**
+ * Monta contatos no formato da API a partir de linhas da tabela Contato
+ * 
+ * @param {Array<Object>} rows - Linhas com as colunas de SQL_COLUNAS_CONTATO
+ * @param {number} versao - Versão da API (1 ou 2)
+ * @param {Function} callback - (err, Array<Contato>)
+ * @param {Set<string>|null} [selecionados] - Campos pedidos em ?campos= (lerPaginacao); null = todos.
+ *   Tabelas filhas fora da seleção nem são consultadas
+ */
+function montarContatos(rows, versao, callback, selecionados = null) {
+    const ids = rows.map(row => row.ID);
+    const incluir = campo => !selecionados || selecionados.has(campo);
+    const carregarSe = (campo, carregar) => (incluir(campo) ? carregar(ids) : Promise.resolve(new Map()));
+
+    Promise.all([
+        carregarSe('TELEFONES', carregarTelefones),
+        carregarSe('EMAILS', carregarEmails),
+        carregarSe('ENDERECOS', carregarEnderecos),
+        carregarSe('TAGS', carregarTags),
+        carregarSe('CAMPOS', carregarCampos)
+    ])
+        .then(([telefones, emails, enderecos, tags, campos]) => {
+            const contatos = rows.map(row => ({
+                ID: row.ID,
+                NOME: row.NOME,
+                IDADE: calcularIdade(row.DATANASCIMENTO),
+                DATANASCIMENTO: row.DATANASCIMENTO,
+                NASCIMENTOAPROXIMADO: row.NASCIMENTOAPROXIMADO === 1,
+                FAVORITO: row.FAVORITO === 1,
+                ...urlsFoto(row.FOTO),
+                EMPRESA: row.IDEMPRESA ? { ID: row.IDEMPRESA, NOME: row.NOMEEMPRESA } : null,
+                CARGO: row.CARGO,
+                TELEFONES: formatarTelefones(telefones.get(row.ID) || [], versao),
+                EMAILS: (emails.get(row.ID) || []).map(email => email.ENDERECO),
+                ENDERECOS: (enderecos.get(row.ID) || []).map(e => ({
+                    ID: e.ID,
+                    LOGRADOURO: e.LOGRADOURO,
+                    NUMERO: e.NUMERO,
+                    COMPLEMENTO: e.COMPLEMENTO,
+                    BAIRRO: e.BAIRRO,
+                    CIDADE: e.CIDADE,
+                    UF: e.UF,
+                    CEP: formatarCep(e.CEP)
+                })),
+                TAGS: (tags.get(row.ID) || []).map(tag => ({ ID: tag.ID, NOME: tag.NOME })),
+                CAMPOS: formatarCampos(campos.get(row.ID) || []),
+                CRIADOEM: row.CRIADOEM,
+                VERSAO: row.VERSAO,
+                ATUALIZADOEM: row.ATUALIZADOEM
+            }));
+
+            if (!selecionados) return callback(null, contatos);
+            callback(null, contatos.map(contato => Object.fromEntries(
+                Object.entries(contato).filter(([campo]) => selecionados.has(campo))
+            )));
+        })
+        .catch(err => callback(err));
+}
+
+// ============================================
+// CONCORRÊNCIA OTIMISTA (ETag / If-Match)
+// ============================================
+
+/**
+ * Trecho de UPDATE que marca uma nova versão do contato (definido em database.js)
+ * (use em toda gravação do contato: dados, favorito, foto, telefones, e-mails, endereços, tags, campos)
+ */
+const { SQL_NOVA_VERSAO } = db;
+
+/**
+ * ETag de uma versão do contato (forte: If-Match só aceita comparação exata)
+ * 
+ * @param {number} versao - Contato.VERSAO
+ * @returns {string} Ex: "3" (com aspas)
+ */
+function etagContato(versao) {
+    return `"${versao}"`;
+}
+
+/**
+ * Confere o cabeçalho If-Match de PUT/PATCH/DELETE com a versão atual do contato
+ * 
+ * - Ausente → 428 (o cliente precisa mostrar que sabe qual versão está alterando)
+ * - "*" → aceita qualquer versão (sobrescrever de propósito)
+ * - Lista de ETags sem a versão atual → 412
+ * 
+ * @param {Object} req - Requisição Express
+ * @param {{VERSAO: number, ATUALIZADOEM: string|null}} atual - Versão atual lida do banco
+ * @returns {{status: number, erro: string, atual: Object}|null} null = pode gravar
+ */
+function conferirIfMatch(req, atual) {
+    const ifMatch = (req.get('If-Match') || '').trim();
+    if (!ifMatch) {
+        return { status: 428, erro: 'Informe o cabeçalho If-Match com o ETag de GET /api/contatos/:id', atual };
+    }
+
+    if (ifMatch === '*') return null;
+
+    const etags = ifMatch.split(',').map(etag => etag.trim());
+    if (!etags.includes(etagContato(atual.VERSAO))) {
+        return { status: 412, erro: 'Contato alterado por outra pessoa depois que você o abriu', atual };
+    }
+    return null;
+}
+
+/**
+ * Relê a versão dentro da transação e confere o If-Match de novo: entre a leitura
+ * feita pelo handler e o BEGIN, outra requisição pode ter gravado o contato
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {Object} req - Requisição Express
+ * @param {number|string} id - ID do contato
+ * @returns {Promise<{falha: Object}|{versao: number}>} falha = 404/412/428 para recusarVersao
+ */
+async function lerVersaoParaGravar(tx, req, id) {
+    const atual = await tx.obter('SELECT VERSAO, ATUALIZADOEM FROM Contato WHERE ID = ?', [id]);
+    if (!atual) return { falha: { status: 404, erro: 'Contato não encontrado' } };
+
+    const falha = conferirIfMatch(req, atual);
+    return falha ? { falha } : { versao: atual.VERSAO };
+}
+
+/**
+ * Responde a recusa de conferirIfMatch/lerVersaoParaGravar; no 412 envia o ETag e a data
+ * da versão atual para o cliente recarregar ou sobrescrever conscientemente
+ * 
+ * @param {Object} res - Resposta Express
+ * @param {{status: number, erro: string, atual?: Object}} falha - Recusa
+ */
+function recusarVersao(res, falha) {
+    if (falha.status === 412) {
+        res.set('ETag', etagContato(falha.atual.VERSAO));
+        return res.status(412).json({ erro: falha.erro, versao: falha.atual.VERSAO, atualizadoEm: falha.atual.ATUALIZADOEM });
+    }
+    res.status(falha.status).json({ erro: falha.erro });
+}
+
+/**
+ * Marca nova versão do contato (telefones avulsos e tags, que não passam pelo PUT)
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} id - ID do contato
+ * @returns {Promise<void>}
+ */
+async function incrementarVersao(tx, id) {
+    await tx.executar(`UPDATE Contato SET ${SQL_NOVA_VERSAO} WHERE ID = ?`, [id]);
+}
+
+// ============================================
+// ENDPOINTS DA API REST
+// ============================================
+
+/**
+ * GET /api/contatos  (v1)
+ * GET /api/v2/contatos  (v2)
+ * 
+ * Lista todos os contatos com seus telefones
+ * 
+ * Retorno: Array de objetos
+ * [
+ *   {
+ *     ID: 1,
+ *     NOME: "João Silva",
+ *     IDADE: 25,                          // calculada a partir de DATANASCIMENTO
+ *     DATANASCIMENTO: "2000-05-10",
+ *     NASCIMENTOAPROXIMADO: false,        // true = data migrada de uma IDADE antiga
+ *     FAVORITO: true,
+ *     FOTO: "/fotos/1-lq3x9k.jpg",        // null = sem foto
+ *     MINIATURA: "/fotos/1-lq3x9k_mini.jpg",
+ *     EMPRESA: { ID: 4, NOME: "ACME Ltda" },  // null = sem empresa
+ *     CARGO: "Gerente de Vendas",
+ *     TELEFONES: ["(11) 98765-4321", "(11) 3456-7890"]           // v1
+ *     TELEFONES: [{ ID: 3, NUMERO: "(11) 98765-4321",            // v2
+ *                   TIPO: "celular", PRINCIPAL: true,
+ *                   E164: "+5511987654321", PAIS: "BR" }, ...],
+ *     TAGS: [{ ID: 2, NOME: "Família" }],
+ *     CAMPOS: { "1": "123.456.789-00", "3": 42 },  // { idCampo: valor } (GET /api/campos)
+ *     CRIADOEM: "2025-11-06T12:00:00Z",   // null = cadastrado antes da migração 016
+ *     VERSAO: 3,                          // ETag de GET /api/contatos/:id (If-Match em PUT/PATCH/DELETE)
+ *     ATUALIZADOEM: "2025-11-07T09:30:00Z" // null = não alterado desde a migração 018
+ *   },
+ *   ...
+ * ]
+ * 
+ * Parâmetros (query string, opcionais):
+ * - tag: ID da tag; lista só os contatos do grupo
+ * - favoritos=1: lista só os favoritos
+ * - limite (1 a 200) e deslocamento: página da listagem; sem limite vem tudo
+ * - ordenar=nome|idade|criacao e direcao=asc|desc (padrão: favoritos primeiro, depois por nome)
+ * - campos=NOME,TELEFONES: só esses campos (ID sempre vem; ver CAMPOS_CONTATO)
+ * 
+ * Cabeçalho X-Total-Count: total de contatos com os filtros, independente da página
+ * Parâmetro inválido → 400 { erro }
+ */
+app.get(['/api/contatos', '/api/v2/contatos'], (req, res) => {
+    const filtroTag = lerFiltroTag(req.query);
+    if (filtroTag.erro) {
+        return res.status(400).json({ erro: filtroTag.erro });
+    }
+
+    const pagina = lerPaginacao(req);
+    if (pagina.erro) {
+        return res.status(400).json({ erro: pagina.erro });
+    }
+
+    const condicoes = [];
+    const params = [];
+
+    if (filtroTag.tag) {
+        condicoes.push('c.ID IN (SELECT ct.IDCONTATO FROM ContatoTag ct WHERE ct.IDTAG = ?)');
+        params.push(filtroTag.tag);
+    }
+
+    if (lerFiltroFavoritos(req.query)) {
+        condicoes.push('c.FAVORITO = 1');
+    }
+
+    const where = condicoes.length > 0 ? `WHERE ${condicoes.join(' AND ')}` : '';
+    const sql = `
+        SELECT ${SQL_COLUNAS_CONTATO}, COUNT(*) OVER () AS TOTAL
+        FROM Contato c
+        ${where}
+        ORDER BY ${pagina.ordem}
+        ${pagina.limite ? 'LIMIT ? OFFSET ?' : ''}
+    `;
+    const paramsPagina = pagina.limite ? [...params, pagina.limite, pagina.deslocamento] : params;
+
+    db.all(sql, paramsPagina, (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar contatos:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar contatos' });
+        }
+
+        // Página além do fim não traz linhas (nem o COUNT da janela): conta à parte
+        const contarTotal = rows.length > 0 || pagina.deslocamento === 0
+            ? callback => callback(null, { TOTAL: rows.length > 0 ? rows[0].TOTAL : 0 })
+            : callback => db.get(`SELECT COUNT(*) AS TOTAL FROM Contato c ${where}`, params, callback);
+
+        contarTotal((err, contagem) => {
+            if (err) {
+                console.error('Erro ao contar contatos:', err);
+                return res.status(500).json({ erro: 'Erro ao buscar contatos' });
+            }
+
+            montarContatos(rows, versaoApi(req), (err, contatos) => {
+                if (err) {
+                    console.error('Erro ao buscar telefones:', err);
+                    return res.status(500).json({ erro: 'Erro ao buscar contatos' });
+                }
+                res.set('X-Total-Count', String(contagem.TOTAL));
+                res.json(contatos);
+            }, pagina.campos);
+        });
+    });
+});
+
+/**
+ * Pesos das colunas de ContatoBusca no bm25() (mesma ordem da migração 015):
+ * NOME, EMPRESA, CARGO, EMAILS, CIDADES, NOTAS
+ */
+const PESOS_BUSCA = [10, 4, 3, 2, 2, 1];
+
+/**
+ * Converte o texto digitado em consulta FTS5 com prefixo em cada palavra
+ * 
+ * - "joão sil" → "joão"* "sil"* (todas as palavras precisam casar)
+ * - Sintaxe do FTS5 digitada pelo usuário (aspas, *, parênteses, OR, NEAR...) é descartada
+ * - Acentos e maiúsculas são tratados pelo tokenizador (unicode61 remove_diacritics)
+ * 
+ * @param {string} termo - Texto da pesquisa
+ * @returns {string|null} Consulta para MATCH, ou null se não sobrar nenhuma palavra
+ */
+function montarConsultaFts(termo) {
+    const palavras = termo.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (palavras.length === 0) return null;
+    return palavras.map(palavra => `"${palavra}"*`).join(' ');
+}
+
+// ============================================
+// CONSULTA ESTRUTURADA (nome:ana idade:>30 ddd:11)
+// ============================================
+
+/**
+ * Colunas de ContatoBusca usadas pelos campos de texto da consulta
+ */
+const COLUNAS_FTS_CONSULTA = { nome: 'NOME', empresa: 'EMPRESA', cargo: 'CARGO', cidade: 'CIDADES' };
+
+/**
+ * Data de nascimento limite para "ter ao menos N anos" ("YYYY-MM-DD", comparável como texto)
+ * Mesma regra de calcularIdade: quem nasceu até esta data já fez N anos hoje
+ * 
+ * @param {number} anos - Idade
+ * @param {Date} hoje - Data de referência
+ * @returns {string}
+ */
+function nascidoAte(anos, hoje) {
+    const [, mes, dia] = formatarDataIso(hoje).split('-');
+    return `${String(hoje.getFullYear() - anos).padStart(4, '0')}-${mes}-${dia}`;
+}
+
+/**
+ * Condição SQL de um termo da consulta (consulta.js)
+ * 
+ * @param {Object} termo - Nó { tipo: 'termo', campo, valor, posicao, idade? }
+ * @param {Date} hoje - Data de referência para idade
+ * @returns {{sql: string, params: Array}}
+ * @throws {ErroConsulta} Valor inválido para o campo (DDD, UF, favorito...)
+ */
+function condicaoTermo(termo, hoje) {
+    const { campo, valor, posicao } = termo;
+    const fts = (consulta, coluna) => {
+        if (!consulta) throw new ErroConsulta(`Nada para buscar em "${valor}"`, posicao);
+        return {
+            sql: 'c.ID IN (SELECT rowid FROM ContatoBusca WHERE ContatoBusca MATCH ?)',
+            params: [coluna ? `${coluna} : (${consulta})` : consulta]
+        };
+    };
+    const telefone = (digitos) => ({
+        sql: 'c.ID IN (SELECT t.IDCONTATO FROM Telefone t WHERE t.NUMERONORMALIZADO LIKE ?)',
+        params: [`%${digitos}%`]
+    });
+
+    switch (campo) {
+        case null:
+            // Termo sem campo: mesma escolha da busca simples
+            if (valor.includes('@')) {
+                return { sql: 'c.ID IN (SELECT e.IDCONTATO FROM Email e WHERE e.ENDERECO LIKE ?)', params: [`%${valor.toLowerCase()}%`] };
+            }
+            if (/\d/.test(valor)) return telefone(normalizarNumero(valor));
+            return fts(montarConsultaFts(valor));
+        case 'nome':
+        case 'empresa':
+        case 'cargo':
+        case 'cidade':
+            return fts(montarConsultaFts(valor), COLUNAS_FTS_CONSULTA[campo]);
+        case 'tel': {
+            const digitos = normalizarNumero(valor);
+            if (!digitos) throw new ErroConsulta(`Telefone sem dígitos: "${valor}"`, posicao);
+            return telefone(digitos);
+        }
+        case 'ddd':
+            if (!Telefone.DDDS[valor]) throw new ErroConsulta(`DDD inválido: "${valor}"`, posicao);
+            return {
+                sql: `c.ID IN (SELECT t.IDCONTATO FROM Telefone t WHERE t.PAIS = 'BR' AND t.NUMERONORMALIZADO LIKE ?)`,
+                params: [`55${valor}%`]
+            };
+        case 'email':
+            return { sql: 'c.ID IN (SELECT e.IDCONTATO FROM Email e WHERE e.ENDERECO LIKE ?)', params: [`%${valor.toLowerCase()}%`] };
+        case 'idade': {
+            if (termo.idade.nenhuma) return { sql: 'c.DATANASCIMENTO IS NULL', params: [] };
+            const partes = [];
+            const params = [];
+            if (termo.idade.minimo !== null) {
+                partes.push('c.DATANASCIMENTO <= ?');
+                params.push(nascidoAte(termo.idade.minimo, hoje));
+            }
+            if (termo.idade.maximo !== null) {
+                partes.push('c.DATANASCIMENTO > ?');
+                params.push(nascidoAte(termo.idade.maximo + 1, hoje));
+            }
+            return { sql: partes.length > 0 ? `(${partes.join(' AND ')})` : 'c.DATANASCIMENTO IS NOT NULL', params };
+        }
+        case 'uf': {
+            const uf = valor.toUpperCase();
+            if (!UFS_BRASIL.includes(uf)) throw new ErroConsulta(`UF inválida: "${valor}"`, posicao);
+            return { sql: 'c.ID IN (SELECT en.IDCONTATO FROM Endereco en WHERE en.UF = ?)', params: [uf] };
+        }
+        case 'tag':
+            return {
+                sql: 'c.ID IN (SELECT ct.IDCONTATO FROM ContatoTag ct JOIN Tag tg ON tg.ID = ct.IDTAG WHERE tg.CHAVE = ?)',
+                params: [valor.toLocaleLowerCase('pt-BR')]
+            };
+        case 'favorito': {
+            const resposta = valor.toLowerCase();
+            if (!['sim', 'nao', 'não'].includes(resposta)) {
+                throw new ErroConsulta(`Use favorito:sim ou favorito:nao (recebido "${valor}")`, posicao);
+            }
+            return { sql: 'c.FAVORITO = ?', params: [resposta === 'sim' ? 1 : 0] };
+        }
+        default:
+            throw new ErroConsulta(`Campo desconhecido: ${campo}`, posicao);
+    }
+}
+
+/**
+ * Traduz a árvore de analisarConsulta (consulta.js) em condição SQL sobre "c" (Contato)
+ * 
+ * @param {Object} no - Nó 'e' | 'ou' | 'termo'
+ * @param {Date} hoje - Data de referência para idade
+ * @returns {{sql: string, params: Array}}
+ * @throws {ErroConsulta}
+ */
+function traduzirConsulta(no, hoje = new Date()) {
+    if (no.tipo === 'termo') return condicaoTermo(no, hoje);
+
+    const partes = no.itens.map(item => traduzirConsulta(item, hoje));
+    return {
+        sql: `(${partes.map(p => p.sql).join(no.tipo === 'ou' ? ' OR ' : ' AND ')})`,
+        params: partes.flatMap(p => p.params)
+    };
+}
+
+// ============================================
+// BUSCA APROXIMADA (ERROS DE DIGITAÇÃO EM NOMES)
+// ============================================
+
+/**
+ * Pontuação mínima (0 a 1) para um contato aparecer na busca aproximada
+ */
+const LIMIAR_APROXIMADA = 0.75;
+
+/**
+ * Máximo de contatos devolvidos pela busca aproximada ("você quis dizer")
+ */
+const LIMITE_APROXIMADA = 10;
+
+/**
+ * Separa um texto em palavras minúsculas sem acentos ("João D'Ávila" → ["joao", "d", "avila"])
+ * 
+ * @param {string} texto
+ * @returns {Array<string>}
+ */
+function palavrasSemAcento(texto) {
+    return String(texto ?? '')
+        .toLocaleLowerCase('pt-BR')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Distância de edição (Levenshtein): inserções, remoções e trocas para ir de "a" até "b"
+ * 
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distanciaEdicao(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            atual[j] = Math.min(
+                anterior[j] + 1,
+                atual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        anterior = atual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Trocas da chave fonética, aplicadas em ordem (grafias que soam igual em português)
+ */
+const REGRAS_FONETICAS = [
+    [/ph/g, 'f'], [/th/g, 't'], [/[cs]h/g, 'x'], [/lh/g, 'l'], [/nh/g, 'n'],
+    [/sc([ei])/g, 's$1'], [/[cç]([eiy])/g, 's$1'], [/ç/g, 's'],
+    [/q[u]?([ei])/g, 'k$1'], [/gu([ei])/g, 'g$1'], [/g([eiy])/g, 'j$1'],
+    [/[cq]/g, 'k'], [/w/g, 'v'], [/y/g, 'i'], [/z/g, 's'], [/x([aeiou])/g, 'x$1'],
+    [/m$/g, 'n'], [/([a-z])\1+/g, '$1'], [/h/g, '']
+];
+
+/**
+ * Chave fonética de uma palavra em português (inspirada no BuscaBR)
+ * 
+ * Grafias diferentes do mesmo som geram a mesma chave:
+ * "Wellington"/"Welington" → "vlngtn", "Tavares"/"Tavarez" → "tvrs",
+ * "Thiago"/"Tiago", "Luiz"/"Luis", "Souza"/"Sousa", "Felipe"/"Phelipe"
+ * 
+ * @param {string} palavra - Palavra minúscula (ç e acentos são tratados)
+ * @returns {string} Consoantes após as trocas, mantendo a primeira letra
+ */
+function chaveFonetica(palavra) {
+    // Remove acentos preservando o "ç" (que vira "s" nas regras)
+    let chave = palavra.toLocaleLowerCase('pt-BR').normalize('NFD')
+        .replace(/c\u0327/g, 'ç')
+        .replace(/[\u0300-\u036f]/g, '');
+    REGRAS_FONETICAS.forEach(([padrao, troca]) => { chave = chave.replace(padrao, troca); });
+    // Vogais só contam na primeira letra ("Ana" ≠ "Na"), depois viram ruído de grafia
+    return chave.charAt(0) + chave.slice(1).replace(/[aeiou]/g, '');
+}
+
+/**
+ * Semelhança (0 a 1) entre uma palavra digitada e uma palavra do nome
+ * 
+ * - Distância de edição proporcional ao tamanho
+ * - Mesma chave fonética vale ao menos 0,9
+ * - Palavra digitada pela metade compara com o início do nome ("welin" ≈ "welli...");
+ *   se a chave fonética dela for o começo da chave do nome, vale ao menos 0,85
+ * 
+ * @param {string} digitada
+ * @param {string} palavra
+ * @returns {number}
+ */
+function semelhancaPalavra(digitada, palavra) {
+    const proporcional = (a, b) => 1 - distanciaEdicao(a, b) / Math.max(a.length, b.length);
+
+    let semelhanca = proporcional(digitada, palavra);
+    if (chaveFonetica(digitada) === chaveFonetica(palavra)) semelhanca = Math.max(semelhanca, 0.9);
+    if (digitada.length >= 3 && digitada.length < palavra.length) {
+        semelhanca = Math.max(semelhanca, proporcional(digitada, palavra.slice(0, digitada.length)) * 0.95);
+        if (chaveFonetica(palavra).startsWith(chaveFonetica(digitada))) semelhanca = Math.max(semelhanca, 0.85);
+    }
+    return semelhanca;
+}
+
+/**
+ * Pontua o nome de um contato contra o termo: média da melhor semelhança de cada palavra digitada
+ * 
+ * @param {Array<string>} palavrasTermo - palavrasSemAcento(termo)
+ * @param {string} nome - Nome do contato
+ * @returns {number} 0 a 1
+ */
+function pontuarNome(palavrasTermo, nome) {
+    const palavrasNome = palavrasSemAcento(nome);
+    if (palavrasTermo.length === 0 || palavrasNome.length === 0) return 0;
+
+    const total = palavrasTermo.reduce((soma, digitada) =>
+        soma + Math.max(...palavrasNome.map(palavra => semelhancaPalavra(digitada, palavra))), 0);
+    return total / palavrasTermo.length;
+}
+
+// ============================================
+// PESQUISA (USADA PELA BARRA DE BUSCA E PELAS PESQUISAS SALVAS)
+// ============================================
+
+/**
+ * Monta a consulta SQL de uma pesquisa a partir dos filtros
+ * 
+ * @param {Object} filtros - req.query de /pesquisar ou filtrosPesquisaSalva(); todos opcionais:
+ *   { termo, cidade, uf, tag, favoritos, modo }
+ * @returns {{erro: string, posicao?: number}|{vazia: true}|{sql: string, params: Array, aproximada: boolean, palavrasTermo: Array<string>}}
+ *   vazia = nenhum critério informado (resultado é lista vazia)
+ */
+function prepararPesquisa(filtros) {
+    // Busca simplificada: E-MAIL (termo com "@"), TELEFONE (termo com dígitos) ou NOME/E-MAIL/CIDADE/NOTAS/EMPRESA/CARGO (texto)
+    const termo = String(filtros.termo || '').trim();
+    const cidade = String(filtros.cidade || '').trim();
+    const uf = String(filtros.uf || '').trim().toUpperCase();
+    const filtroTag = lerFiltroTag(filtros);
+    const modo = filtros.modo || 'exato';
+
+    if (modo !== 'exato' && modo !== 'aproximado') {
+        return { erro: `Modo de busca inválido: ${modo} (use exato ou aproximado)` };
+    }
+    const aproximada = modo === 'aproximado';
+    const palavrasTermo = palavrasSemAcento(termo);
+    const estruturada = ehConsultaEstruturada(termo);
+
+    if (aproximada && (palavrasTermo.length === 0 || /[\d@]/.test(termo) || estruturada)) {
+        return { erro: 'A busca aproximada precisa de um termo de texto simples (sem dígitos, "@" ou campos)' };
+    }
+
+    if (!termo && !cidade && !uf && !filtroTag.tag && !filtroTag.erro) return { vazia: true };
+
+    if (uf && !UFS_BRASIL.includes(uf)) {
+        return { erro: `UF inválida: ${uf}` };
+    }
+
+    if (filtroTag.erro) {
+        return { erro: filtroTag.erro };
+    }
+
+    // Cada filtro informado vira uma condição (combinadas com AND)
+    const condicoes = [];
+    const params = [];
+    // Busca textual: junta o ranking do FTS (parâmetro vem antes dos do WHERE)
+    let juncaoBusca = '';
+    let ordem = SQL_ORDEM_CONTATOS;
+
+    if (aproximada) {
+        // Nomes são pontuados depois da consulta (só os demais filtros entram no WHERE)
+    } else if (estruturada) {
+        try {
+            const traduzida = traduzirConsulta(analisarConsulta(termo));
+            condicoes.push(traduzida.sql);
+            params.push(...traduzida.params);
+        } catch (err) {
+            if (!(err instanceof ErroConsulta)) throw err;
+            return { erro: `Consulta inválida: ${err.message}`, posicao: err.posicao };
+        }
+    } else if (termo.includes('@')) {
+        // "@" só aparece em e-mails (que podem conter dígitos: testar antes do telefone)
+        condicoes.push('c.ID IN (SELECT e.IDCONTATO FROM Email e WHERE e.ENDERECO LIKE ?)');
+        params.push(`%${termo.toLowerCase()}%`);
+    } else if (/\d/.test(termo)) {
+        // Se o termo contém dígitos, procurar na coluna indexada NUMERONORMALIZADO
+        // - Número completo e válido: igualdade pela chave (usa o índice)
+        // - Trecho de número: LIKE nos dígitos ("+55 11 9876" e "(11) 9876" batem), lido só do índice
+        const completo = Telefone.normalizar(termo);
+        condicoes.push(`c.ID IN (
+            SELECT t.IDCONTATO FROM Telefone t
+            WHERE t.NUMERONORMALIZADO ${completo ? '= ?' : 'LIKE ?'}
+        )`);
+        params.push(completo ? Telefone.chave(termo) : `%${normalizarNumero(termo)}%`);
+    } else if (termo) {
+        // Busca por nome, empresa, cargo, e-mail, cidade ou notas (FTS5, sem acentos)
+        const consulta = montarConsultaFts(termo);
+        if (!consulta) return { vazia: true };
+        juncaoBusca = `JOIN (
+            SELECT rowid AS IDBUSCA, bm25(ContatoBusca, ${PESOS_BUSCA.join(', ')}) AS RELEVANCIA
+            FROM ContatoBusca WHERE ContatoBusca MATCH ?
+        ) busca ON busca.IDBUSCA = c.ID`;
+        params.unshift(consulta);
+        ordem = `busca.RELEVANCIA, ${SQL_ORDEM_CONTATOS}`;
+    }
+
+    if (cidade) {
+        condicoes.push('c.ID IN (SELECT en.IDCONTATO FROM Endereco en WHERE en.CIDADE LIKE ? COLLATE NOCASE)');
+        params.push(`%${cidade}%`);
+    }
+
+    if (uf) {
+        condicoes.push('c.ID IN (SELECT en.IDCONTATO FROM Endereco en WHERE en.UF = ?)');
+        params.push(uf);
+    }
+
+    if (filtroTag.tag) {
+        condicoes.push('c.ID IN (SELECT ct.IDCONTATO FROM ContatoTag ct WHERE ct.IDTAG = ?)');
+        params.push(filtroTag.tag);
+    }
+
+    if (lerFiltroFavoritos(filtros)) {
+        condicoes.push('c.FAVORITO = 1');
+    }
+
+    const sql = `
+        SELECT ${SQL_COLUNAS_CONTATO}
+        FROM Contato c
+        ${juncaoBusca}
+        WHERE ${condicoes.length > 0 ? condicoes.join(' AND ') : '1 = 1'}
+        ORDER BY ${ordem}
+    `;
+
+    return { sql, params, aproximada, palavrasTermo };
+}
+
+/**
+ * Executa uma pesquisa montada por prepararPesquisa()
+ * Na busca aproximada, pontua os nomes e fica só com os mais parecidos
+ * 
+ * @param {Object} pesquisa - Saída de prepararPesquisa() (com sql)
+ * @param {Function} callback - (err, rows, pontuacoes: Map<ID, number>)
+ */
+function executarPesquisa(pesquisa, callback) {
+    db.all(pesquisa.sql, pesquisa.params, (err, rows) => {
+        if (err) return callback(err);
+
+        const pontuacoes = new Map();
+        if (pesquisa.aproximada) {
+            rows = (rows || [])
+                .map(row => ({ row, pontuacao: pontuarNome(pesquisa.palavrasTermo, row.NOME) }))
+                .filter(item => item.pontuacao >= LIMIAR_APROXIMADA)
+                .sort((a, b) => b.pontuacao - a.pontuacao)
+                .slice(0, LIMITE_APROXIMADA)
+                .map(item => {
+                    pontuacoes.set(item.row.ID, Math.round(item.pontuacao * 100) / 100);
+                    return item.row;
+                });
+        }
+
+        callback(null, rows || [], pontuacoes);
+    });
+}
+
+// ============================================
+// PESQUISAS SALVAS (LISTAS INTELIGENTES)
+// ============================================
+
+/**
+ * Valida o corpo de POST/PUT /api/pesquisas
+ * 
+ * Regras:
+ * - nome obrigatório, até 60 caracteres, único sem diferenciar maiúsculas (CHAVE)
+ * - termo (até 200 caracteres), uf, tag e favoritos seguem as regras de /pesquisar
+ *   (termo pode usar a consulta por campos: "tag:clientes ddd:21", "idade:nenhuma")
+ * - ao menos termo, uf ou tag (favoritos sozinho não dispara a pesquisa)
+ * 
+ * @param {Object} body - { nome, termo?, uf?, tag?, favoritos? }
+ * @returns {{erro: string, posicao?: number}|{nome, chave, termo, uf, tag, favoritos}}
+ */
+function validarPesquisaSalva(body) {
+    const nome = typeof body.nome === 'string' ? sanitizar(body.nome) : '';
+    if (!nome) return { erro: 'Nome da pesquisa é obrigatório' };
+    if (nome.length > 60) return { erro: 'Nome da pesquisa deve ter no máximo 60 caracteres' };
+
+    if (body.termo !== undefined && body.termo !== null && typeof body.termo !== 'string') {
+        return { erro: 'Termo da pesquisa deve ser texto' };
+    }
+    const termo = (body.termo || '').trim();
+    if (termo.length > 200) return { erro: 'Termo da pesquisa deve ter no máximo 200 caracteres' };
+
+    const filtros = {
+        termo,
+        uf: body.uf ? String(body.uf).trim().toUpperCase() : '',
+        tag: body.tag ?? '',
+        favoritos: lerFiltroFavoritos(body) ? '1' : ''
+    };
+    const pesquisa = prepararPesquisa(filtros);
+    if (pesquisa.erro) return pesquisa;
+    if (pesquisa.vazia) return { erro: 'Informe um termo, UF ou tag para a pesquisa' };
+
+    return {
+        nome,
+        chave: nome.toLocaleLowerCase('pt-BR'),
+        termo,
+        uf: filtros.uf || null,
+        tag: lerFiltroTag(filtros).tag,
+        favoritos: filtros.favoritos === '1'
+    };
+}
+
+/**
+ * Filtros de uma pesquisa salva no formato de req.query de /pesquisar (entrada de prepararPesquisa)
+ * 
+ * @param {Object} row - Linha de PesquisaSalva
+ * @returns {{termo: string, uf: string, tag: string, favoritos: string}}
+ */
+function filtrosPesquisaSalva(row) {
+    return {
+        termo: row.TERMO,
+        uf: row.UF || '',
+        tag: row.IDTAG ? String(row.IDTAG) : '',
+        favoritos: row.FAVORITOS === 1 ? '1' : ''
+    };
+}
+
+/**
+ * Conta os contatos de uma pesquisa salva (executada na hora, mesma lógica de /pesquisar)
+ * 
+ * @param {Object} row - Linha de PesquisaSalva
+ * @returns {Promise<number>}
+ */
+function contarPesquisaSalva(row) {
+    const pesquisa = prepararPesquisa(filtrosPesquisaSalva(row));
+    if (pesquisa.erro || pesquisa.vazia) return Promise.resolve(0);
+
+    return new Promise((resolve, reject) => {
+        executarPesquisa(pesquisa, (err, rows) => (err ? reject(err) : resolve(rows.length)));
+    });
+}
+
+/**
+ * GET /api/contatos/pesquisar?termo=XXX
+ * GET /api/v2/contatos/pesquisar?termo=XXX
+ * 
+ * Busca contatos por nome, e-mail, telefone, cidade ou notas (case-insensitive)
+ * 
+ * Parâmetros (query string, ao menos um):
+ * - termo: Texto para buscar
+ * - cidade: Filtra contatos com endereço na cidade (LIKE, case-insensitive)
+ * - uf: Filtra contatos com endereço no estado (sigla, ex: SP)
+ * - tag: Filtra contatos do grupo (ID da tag)
+ * - favoritos=1: Só favoritos (combinado com os demais; sozinho não dispara a busca)
+ * - modo=aproximado: Busca tolerante a erros de digitação no nome (ver abaixo)
+ * 
+ * Comportamento:
+ * - Termo com sintaxe de consulta (campo:valor, E/OU, parênteses, aspas): consulta estruturada
+ *   ("nome:ana idade:>30 ddd:11 tel:9876"; ver consulta.js); erro de sintaxe → 400 { erro, posicao }
+ * - Termo com "@": busca apenas em EMAILS
+ * - Termo com dígitos: busca em TELEFONES normalizados
+ * - Demais termos: índice FTS5 ContatoBusca (NOME, EMPRESA, CARGO, EMAILS, CIDADES, NOTAS)
+ *   - Ignora acentos e maiúsculas ("joao" encontra "João")
+ *   - Cada palavra casa pelo início ("ana sil" encontra "Ana Silva"); todas precisam casar
+ *   - Resultados por relevância (bm25, nome pesa mais), depois a ordenação padrão
+ * - Filtros informados juntos são combinados (AND)
+ * - Ignora formatação de telefone (busca "11987654321" encontra "(11) 98765-4321")
+ * - Retorna todos os telefones do contato, não só os que casaram com o termo
+ * - Sem termo de texto: mesma ordenação de GET /api/contatos (favoritos primeiro)
+ * 
+ * Busca aproximada (modo=aproximado), usada para o "você quis dizer" quando a busca exata não acha nada:
+ * - Compara cada palavra do termo com as palavras do NOME (distância de edição + chave fonética)
+ * - "welington tavarez" encontra "Wellington Tavares"; filtros cidade/uf/tag/favoritos continuam valendo
+ * - Só termos de texto (sem dígitos nem "@"); até LIMITE_APROXIMADA contatos com pontuação ≥ LIMIAR_APROXIMADA
+ * - Cada contato vem com PONTUACAO (0 a 1), do mais parecido para o menos
+ * 
+ * Retorno: Array de contatos (mesmo formato de GET /api/contatos)
+ */
+app.get(['/api/contatos/pesquisar', '/api/v2/contatos/pesquisar'], (req, res) => {
+    const pesquisa = prepararPesquisa(req.query);
+    if (pesquisa.erro) {
+        return res.status(400).json(pesquisa.posicao === undefined ? { erro: pesquisa.erro } : { erro: pesquisa.erro, posicao: pesquisa.posicao });
+    }
+    if (pesquisa.vazia) return res.json([]);
+
+    executarPesquisa(pesquisa, (err, rows, pontuacoes) => {
+        if (err) {
+            console.error('[SEARCH] erro:', err);
+            return res.status(500).json({ erro: 'Erro ao pesquisar contatos' });
+        }
+
+        montarContatos(rows, versaoApi(req), (err, contatos) => {
+            if (err) {
+                console.error('[SEARCH] erro telefones:', err);
+                return res.status(500).json({ erro: 'Erro ao pesquisar contatos' });
+            }
+            if (pesquisa.aproximada) {
+                contatos.forEach(contato => { contato.PONTUACAO = pontuacoes.get(contato.ID); });
+            }
+            return res.json(contatos);
+        });
+    });
+});
+
+/**
+ * GET /api/aniversarios?dias=30
+ * 
+ * Lista os aniversários dos próximos N dias (hoje incluso)
+ * 
+ * Parâmetros:
+ * - dias (query string): Janela em dias, de 0 a 366 (padrão 30)
+ * 
+ * Comportamento:
+ * - Ignora contatos sem data ou com data aproximada (migrada de IDADE)
+ * - Ordena do aniversário mais próximo para o mais distante
+ * 
+ * Retorno:
+ * [
+ *   { ID: 1, NOME: "João Silva", DATANASCIMENTO: "2000-05-10",
+ *     PROXIMOANIVERSARIO: "2026-05-10", DIASATE: 3, IDADEAFAZER: 26 }
+ * ]
+ */
+app.get('/api/aniversarios', (req, res) => {
+    const dias = req.query.dias === undefined ? 30 : parseInt(req.query.dias);
+
+    if (isNaN(dias) || dias < 0 || dias > 366) {
+        return res.status(400).json({ erro: 'Parâmetro dias deve estar entre 0 e 366' });
+    }
+
+    const sql = `
+        SELECT c.ID, c.NOME, c.DATANASCIMENTO
+        FROM Contato c
+        WHERE c.DATANASCIMENTO IS NOT NULL AND c.NASCIMENTOAPROXIMADO = 0
+    `;
+
+    db.all(sql, [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar aniversários:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar aniversários' });
+        }
+
+        const hoje = new Date();
+        hoje.setHours(0, 0, 0, 0);
+
+        const aniversarios = rows
+            .map(row => ({ row, proximo: proximoAniversario(row.DATANASCIMENTO, hoje) }))
+            .filter(({ proximo }) => proximo && proximo.diasAte <= dias)
+            .sort((a, b) => a.proximo.diasAte - b.proximo.diasAte || a.row.NOME.localeCompare(b.row.NOME))
+            .map(({ row, proximo }) => ({
+                ID: row.ID,
+                NOME: row.NOME,
+                DATANASCIMENTO: row.DATANASCIMENTO,
+                PROXIMOANIVERSARIO: formatarDataIso(proximo.data),
+                DIASATE: proximo.diasAte,
+                IDADEAFAZER: proximo.idadeAFazer
+            }));
+
+        res.json(aniversarios);
+    });
+});
+
+/**
+ * GET /api/contatos/:id
+ * GET /api/v2/contatos/:id
+ * 
+ * Busca um contato específico por ID
+ * 
+ * Parâmetros:
+ * - id (URL): ID do contato
+ * 
+ * Retorno: Objeto do contato
+ * {
+ *   ID: 1,
+ *   NOME: "João Silva",
+ *   IDADE: 25,
+ *   TELEFONES: ["(11) 98765-4321"],  // v2: objetos com TIPO e PRINCIPAL
+ *   EMAILS: ["joao@empresa.com.br"],
+ *   VERSAO: 3
+ * }
+ * Cabeçalho ETag: "3" (VERSAO) — reenviado em If-Match por PUT/PATCH/DELETE
+ */
+app.get(['/api/contatos/:id', '/api/v2/contatos/:id'], (req, res) => {
+    const { id } = req.params;
+
+    const sql = `
+        SELECT ${SQL_COLUNAS_CONTATO}
+        FROM Contato c
+        WHERE c.ID = ?
+    `;
+
+    db.get(sql, [id], (err, row) => {
+        if (err) {
+            console.error('Erro ao buscar contato:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar contato' });
+        }
+
+        if (!row) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        montarContatos([row], versaoApi(req), (err, contatos) => {
+            if (err) {
+                console.error('Erro ao buscar telefones do contato:', err);
+                return res.status(500).json({ erro: 'Erro ao buscar contato' });
+            }
+            res.set('ETag', etagContato(row.VERSAO));
+            res.json(contatos[0]);
+        });
+    });
+});
+
+/**
+ * POST /api/contatos
+ * POST /api/v2/contatos
+ * 
+ * Cria novo contato com telefones
+ * 
+ * Body (JSON):
+ * {
+ *   nome: "João Silva",
+ *   dataNascimento: "2000-05-10",   // opcional ("idade" ainda é aceita: vira data aproximada)
+ *   telefones: [
+ *     "(11) 3456-7890",                                                   // v1
+ *     { numero: "(11) 98765-4321", tipo: "whatsapp", principal: true },   // v2
+ *     { numero: "912 345 678", tipo: "celular", pais: "PT" }              // v2, estrangeiro
+ *   ],
+ *   emails: ["joao@empresa.com.br"],   // opcional
+ *   enderecos: [{                        // opcional
+ *     logradouro: "Av. Paulista", numero: "1000", complemento: "Apto 12",
+ *     bairro: "Bela Vista", cidade: "São Paulo", uf: "SP", cep: "01310-100"
+ *   }],
+ *   tags: [2, 5],                        // opcional (IDs de GET /api/tags)
+ *   campos: { "1": "123.456.789-00" },   // { idCampo: valor } (GET /api/campos)
+ *   empresa: "ACME Ltda",                // opcional (reaproveita a empresa de mesmo nome)
+ *   cargo: "Gerente de Vendas"           // opcional
+ * }
+ * 
+ * Validações:
+ * - Nome obrigatório, máx 100 chars
+ * - Data de nascimento válida, não futura, até 150 anos (opcional)
+ * - Telefones: validados por país (BR: DDD existente, celular com 9 / fixo com 2-5; "+DDI" para outros);
+ *   tipo em TIPOS_TELEFONE (padrão "outro"); qualquer número inválido → 400 com o motivo
+ * - Pelo menos 1 telefone obrigatório
+ * - E-mails: formato validado por validarEmail (opcional)
+ * - Endereços: logradouro, cidade, UF (lista de estados) e CEP válido (opcional)
+ * - Tags: lista de IDs de tags existentes (opcional)
+ * - Campos personalizados: validados pelo tipo; obrigatórios precisam de valor
+ * - Empresa e cargo: texto de até 100 chars (opcional)
+ * 
+ * Retorno: { id: number }
+ */
+app.post(['/api/contatos', '/api/v2/contatos'], async (req, res) => {
+    const { nome, idade, dataNascimento, telefones, emails, enderecos, tags, campos, empresa, cargo } = req.body;
+    const nascimento = resolverNascimento(dataNascimento, idade);
+
+    // Validações
+    const errosContato = validarContato(nome, nascimento.data);
+    if (errosContato.length > 0) {
+        return res.status(400).json({ erro: errosContato.join(', ') });
+    }
+
+    const preparados = prepararTelefones(telefones);
+    if (preparados.erro) {
+        return res.status(400).json({ erro: preparados.erro });
+    }
+
+    const emailsPreparados = prepararEmails(emails);
+    if (emailsPreparados.erro) {
+        return res.status(400).json({ erro: emailsPreparados.erro });
+    }
+
+    const enderecosPreparados = prepararEnderecos(enderecos);
+    if (enderecosPreparados.erro) {
+        return res.status(400).json({ erro: enderecosPreparados.erro });
+    }
+
+    const tagsPreparadas = prepararTags(tags);
+    if (tagsPreparadas.erro) {
+        return res.status(400).json({ erro: tagsPreparadas.erro });
+    }
+
+    const organizacao = prepararOrganizacao(empresa, cargo);
+    if (organizacao.erro) {
+        return res.status(400).json({ erro: organizacao.erro });
+    }
+
+    // Sanitizar dados
+    const nomeLimpo = sanitizar(nome);
+
+    try {
+        // Campos obrigatórios valem na criação mesmo se "campos" não vier no body
+        const extras = await verificarTagsECampos(tagsPreparadas.tags, campos ?? {});
+        if (extras.erro) {
+            return res.status(400).json({ erro: extras.erro });
+        }
+
+        // Contato, empresa e tabelas filhas: tudo ou nada
+        const contatoId = await dados.transacao(async (tx) => {
+            const idEmpresa = await resolverEmpresa(tx, organizacao.empresa);
+            const { lastID } = await tx.executar(`
+                INSERT INTO Contato (NOME, DATANASCIMENTO, NASCIMENTOAPROXIMADO, IDEMPRESA, CARGO, CRIADOEM)
+                VALUES (?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+            `, [nomeLimpo, nascimento.data, nascimento.aproximado ? 1 : 0, idEmpresa ?? null, organizacao.cargo ?? null]);
+
+            await inserirTelefones(tx, lastID, preparados.telefones);
+            await inserirEmails(tx, lastID, emailsPreparados.emails);
+            await inserirEnderecos(tx, lastID, enderecosPreparados.enderecos);
+            await inserirTags(tx, lastID, tagsPreparadas.tags);
+            await inserirCampos(tx, lastID, extras.valores);
+            return lastID;
+        });
+
+        res.status(201).json({ id: contatoId });
+    } catch (err) {
+        console.error('Erro ao criar contato:', err);
+        res.status(500).json({ erro: 'Erro ao criar contato' });
+    }
+});
+
+/**
+ * Campos aceitos por PATCH /api/contatos/:id (ao menos um precisa vir no body)
+ */
+const CAMPOS_PATCH_CONTATO = ['nome', 'dataNascimento', 'idade', 'telefones', 'emails', 'enderecos', 'tags', 'campos', 'empresa', 'cargo', 'favorito'];
+
+/**
+ * Atualiza um contato existente: PUT (substituição) e PATCH (parcial)
+ * 
+ * - PUT: nome e telefones obrigatórios; data de nascimento ausente apaga a atual
+ * - PATCH: só os campos presentes no body mudam (nome, data e telefones inclusive)
+ * - Nos dois, e-mails, endereços, tags, campos personalizados, empresa e cargo só são
+ *   substituídos se vierem no body (clientes v1 que não conhecem os campos não apagam dados)
+ * - Telefones são sincronizados (sincronizarTelefones): os que continuam mantêm o ID
+ * - Cliente antigo que envia só "idade": se ela bate com a data atual, a data é mantida
+ * - Empresas que ficam sem contatos são excluídas
+ * - As gravações rodam em uma única transação (dados.transacao): falhou uma, nada muda
+ * - Exige If-Match com o ETag atual (428 sem o cabeçalho, 412 se outra pessoa salvou antes);
+ *   a resposta traz o ETag da nova versão
+ * 
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {boolean} parcial - true = PATCH
+ */
+async function atualizarContato(req, res, parcial) {
+    const { id } = req.params;
+    const corpo = req.body || {};
+    const { nome, idade, dataNascimento, telefones, emails, enderecos, tags, campos, empresa, cargo, favorito } = corpo;
+    const alterarNome = !parcial || nome !== undefined;
+    const alterarNascimento = !parcial || dataNascimento !== undefined || idade !== undefined;
+    const alterarTelefones = !parcial || telefones !== undefined;
+
+    if (parcial && CAMPOS_PATCH_CONTATO.every(campo => corpo[campo] === undefined)) {
+        return res.status(400).json({ erro: `Informe ao menos um campo para atualizar (${CAMPOS_PATCH_CONTATO.join(', ')})` });
+    }
+
+    if (parcial && favorito !== undefined && typeof favorito !== 'boolean') {
+        return res.status(400).json({ erro: 'Campo favorito deve ser true ou false' });
+    }
+
+    const preparados = alterarTelefones ? prepararTelefones(telefones) : { telefones: null };
+    if (preparados.erro) {
+        return res.status(400).json({ erro: preparados.erro });
+    }
+
+    const emailsPreparados = prepararEmails(emails);
+    if (emailsPreparados.erro) {
+        return res.status(400).json({ erro: emailsPreparados.erro });
+    }
+
+    const enderecosPreparados = prepararEnderecos(enderecos);
+    if (enderecosPreparados.erro) {
+        return res.status(400).json({ erro: enderecosPreparados.erro });
+    }
+
+    const tagsPreparadas = prepararTags(tags);
+    if (tagsPreparadas.erro) {
+        return res.status(400).json({ erro: tagsPreparadas.erro });
+    }
+
+    const organizacao = prepararOrganizacao(empresa, cargo);
+    if (organizacao.erro) {
+        return res.status(400).json({ erro: organizacao.erro });
+    }
+
+    try {
+        // Busca os dados atuais: PATCH completa com eles o que não veio no body, e
+        // cliente antigo que envia só "idade" não deve perder a data exata
+        const atual = await dados.obter('SELECT NOME, DATANASCIMENTO, NASCIMENTOAPROXIMADO, VERSAO, ATUALIZADOEM FROM Contato WHERE ID = ?', [id]);
+        if (!atual) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        const recusa = conferirIfMatch(req, atual);
+        if (recusa) return recusarVersao(res, recusa);
+
+        const nascimento = alterarNascimento
+            ? resolverNascimento(dataNascimento, idade)
+            : { data: atual.DATANASCIMENTO, aproximado: atual.NASCIMENTOAPROXIMADO === 1 };
+
+        // Validações
+        const errosContato = validarContato(alterarNome ? nome : atual.NOME, nascimento.data);
+        if (errosContato.length > 0) {
+            return res.status(400).json({ erro: errosContato.join(', ') });
+        }
+
+        const extras = await verificarTagsECampos(tagsPreparadas.tags, campos);
+        if (extras.erro) {
+            return res.status(400).json({ erro: extras.erro });
+        }
+
+        const manterData = alterarNascimento && nascimento.aproximado
+            && calcularIdade(atual.DATANASCIMENTO) === calcularIdade(nascimento.data);
+        const data = manterData ? atual.DATANASCIMENTO : nascimento.data;
+        const aproximado = manterData ? atual.NASCIMENTOAPROXIMADO : (nascimento.aproximado ? 1 : 0);
+
+        // Contato, telefones e listas enviadas: tudo ou nada
+        const resultado = await dados.transacao(async (tx) => {
+            const { falha, versao } = await lerVersaoParaGravar(tx, req, id);
+            if (falha) return { falha };
+
+            const idEmpresa = await resolverEmpresa(tx, organizacao.empresa);
+
+            // Empresa, cargo e favorito só se vieram no body
+            const colunas = ['NOME = ?', 'DATANASCIMENTO = ?', 'NASCIMENTOAPROXIMADO = ?', SQL_NOVA_VERSAO];
+            const valores = [alterarNome ? sanitizar(nome) : atual.NOME, data, aproximado];
+            if (idEmpresa !== undefined) {
+                colunas.push('IDEMPRESA = ?');
+                valores.push(idEmpresa);
+            }
+            if (organizacao.cargo !== undefined) {
+                colunas.push('CARGO = ?');
+                valores.push(organizacao.cargo);
+            }
+            if (parcial && favorito !== undefined) {
+                colunas.push('FAVORITO = ?');
+                valores.push(favorito ? 1 : 0);
+            }
+
+            await tx.executar(`UPDATE Contato SET ${colunas.join(', ')} WHERE ID = ?`, [...valores, id]);
+
+            // E-mails, endereços, tags e campos são substituídos só se vieram no body
+            const substituir = async (tabela, valor, inserir) => {
+                if (valor === undefined) return;
+                await tx.executar(`DELETE FROM ${tabela} WHERE IDCONTATO = ?`, [id]);
+                await inserir();
+            };
+
+            if (alterarTelefones) await sincronizarTelefones(tx, id, preparados.telefones);
+            await substituir('Email', emails, () => inserirEmails(tx, id, emailsPreparados.emails));
+            await substituir('Endereco', enderecos, () => inserirEnderecos(tx, id, enderecosPreparados.enderecos));
+            await substituir('ContatoTag', tags, () => inserirTags(tx, id, tagsPreparadas.tags));
+            await substituir('ValorCampo', campos, () => inserirCampos(tx, id, extras.valores));
+            if (idEmpresa !== undefined) await removerEmpresasSemContatos(tx);
+            return { versao: versao + 1 };
+        });
+
+        if (resultado.falha) return recusarVersao(res, resultado.falha);
+        res.set('ETag', etagContato(resultado.versao));
+        res.json({ mensagem: 'Contato atualizado com sucesso' });
+    } catch (err) {
+        console.error('Erro ao atualizar contato:', err);
+        res.status(500).json({ erro: 'Erro ao atualizar contato' });
+    }
+}
+
+/**
+ * PUT /api/contatos/:id
+ * PUT /api/v2/contatos/:id
+ * 
+ * Atualiza contato existente (substitui nome, data de nascimento e telefones)
+ * 
+ * Parâmetros:
+ * - id (URL): ID do contato
+ * 
+ * Cabeçalho: If-Match: "<VERSAO>" (ETag de GET /api/contatos/:id; "*" sobrescreve qualquer versão)
+ * 
+ * Body (JSON): mesmo formato de POST /api/contatos
+ * 
+ * Comportamento (ver atualizarContato):
+ * - Atualiza dados do contato
+ * - Telefones que continuam na lista (mesmo número) mantêm o ID; os demais são excluídos/inseridos
+ * - E-mails, endereços, tags, campos personalizados, empresa e cargo só são
+ *   substituídos se vierem no body
+ * 
+ * Retorno: { mensagem: "Contato atualizado" } + ETag da nova versão
+ *   | 428 (sem If-Match) | 412 { erro, versao, atualizadoEm } (versão desatualizada)
+ */
+app.put(['/api/contatos/:id', '/api/v2/contatos/:id'], (req, res) => {
+    atualizarContato(req, res, false);
+});
+
+/**
+ * PATCH /api/contatos/:id
+ * PATCH /api/v2/contatos/:id
+ * 
+ * Atualização parcial: só os campos enviados mudam
+ * 
+ * Body (JSON): qualquer subconjunto de { nome, dataNascimento, telefones, emails, enderecos,
+ *   tags, campos, empresa, cargo, favorito } (ao menos um)
+ * - dataNascimento: null apaga a data
+ * - telefones: lista completa, sincronizada como no PUT; para mexer em um só
+ *   telefone use /api/contatos/:id/telefones
+ * 
+ * Cabeçalho: If-Match obrigatório, como no PUT
+ * 
+ * Retorno: { mensagem } + ETag | 400 (body vazio ou campo inválido) | 404 | 412 | 428
+ */
+app.patch(['/api/contatos/:id', '/api/v2/contatos/:id'], (req, res) => {
+    atualizarContato(req, res, true);
+});
+
+/**
+ * POST /api/contatos/:id/favorito
+ * POST /api/v2/contatos/:id/favorito
+ * 
+ * Alterna o contato entre favorito e não favorito
+ * 
+ * Body (JSON, opcional): { favorito: true|false } define o valor em vez de alternar
+ * Gera nova versão do contato (ETag); If-Match não é exigido
+ * 
+ * Retorno: { id: 1, favorito: true } | 404
+ */
+app.post(['/api/contatos/:id/favorito', '/api/v2/contatos/:id/favorito'], (req, res) => {
+    const { id } = req.params;
+    const { favorito } = req.body || {};
+
+    if (favorito !== undefined && typeof favorito !== 'boolean') {
+        return res.status(400).json({ erro: 'Campo favorito deve ser true ou false' });
+    }
+
+    const sql = favorito === undefined
+        ? `UPDATE Contato SET FAVORITO = 1 - FAVORITO, ${SQL_NOVA_VERSAO} WHERE ID = ?`
+        : `UPDATE Contato SET FAVORITO = ?, ${SQL_NOVA_VERSAO} WHERE ID = ?`;
+    const params = favorito === undefined ? [id] : [favorito ? 1 : 0, id];
+
+    db.run(sql, params, function(err) {
+        if (err) {
+            console.error('Erro ao atualizar favorito:', err);
+            return res.status(500).json({ erro: 'Erro ao atualizar favorito' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        db.get('SELECT ID, FAVORITO FROM Contato WHERE ID = ?', [id], (err, row) => {
+            if (err) {
+                console.error('Erro ao atualizar favorito:', err);
+                return res.status(500).json({ erro: 'Erro ao atualizar favorito' });
+            }
+            res.json({ id: row.ID, favorito: row.FAVORITO === 1 });
+        });
+    });
+});
+
+/**
+ * POST /api/contatos/:id/foto
+ * POST /api/v2/contatos/:id/foto
+ * 
+ * Envia (ou substitui) a foto do contato
+ * 
+ * Body: multipart/form-data com o arquivo no campo "foto"
+ * - JPEG, PNG ou WebP, até 5MB
+ * - Gravada como JPEG de até 512px + miniatura de 96px
+ * - Gera nova versão do contato (ETag); If-Match não é exigido
+ * 
+ * Retorno: { id: 1, FOTO: "/fotos/...jpg", MINIATURA: "/fotos/..._mini.jpg" }
+ * Erros: 400 (arquivo ausente/inválido), 404, 413 (arquivo grande demais)
+ */
+app.post(['/api/contatos/:id/foto', '/api/v2/contatos/:id/foto'], (req, res) => {
+    uploadFoto(req, res, (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ erro: 'Foto maior que 5MB' });
+            }
+            if (err.code === 'TIPO_FOTO_INVALIDO') {
+                return res.status(400).json({ erro: err.message });
+            }
+            if (err instanceof multer.MulterError) {
+                return res.status(400).json({ erro: 'Envie um único arquivo no campo "foto"' });
+            }
+            console.error('Erro ao receber foto:', err);
+            return res.status(500).json({ erro: 'Erro ao salvar foto' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ erro: 'Envie a foto no campo "foto"' });
+        }
+
+        const { id } = req.params;
+
+        db.get('SELECT ID, FOTO FROM Contato WHERE ID = ?', [id], (err, contato) => {
+            if (err) {
+                console.error('Erro ao salvar foto:', err);
+                return res.status(500).json({ erro: 'Erro ao salvar foto' });
+            }
+
+            if (!contato) {
+                return res.status(404).json({ erro: 'Contato não encontrado' });
+            }
+
+            gravarFoto(contato.ID, req.file.buffer)
+                .then(base => {
+                    db.run(`UPDATE Contato SET FOTO = ?, ${SQL_NOVA_VERSAO} WHERE ID = ?`, [base, contato.ID], (err) => {
+                        if (err) {
+                            console.error('Erro ao salvar foto:', err);
+                            removerFoto(base);
+                            return res.status(500).json({ erro: 'Erro ao salvar foto' });
+                        }
+
+                        // A foto anterior só sai depois que a nova foi registrada
+                        removerFoto(contato.FOTO);
+                        res.json({ id: contato.ID, ...urlsFoto(base) });
+                    });
+                })
+                .catch(err => {
+                    console.error('Erro ao processar foto:', err.message);
+                    res.status(400).json({ erro: 'Arquivo de imagem inválido ou corrompido' });
+                });
+        });
+    });
+});
+
+/**
+ * DELETE /api/contatos/:id/foto
+ * DELETE /api/v2/contatos/:id/foto
+ * 
+ * Remove a foto do contato (volta ao avatar com iniciais)
+ * Gera nova versão do contato (ETag); If-Match não é exigido
+ * 
+ * Retorno: { mensagem } | 404
+ */
+app.delete(['/api/contatos/:id/foto', '/api/v2/contatos/:id/foto'], (req, res) => {
+    const { id } = req.params;
+
+    db.get('SELECT FOTO FROM Contato WHERE ID = ?', [id], (err, contato) => {
+        if (err) {
+            console.error('Erro ao remover foto:', err);
+            return res.status(500).json({ erro: 'Erro ao remover foto' });
+        }
+
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        db.run(`UPDATE Contato SET FOTO = NULL, ${SQL_NOVA_VERSAO} WHERE ID = ?`, [id], (err) => {
+            if (err) {
+                console.error('Erro ao remover foto:', err);
+                return res.status(500).json({ erro: 'Erro ao remover foto' });
+            }
+
+            removerFoto(contato.FOTO);
+            res.json({ mensagem: 'Foto removida' });
+        });
+    });
+});
+
+/**
+ * GET /api/contatos/:id/relacionamentos
+ * GET /api/v2/contatos/:id/relacionamentos
+ * 
+ * Lista os contatos relacionados, com o tipo visto por este contato
+ * 
+ * Retorno:
+ * [
+ *   { ID: 3, TIPO: "gerente", CONTATO: { ID: 8, NOME: "Maria Souza" } }   // Maria é gerente deste contato
+ * ]
+ */
+app.get(['/api/contatos/:id/relacionamentos', '/api/v2/contatos/:id/relacionamentos'], (req, res) => {
+    const { id } = req.params;
+
+    db.get('SELECT ID FROM Contato WHERE ID = ?', [id], (err, contato) => {
+        if (err) {
+            console.error('Erro ao buscar relacionamentos:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar relacionamentos' });
+        }
+
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        buscarRelacionamentos(contato.ID, (err, relacionamentos) => {
+            if (err) {
+                console.error('Erro ao buscar relacionamentos:', err);
+                return res.status(500).json({ erro: 'Erro ao buscar relacionamentos' });
+            }
+            res.json(relacionamentos);
+        });
+    });
+});
+
+/**
+ * POST /api/contatos/:id/relacionamentos
+ * POST /api/v2/contatos/:id/relacionamentos
+ * 
+ * Vincula outro contato a este (o vínculo aparece nos dois contatos)
+ * 
+ * Body (JSON): { idContato: 8, tipo: "gerente" }   // contato 8 é gerente deste
+ * Tipos: conjuge, familiar, socio, gerente/subordinado, assistente/assistido
+ * 
+ * Retorno: 201 { ID } | 400 | 404 | 409 (vínculo já existe)
+ */
+app.post(['/api/contatos/:id/relacionamentos', '/api/v2/contatos/:id/relacionamentos'], (req, res) => {
+    const id = Number(req.params.id);
+    const validado = validarRelacionamento(id, req.body);
+    if (validado.erro) {
+        return res.status(400).json({ erro: validado.erro });
+    }
+
+    db.all('SELECT ID FROM Contato WHERE ID IN (?, ?)', [id, validado.idRelacionado], (err, rows) => {
+        if (err) {
+            console.error('Erro ao criar relacionamento:', err);
+            return res.status(500).json({ erro: 'Erro ao criar relacionamento' });
+        }
+
+        if (rows.length < 2) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        const vinculo = canonizarRelacionamento(id, validado.idRelacionado, validado.tipo);
+        const sql = 'INSERT INTO Relacionamento (IDCONTATO, IDRELACIONADO, TIPO) VALUES (?, ?, ?)';
+
+        db.run(sql, [vinculo.idContato, vinculo.idRelacionado, vinculo.tipo], function(err) {
+            if (err && err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ erro: 'Este relacionamento já está cadastrado' });
+            }
+            if (err) {
+                console.error('Erro ao criar relacionamento:', err);
+                return res.status(500).json({ erro: 'Erro ao criar relacionamento' });
+            }
+            res.status(201).json({ ID: this.lastID });
+        });
+    });
+});
+
+/**
+ * DELETE /api/contatos/:id/relacionamentos/:idRelacionamento
+ * DELETE /api/v2/contatos/:id/relacionamentos/:idRelacionamento
+ * 
+ * Remove o vínculo (dos dois contatos)
+ * 
+ * Retorno: { mensagem } | 404 (vínculo inexistente ou que não envolve o contato)
+ */
+app.delete(['/api/contatos/:id/relacionamentos/:idRelacionamento', '/api/v2/contatos/:id/relacionamentos/:idRelacionamento'], (req, res) => {
+    const { id, idRelacionamento } = req.params;
+    const sql = 'DELETE FROM Relacionamento WHERE ID = ? AND (IDCONTATO = ? OR IDRELACIONADO = ?)';
+
+    db.run(sql, [idRelacionamento, id, id], function(err) {
+        if (err) {
+            console.error('Erro ao excluir relacionamento:', err);
+            return res.status(500).json({ erro: 'Erro ao excluir relacionamento' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Relacionamento não encontrado' });
+        }
+
+        res.json({ mensagem: 'Relacionamento removido' });
+    });
+});
+
+/**
+ * GET /api/contatos/:id/notas
+ * GET /api/v2/contatos/:id/notas
+ * 
+ * Lista as notas do contato (linha do tempo, mais recentes primeiro)
+ * 
+ * Retorno:
+ * [
+ *   { ID: 7, TEXTO: "Liguei na segunda, retornar na sexta", CRIADOEM: "2025-11-06T12:00:00Z" }
+ * ]
+ */
+app.get(['/api/contatos/:id/notas', '/api/v2/contatos/:id/notas'], (req, res) => {
+    const { id } = req.params;
+
+    db.get('SELECT ID FROM Contato WHERE ID = ?', [id], (err, contato) => {
+        if (err) {
+            console.error('Erro ao buscar notas:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar notas' });
+        }
+
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        const sql = 'SELECT ID, TEXTO, CRIADOEM FROM Nota WHERE IDCONTATO = ? ORDER BY CRIADOEM DESC, ID DESC';
+
+        db.all(sql, [id], (err, rows) => {
+            if (err) {
+                console.error('Erro ao buscar notas:', err);
+                return res.status(500).json({ erro: 'Erro ao buscar notas' });
+            }
+            res.json(rows);
+        });
+    });
+});
+
+/**
+ * POST /api/contatos/:id/notas
+ * POST /api/v2/contatos/:id/notas
+ * 
+ * Registra uma nota no contato (data/hora definida pelo servidor)
+ * 
+ * Body (JSON): { texto: "Liguei na segunda, retornar na sexta" }
+ * 
+ * Retorno: 201 { ID, TEXTO, CRIADOEM } | 400 | 404
+ */
+app.post(['/api/contatos/:id/notas', '/api/v2/contatos/:id/notas'], (req, res) => {
+    const { id } = req.params;
+    const validada = validarNota(req.body.texto);
+    if (validada.erro) {
+        return res.status(400).json({ erro: validada.erro });
+    }
+
+    db.get('SELECT ID FROM Contato WHERE ID = ?', [id], (err, contato) => {
+        if (err) {
+            console.error('Erro ao criar nota:', err);
+            return res.status(500).json({ erro: 'Erro ao criar nota' });
+        }
+
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        db.run('INSERT INTO Nota (IDCONTATO, TEXTO) VALUES (?, ?)', [contato.ID, validada.texto], function(err) {
+            if (err) {
+                console.error('Erro ao criar nota:', err);
+                return res.status(500).json({ erro: 'Erro ao criar nota' });
+            }
+
+            db.get('SELECT ID, TEXTO, CRIADOEM FROM Nota WHERE ID = ?', [this.lastID], (err, nota) => {
+                if (err) {
+                    console.error('Erro ao criar nota:', err);
+                    return res.status(500).json({ erro: 'Erro ao criar nota' });
+                }
+                res.status(201).json(nota);
+            });
+        });
+    });
+});
+
+/**
+ * DELETE /api/contatos/:id/notas/:idNota
+ * DELETE /api/v2/contatos/:id/notas/:idNota
+ * 
+ * Exclui uma nota do contato
+ * 
+ * Retorno: { mensagem } | 404 (nota inexistente ou de outro contato)
+ */
+app.delete(['/api/contatos/:id/notas/:idNota', '/api/v2/contatos/:id/notas/:idNota'], (req, res) => {
+    const { id, idNota } = req.params;
+
+    db.run('DELETE FROM Nota WHERE ID = ? AND IDCONTATO = ?', [idNota, id], function(err) {
+        if (err) {
+            console.error('Erro ao excluir nota:', err);
+            return res.status(500).json({ erro: 'Erro ao excluir nota' });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Nota não encontrada' });
+        }
+
+        res.json({ mensagem: 'Nota excluída com sucesso' });
+    });
+});
+
+/**
+ * Telefones de um contato, principal primeiro (linhas da tabela Telefone)
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number|string} id - ID do contato
+ * @returns {Promise<Array<Object>>}
+ */
+function listarTelefonesContato(tx, id) {
+    return tx.consultar(`
+        SELECT ID, IDCONTATO, NUMERO, TIPO, PRINCIPAL, E164, PAIS
+        FROM Telefone
+        WHERE IDCONTATO = ?
+        ORDER BY PRINCIPAL DESC, ID
+    `, [id]);
+}
+
+/**
+ * Relê um telefone recém-gravado no formato v2 (o ID é necessário para editá-lo depois)
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} idTelefone - ID do telefone
+ * @returns {Promise<Object>}
+ */
+async function telefoneGravado(tx, idTelefone) {
+    const tel = await tx.obter('SELECT ID, NUMERO, TIPO, PRINCIPAL, E164, PAIS FROM Telefone WHERE ID = ?', [idTelefone]);
+    return formatarTelefones([tel], 2)[0];
+}
+
+/**
+ * GET /api/contatos/:id/telefones
+ * GET /api/v2/contatos/:id/telefones
+ * 
+ * Lista os telefones do contato (principal primeiro), sempre no formato v2
+ * 
+ * Retorno: [{ ID, NUMERO, TIPO, PRINCIPAL, E164, PAIS, LINHA, UF, REGIAO }] | 404
+ */
+app.get(['/api/contatos/:id/telefones', '/api/v2/contatos/:id/telefones'], (req, res) => {
+    const { id } = req.params;
+
+    db.get('SELECT ID FROM Contato WHERE ID = ?', [id], (err, contato) => {
+        if (err) {
+            console.error('Erro ao buscar telefones:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar telefones' });
+        }
+
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        carregarTelefones([contato.ID])
+            .then(telefones => res.json(formatarTelefones(telefones.get(contato.ID) || [], 2)))
+            .catch(err => {
+                console.error('Erro ao buscar telefones:', err);
+                res.status(500).json({ erro: 'Erro ao buscar telefones' });
+            });
+    });
+});
+
+/**
+ * POST /api/contatos/:id/telefones
+ * POST /api/v2/contatos/:id/telefones
+ * 
+ * Acrescenta um telefone ao contato (os demais não são tocados)
+ * 
+ * Body (JSON): { numero: "(11) 98765-4321", tipo: "celular", principal: false, pais: "BR" }
+ * - Mesma validação de POST/PUT (prepararTelefones)
+ * - principal: true passa a ser o único principal do contato
+ * - Gera nova versão do contato (ETag), como todas as rotas de telefone avulso;
+ *   If-Match não é exigido aqui
+ * 
+ * Retorno: 201 telefone (formato v2) | 400 | 404 | 409 (número já cadastrado neste contato)
+ */
+app.post(['/api/contatos/:id/telefones', '/api/v2/contatos/:id/telefones'], async (req, res) => {
+    const { id } = req.params;
+    const preparados = prepararTelefones([req.body || {}]);
+    if (preparados.erro) {
+        return res.status(400).json({ erro: preparados.erro });
+    }
+    // prepararTelefones marca o único item da lista como principal: vale o que veio no body
+    const telefone = { ...preparados.telefones[0], principal: lerTelefone(req.body).principal };
+
+    try {
+        const resposta = await dados.transacao(async (tx) => {
+            const contato = await tx.obter('SELECT ID FROM Contato WHERE ID = ?', [id]);
+            if (!contato) {
+                return { status: 404, corpo: { erro: 'Contato não encontrado' } };
+            }
+
+            const existente = await tx.obter('SELECT ID FROM Telefone WHERE IDCONTATO = ? AND E164 = ?', [contato.ID, telefone.e164]);
+            if (existente) {
+                return { status: 409, corpo: { erro: `Telefone ${telefone.numero} já cadastrado neste contato`, id: existente.ID } };
+            }
+
+            const idTelefone = await gravarTelefoneContato(tx, contato.ID, null, telefone);
+            await incrementarVersao(tx, contato.ID);
+            return { status: 201, corpo: await telefoneGravado(tx, idTelefone) };
+        });
+
+        res.status(resposta.status).json(resposta.corpo);
+    } catch (err) {
+        console.error('Erro ao adicionar telefone:', err);
+        res.status(500).json({ erro: 'Erro ao adicionar telefone' });
+    }
+});
+
+/**
+ * PATCH /api/contatos/:id/telefones/:idTelefone
+ * PATCH /api/v2/contatos/:id/telefones/:idTelefone
+ * 
+ * Altera um telefone do contato; campos ausentes mantêm o valor atual (o ID não muda)
+ * 
+ * Body (JSON): qualquer subconjunto de { numero, tipo, principal, pais }
+ * - principal: true passa a ser o único principal; false no principal atual → 400
+ *   (marque outro como principal)
+ * 
+ * Retorno: telefone (formato v2) | 400 | 404 | 409 (número igual a outro telefone do contato)
+ */
+app.patch(['/api/contatos/:id/telefones/:idTelefone', '/api/v2/contatos/:id/telefones/:idTelefone'], async (req, res) => {
+    const { id, idTelefone } = req.params;
+    const corpo = req.body || {};
+
+    if (['numero', 'tipo', 'principal', 'pais'].every(campo => corpo[campo] === undefined)) {
+        return res.status(400).json({ erro: 'Informe ao menos um campo para atualizar (numero, tipo, principal, pais)' });
+    }
+
+    try {
+        const resposta = await dados.transacao(async (tx) => {
+            const telefones = await listarTelefonesContato(tx, id);
+            const atual = telefones.find(tel => String(tel.ID) === String(idTelefone));
+            if (!atual) {
+                return { status: 404, corpo: { erro: 'Telefone não encontrado' } };
+            }
+
+            const combinado = {
+                numero: corpo.numero !== undefined ? corpo.numero : atual.NUMERO,
+                tipo: corpo.tipo !== undefined ? corpo.tipo : atual.TIPO,
+                principal: corpo.principal !== undefined ? corpo.principal : atual.PRINCIPAL === 1,
+                pais: corpo.pais !== undefined ? corpo.pais : atual.PAIS || Telefone.PAIS_PADRAO
+            };
+            const preparados = prepararTelefones([combinado]);
+            if (preparados.erro) {
+                return { status: 400, corpo: { erro: preparados.erro } };
+            }
+            const telefone = { ...preparados.telefones[0], principal: lerTelefone(combinado).principal };
+
+            if (atual.PRINCIPAL === 1 && !telefone.principal) {
+                return { status: 400, corpo: { erro: 'Este é o telefone principal: marque outro telefone como principal' } };
+            }
+
+            const repetido = telefones.find(tel => tel.ID !== atual.ID && tel.E164 === telefone.e164);
+            if (repetido) {
+                return { status: 409, corpo: { erro: `Telefone ${telefone.numero} já cadastrado neste contato`, id: repetido.ID } };
+            }
+
+            await gravarTelefoneContato(tx, atual.IDCONTATO, atual.ID, telefone);
+            await incrementarVersao(tx, atual.IDCONTATO);
+            return { status: 200, corpo: await telefoneGravado(tx, atual.ID) };
+        });
+
+        res.status(resposta.status).json(resposta.corpo);
+    } catch (err) {
+        console.error('Erro ao atualizar telefone:', err);
+        res.status(500).json({ erro: 'Erro ao atualizar telefone' });
+    }
+});
+
+/**
+ * DELETE /api/contatos/:id/telefones/:idTelefone
+ * DELETE /api/v2/contatos/:id/telefones/:idTelefone
+ * 
+ * Remove um telefone do contato
+ * - O último telefone não pode ser removido (pelo menos um é obrigatório) → 409
+ * - Removendo o principal, o telefone mais antigo restante vira principal
+ * 
+ * Retorno: { mensagem } | 404 | 409
+ */
+app.delete(['/api/contatos/:id/telefones/:idTelefone', '/api/v2/contatos/:id/telefones/:idTelefone'], async (req, res) => {
+    const { id, idTelefone } = req.params;
+
+    try {
+        const resposta = await dados.transacao(async (tx) => {
+            const telefones = await listarTelefonesContato(tx, id);
+            const atual = telefones.find(tel => String(tel.ID) === String(idTelefone));
+            if (!atual) {
+                return { status: 404, corpo: { erro: 'Telefone não encontrado' } };
+            }
+
+            if (telefones.length === 1) {
+                return { status: 409, corpo: { erro: 'Pelo menos um telefone é obrigatório: este é o único do contato' } };
+            }
+
+            await tx.executar('DELETE FROM Telefone WHERE ID = ?', [atual.ID]);
+            if (atual.PRINCIPAL === 1) {
+                const restantes = telefones.filter(tel => tel.ID !== atual.ID);
+                await tx.executar('UPDATE Telefone SET PRINCIPAL = 1 WHERE ID = ?', [Math.min(...restantes.map(tel => tel.ID))]);
+            }
+            await incrementarVersao(tx, atual.IDCONTATO);
+            return { status: 200, corpo: { mensagem: 'Telefone excluído com sucesso' } };
+        });
+
+        res.status(resposta.status).json(resposta.corpo);
+    } catch (err) {
+        console.error('Erro ao excluir telefone:', err);
+        res.status(500).json({ erro: 'Erro ao excluir telefone' });
+    }
+});
+
+/**
+ * Lê o que o log de exclusão precisa, antes de excluir o contato
+ * (DELETE /api/contatos/:id e exclusão em lote)
+ * 
+ * @param {number|string} id - ID do contato
+ * @returns {Promise<Object|null>} { NOME, FOTO, VERSAO, ATUALIZADOEM, telefones, notas, relacionamentos }; null = não existe
+ */
+async function lerDadosExclusao(id) {
+    const row = await dados.obter(`
+        SELECT c.NOME, c.FOTO, c.VERSAO, c.ATUALIZADOEM,
+               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
+        FROM Contato c
+        LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
+        WHERE c.ID = ?
+        GROUP BY c.ID
+    `, [id]);
+
+    if (!row) return null;
+
+    // Notas entram no log: depois da exclusão não há outro registro delas
+    const notas = await dados.consultar('SELECT TEXTO, CRIADOEM FROM Nota WHERE IDCONTATO = ? ORDER BY CRIADOEM, ID', [id]);
+
+    // Relacionamentos também: o CASCADE os remove dos contatos que continuam na agenda
+    const relacionamentos = await promisify(buscarRelacionamentos)(id);
+
+    return {
+        NOME: row.NOME,
+        FOTO: row.FOTO,
+        VERSAO: row.VERSAO,
+        ATUALIZADOEM: row.ATUALIZADOEM,
+        telefones: row.TELEFONES ? row.TELEFONES.split('||') : [],
+        notas,
+        relacionamentos
+    };
+}
+
+/**
+ * Grava o log e apaga a foto de um contato excluído (só depois do COMMIT:
+ * o log não lista exclusões desfeitas)
+ * 
+ * @param {number|string} id - ID do contato excluído
+ * @param {Object} registro - Saída de lerDadosExclusao()
+ */
+function registrarExclusao(id, registro) {
+    gravarLog(id, registro.NOME, registro.telefones, registro.notas, registro.relacionamentos);
+    removerFoto(registro.FOTO);
+}
+
+/**
+ * DELETE /api/contatos/:id
+ * DELETE /api/v2/contatos/:id
+ * 
+ * Exclui contato e registra em log
+ * 
+ * Parâmetros:
+ * - id (URL): ID do contato
+ * 
+ * Cabeçalho: If-Match: "<VERSAO>" obrigatório (428 sem ele; 412 se o contato mudou desde então)
+ * 
+ * Comportamento:
+ * 1. Busca dados do contato (nome, telefones, notas, relacionamentos)
+ * 2. Deleta contato (CASCADE deleta telefones e notas automaticamente) e a empresa
+ *    que ficou sem contatos, na mesma transação
+ * 3. Registra exclusão em logs/exclusoes.txt (depois do COMMIT)
+ * 4. Remove os arquivos da foto, se houver
+ * 
+ * Retorno: { mensagem: "Contato excluído", relacionamentosRemovidos: 2 } | 404 | 412 | 428
+ */
+app.delete(['/api/contatos/:id', '/api/v2/contatos/:id'], async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // Buscar dados antes de excluir (para o log)
+        const registro = await lerDadosExclusao(id);
+
+        if (!registro) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
+
+        const recusa = conferirIfMatch(req, registro);
+        if (recusa) return recusarVersao(res, recusa);
+
+        // Excluir contato (CASCADE deleta telefones, e-mails, endereços, notas e relacionamentos)
+        // e a empresa que ficou sem contatos, juntos
+        const resultado = await dados.transacao(async (tx) => {
+            const { falha } = await lerVersaoParaGravar(tx, req, id);
+            if (falha) return { falha };
+
+            await tx.executar('DELETE FROM Contato WHERE ID = ?', [id]);
+            await removerEmpresasSemContatos(tx);
+            return {};
+        });
+
+        if (resultado.falha) return recusarVersao(res, resultado.falha);
+
+        registrarExclusao(id, registro);
+        res.json({
+            mensagem: 'Contato excluído com sucesso',
+            relacionamentosRemovidos: registro.relacionamentos.length
+        });
+    } catch (err) {
+        console.error('Erro ao excluir contato:', err);
+        res.status(500).json({ erro: 'Erro ao excluir contato' });
+    }
+});
+
+// ============================================
+// OPERAÇÕES EM LOTE
+// ============================================
+
+/**
+ * Máximo de contatos por requisição de POST /api/contatos/lote
+ */
+const LIMITE_LOTE = 500;
+
+/**
+ * Ações aceitas em POST /api/contatos/lote
+ */
+const ACOES_LOTE = ['excluir', 'definirCampo', 'corrigirPrefixo'];
+
+/**
+ * Campos fixos aceitos por definirCampo (além do ID de um campo personalizado)
+ */
+const CAMPOS_LOTE = ['favorito', 'cargo', 'empresa', 'tags'];
+
+/**
+ * Resultado de um item cujo contato não existe (ou foi excluído antes da transação)
+ */
+const LOTE_NAO_ENCONTRADO = { ok: false, status: 404, erro: 'Contato não encontrado' };
+
+/**
+ * Valida a lista de IDs do lote
+ * 
+ * @param {Array} ids - Lista recebida no body
+ * @returns {{erro: string}|{ids: Array<number>}} IDs inteiros, sem repetição, na ordem recebida
+ */
+function lerIdsLote(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return { erro: 'Informe em "ids" a lista de IDs dos contatos' };
+    }
+    if (ids.length > LIMITE_LOTE) {
+        return { erro: `No máximo ${LIMITE_LOTE} contatos por lote` };
+    }
+
+    const numeros = ids.map(id => Number(id));
+    const invalido = numeros.findIndex(id => !Number.isInteger(id) || id <= 0);
+    if (invalido !== -1) {
+        return { erro: `ID inválido: ${ids[invalido]}` };
+    }
+
+    return { ids: Array.from(new Set(numeros)) };
+}
+
+/**
+ * Marca nova versão do contato, alterando junto as colunas informadas
+ * 
+ * @param {Object} tx - Transação (dados.transacao)
+ * @param {number} id - ID do contato
+ * @param {string|null} coluna - Trecho "COLUNA = ?" (null = só a versão)
+ * @param {Array} params - Valores do trecho
+ * @returns {Promise<Object>} Resultado do item: { ok: true } ou LOTE_NAO_ENCONTRADO
+ */
+async function atualizarContatoLote(tx, id, coluna = null, params = []) {
+    const { changes } = await tx.executar(
+        `UPDATE Contato SET ${coluna ? `${coluna}, ` : ''}${SQL_NOVA_VERSAO} WHERE ID = ?`,
+        [...params, id]
+    );
+    return changes === 0 ? LOTE_NAO_ENCONTRADO : { ok: true };
+}
+
+/**
+ * Prepara a exclusão em lote
+ * 
+ * Os dados do log são lidos antes da transação (como no DELETE avulso); o log
+ * e a remoção das fotos só acontecem em concluir(), depois do COMMIT.
+ * 
+ * @param {Array<number>} ids - Saída de lerIdsLote()
+ * @returns {Promise<Object>} Operação { aplicar, finalizar, concluir }
+ */
+async function prepararExclusaoLote(ids) {
+    const registros = new Map();
+    for (const id of ids) {
+        const registro = await lerDadosExclusao(id);
+        if (registro) registros.set(id, registro);
+    }
+
+    const excluidos = [];
+    return {
+        async aplicar(tx, id) {
+            const registro = registros.get(id);
+            if (!registro) return LOTE_NAO_ENCONTRADO;
+
+            const { changes } = await tx.executar('DELETE FROM Contato WHERE ID = ?', [id]);
+            if (changes === 0) return LOTE_NAO_ENCONTRADO;
+
+            excluidos.push(id);
+            return { ok: true, relacionamentosRemovidos: registro.relacionamentos.length };
+        },
+        finalizar: tx => removerEmpresasSemContatos(tx),
+        concluir() {
+            excluidos.forEach(id => registrarExclusao(id, registros.get(id)));
+        }
+    };
+}
+
+/**
+ * Prepara definirCampo: valida o valor uma vez, antes da transação
+ * 
+ * Campos:
+ * - favorito: true|false
+ * - cargo / empresa: texto (null ou "" limpa), mesmas regras do PUT
+ * - tags: lista de IDs; substitui as tags atuais (como PUT /api/contatos/:id/tags)
+ * - ID de um campo personalizado: valor validado pelo tipo (null limpa, exceto obrigatórios)
+ * 
+ * @param {string|number} campo - Campo a definir
+ * @param {*} valor - Valor para todos os contatos do lote
+ * @returns {Promise<Object>} {erro} ou operação { aplicar, finalizar? }
+ */
+async function prepararDefinicaoLote(campo, valor) {
+    if (campo === 'favorito') {
+        if (typeof valor !== 'boolean') return { erro: 'Campo favorito deve ser true ou false' };
+        return { aplicar: (tx, id) => atualizarContatoLote(tx, id, 'FAVORITO = ?', [valor ? 1 : 0]) };
+    }
+
+    if (campo === 'cargo' || campo === 'empresa') {
+        if (valor === undefined) return { erro: `Informe o valor de ${campo} (null limpa)` };
+
+        const organizacao = campo === 'cargo' ? prepararOrganizacao(undefined, valor) : prepararOrganizacao(valor, undefined);
+        if (organizacao.erro) return organizacao;
+
+        if (campo === 'cargo') {
+            return { aplicar: (tx, id) => atualizarContatoLote(tx, id, 'CARGO = ?', [organizacao.cargo]) };
+        }
+        return {
+            aplicar: async (tx, id) => atualizarContatoLote(tx, id, 'IDEMPRESA = ?', [await resolverEmpresa(tx, organizacao.empresa)]),
+            // Empresa anterior sem contatos (ou a nova, se nenhum contato do lote existia)
+            finalizar: tx => removerEmpresasSemContatos(tx)
+        };
+    }
+
+    if (campo === 'tags') {
+        if (!Array.isArray(valor)) return { erro: 'Tags devem ser enviadas como lista de IDs' };
+
+        const tagsPreparadas = prepararTags(valor);
+        if (tagsPreparadas.erro) return tagsPreparadas;
+        const verificacao = await verificarTagsECampos(tagsPreparadas.tags, undefined);
+        if (verificacao.erro) return verificacao;
+
+        return {
+            async aplicar(tx, id) {
+                const item = await atualizarContatoLote(tx, id);
+                if (!item.ok) return item;
+                await tx.executar('DELETE FROM ContatoTag WHERE IDCONTATO = ?', [id]);
+                await inserirTags(tx, id, tagsPreparadas.tags);
+                return item;
+            }
+        };
+    }
+
+    const definicoes = await promisify(carregarDefinicoesCampos)();
+    const definicao = definicoes.find(c => String(c.ID) === String(campo));
+    if (!definicao) {
+        return { erro: `Campo inválido: ${campo} (use ${CAMPOS_LOTE.join(', ')} ou o ID de um campo personalizado)` };
+    }
+
+    const validado = validarValorCampo(definicao, valor);
+    if (validado.erro) return validado;
+    if (validado.valor === null && definicao.OBRIGATORIO) return { erro: `Campo obrigatório: ${definicao.NOME}` };
+
+    return {
+        async aplicar(tx, id) {
+            const item = await atualizarContatoLote(tx, id);
+            if (!item.ok) return item;
+            await tx.executar('DELETE FROM ValorCampo WHERE IDCONTATO = ? AND IDCAMPO = ?', [id, definicao.ID]);
+            if (validado.valor !== null) {
+                await inserirCampos(tx, id, [{ idCampo: definicao.ID, valor: validado.valor }]);
+            }
+            return item;
+        }
+    };
+}
+
+/**
+ * Dígitos nacionais (sem DDI) de um telefone gravado, no país do cadastro
+ * 
+ * - "(11) 8765-4321" → "1187654321"; "+351 912 345 678" → "912345678"
+ * - Número antigo que já não passa nas regras: dígitos como gravados, tirando o DDI
+ *   do país quando foi digitado com "+"
+ * 
+ * @param {Object} tel - Linha de Telefone (NUMERO, PAIS, E164)
+ * @returns {Object} { pais, nacional }
+ */
+function digitosNacionais(tel) {
+    const pais = Telefone.PAISES[tel.PAIS] ? tel.PAIS : Telefone.PAIS_PADRAO;
+    const lido = Telefone.normalizar(tel.E164 || tel.NUMERO, pais);
+    if (lido) return { pais: lido.pais, nacional: lido.nacional };
+
+    const digitos = Telefone.somenteDigitos(tel.NUMERO);
+    const { ddi } = Telefone.PAISES[pais];
+    const comDdi = String(tel.NUMERO).trim().startsWith('+') && digitos.startsWith(ddi);
+    return { pais, nacional: comDdi ? digitos.slice(ddi.length) : digitos };
+}
+
+/**
+ * Prepara corrigirPrefixo: troca os dígitos iniciais dos telefones do contato
+ * 
+ * - Compara com os dígitos nacionais (sem DDI), ex: "(11) 8765-4321" → "1187654321",
+ *   "+351 912 345 678" → "912345678"
+ * - de: "118", para: "1198" acrescenta o nono dígito aos celulares antigos do DDD 11
+ * - O número corrigido é validado como nacional do país do telefone, passa pelas regras
+ *   do cadastro e é regravado na máscara canônica (E.164 e número normalizado refeitos),
+ *   mantendo ID, tipo e principal
+ * - Número que ficaria inválido (400) ou repetido no contato (409) recusa o item inteiro:
+ *   nenhum telefone daquele contato muda
+ * 
+ * @param {string} de - Prefixo atual (dígitos; máscara é ignorada)
+ * @param {string} para - Novo prefixo ("" remove o prefixo)
+ * @returns {Object} {erro} ou operação { aplicar }
+ */
+function prepararCorrecaoPrefixo(de, para) {
+    const digitos = valor => (typeof valor === 'string' || typeof valor === 'number' ? Telefone.somenteDigitos(String(valor)) : null);
+    const prefixoAtual = digitos(de);
+    const novoPrefixo = digitos(para);
+
+    if (!prefixoAtual) return { erro: 'Informe em "de" os dígitos iniciais a corrigir (ex: "118")' };
+    if (novoPrefixo === null) return { erro: 'Informe em "para" os dígitos que substituem o prefixo (ex: "1198"; "" remove)' };
+    if (prefixoAtual === novoPrefixo) return { erro: 'Prefixos "de" e "para" são iguais' };
+
+    return {
+        async aplicar(tx, id) {
+            const contato = await tx.obter('SELECT ID FROM Contato WHERE ID = ?', [id]);
+            if (!contato) return LOTE_NAO_ENCONTRADO;
+
+            const telefones = await tx.consultar('SELECT ID, NUMERO, TIPO, PRINCIPAL, PAIS, E164 FROM Telefone WHERE IDCONTATO = ? ORDER BY ID', [id]);
+            const corrigidos = [];
+            for (const tel of telefones) {
+                const { pais, nacional } = digitosNacionais(tel);
+                if (!nacional.startsWith(prefixoAtual)) continue;
+
+                const corrigido = novoPrefixo + nacional.slice(prefixoAtual.length);
+                // Com o DDI na frente o número é lido como nacional do país, sem tronco nem DDI adivinhados
+                const numero = `+${Telefone.PAISES[pais].ddi}${corrigido}`;
+                const motivo = Telefone.motivoInvalido(numero, pais);
+                if (motivo) {
+                    return { ok: false, status: 400, erro: `Telefone ${tel.NUMERO} ficaria inválido (${corrigido}): ${motivo}` };
+                }
+
+                const preparado = prepararTelefones([{ numero, tipo: tel.TIPO, pais }]);
+                if (preparado.erro) return { ok: false, status: 400, erro: preparado.erro };
+                // prepararTelefones marca o único item como principal: mantém o que estava gravado
+                corrigidos.push({ tel, novo: { ...preparado.telefones[0], principal: tel.PRINCIPAL === 1 } });
+            }
+
+            // E.164 de cada telefone depois da correção: nenhum pode coincidir com outro do contato
+            const e164PorTelefone = new Map(telefones.map(tel => [tel.ID, tel.E164]));
+            corrigidos.forEach(({ tel, novo }) => e164PorTelefone.set(tel.ID, novo.e164));
+            const repetido = corrigidos.find(({ tel, novo }) =>
+                Array.from(e164PorTelefone).some(([idTelefone, e164]) => idTelefone !== tel.ID && e164 === novo.e164));
+            if (repetido) {
+                return { ok: false, status: 409, erro: `Telefone ${repetido.novo.numero} ficaria repetido no contato` };
+            }
+
+            for (const { tel, novo } of corrigidos) {
+                await gravarTelefoneContato(tx, id, tel.ID, novo);
+            }
+            if (corrigidos.length > 0) await incrementarVersao(tx, id);
+
+            return {
+                ok: true,
+                telefones: corrigidos.map(({ tel, novo }) => ({ ID: tel.ID, DE: tel.NUMERO, PARA: novo.numero }))
+            };
+        }
+    };
+}
+
+/**
+ * POST /api/contatos/lote
+ * POST /api/v2/contatos/lote
+ * 
+ * Aplica uma ação a vários contatos em uma única transação
+ * 
+ * Body (JSON):
+ * - { ids: [1, 2, 3], acao: "excluir" }
+ * - { ids: [...], acao: "definirCampo", campo: "cargo", valor: "Gerente" }
+ *   (campo: favorito, cargo, empresa, tags ou o ID de um campo personalizado)
+ * - { ids: [...], acao: "corrigirPrefixo", de: "118", para: "1198" }
+ * 
+ * Comportamento:
+ * - Parâmetros da ação são validados antes de tudo (400: nada é gravado)
+ * - Cada contato tem o próprio resultado: inexistente (404), telefone inválido (400)
+ *   ou repetido (409) recusa só aquele item; os demais são gravados
+ * - Erro do banco desfaz o lote inteiro (ROLLBACK → 500)
+ * - Cada contato excluído gera seu bloco em logs/exclusoes.txt, depois do COMMIT
+ * - Contatos alterados ganham nova versão (ETag); If-Match não é exigido
+ * 
+ * Retorno:
+ * {
+ *   acao: "excluir", total: 3, sucesso: 2, falhas: 1,
+ *   resultados: [
+ *     { id: 1, ok: true, relacionamentosRemovidos: 0 },
+ *     { id: 2, ok: false, status: 404, erro: "Contato não encontrado" },
+ *     ...
+ *   ]
+ * }
+ * corrigirPrefixo inclui em cada item telefones: [{ ID, DE, PARA }] (números alterados)
+ */
+app.post(['/api/contatos/lote', '/api/v2/contatos/lote'], async (req, res) => {
+    const { ids, acao, campo, valor, de, para } = req.body || {};
+
+    const lidos = lerIdsLote(ids);
+    if (lidos.erro) {
+        return res.status(400).json({ erro: lidos.erro });
+    }
+    if (!ACOES_LOTE.includes(acao)) {
+        return res.status(400).json({ erro: `Ação inválida: ${acao} (use ${ACOES_LOTE.join(', ')})` });
+    }
+
+    try {
+        const operacao = acao === 'excluir' ? await prepararExclusaoLote(lidos.ids)
+            : acao === 'definirCampo' ? await prepararDefinicaoLote(campo, valor)
+            : prepararCorrecaoPrefixo(de, para);
+
+        if (operacao.erro) {
+            return res.status(400).json({ erro: operacao.erro });
+        }
+
+        const resultados = await dados.transacao(async (tx) => {
+            const itens = [];
+            for (const id of lidos.ids) {
+                itens.push({ id, ...await operacao.aplicar(tx, id) });
+            }
+            if (operacao.finalizar) await operacao.finalizar(tx);
+            return itens;
+        });
+
+        if (operacao.concluir) operacao.concluir();
+
+        const sucesso = resultados.filter(item => item.ok).length;
+        res.json({ acao, total: resultados.length, sucesso, falhas: resultados.length - sucesso, resultados });
+    } catch (err) {
+        console.error('Erro na operação em lote:', err);
+        res.status(500).json({ erro: 'Erro na operação em lote (nada foi alterado)' });
+    }
+});
+
+/**
+ * POST /api/telefones/verificar
+ * POST /api/v2/telefones/verificar
+ * 
+ * Verifica se números de telefone já estão cadastrados
+ * 
+ * Body (JSON):
+ * {
+ *   telefones: ["(11) 98765-4321", "+55 11 98765-4321"]   // ou objetos { numero, tipo, pais }
+ * }
+ * 
+ * Comportamento:
+ * - Converte cada número na chave Telefone.chave ("5511987654321"): formatos diferentes do mesmo número batem
+ * - Busca pela coluna indexada NUMERONORMALIZADO (telefones antigos inválidos guardam só os dígitos)
+ * - Retorna lista de contatos que possuem esses números
+ * 
+ * Retorno:
+ * {
+ *   duplicatas: [
+ *     { ID: 1, NOME: "João", IDADE: 25, TELEFONES: ["(11) 98765-4321"] }
+ *   ]
+ * }
+ */
+app.post(['/api/telefones/verificar', '/api/v2/telefones/verificar'], (req, res) => {
+    const { telefones } = req.body;
+
+    if (!telefones || !Array.isArray(telefones) || telefones.length === 0) {
+        return res.json({ duplicatas: [] });
+    }
+
+    const chaves = telefones
+        .map(lerTelefone)
+        .map(tel => Telefone.chave(tel.numero, tel.pais))
+        .filter(chave => chave.length > 0);
+
+    if (chaves.length === 0) {
+        return res.json({ duplicatas: [] });
+    }
+
+    const sql = `
+        SELECT ${SQL_COLUNAS_CONTATO}
+        FROM Contato c
+        WHERE c.ID IN (
+            SELECT t.IDCONTATO FROM Telefone t
+            WHERE t.NUMERONORMALIZADO IN (SELECT value FROM json_each(?))
+        )
+    `;
+
+    db.all(sql, [JSON.stringify(chaves)], (err, rows) => {
+        if (err) {
+            console.error('Erro ao verificar telefones:', err);
+            return res.status(500).json({ erro: 'Erro ao verificar telefones' });
+        }
+
+        montarContatos(rows, versaoApi(req), (err, duplicatas) => {
+            if (err) {
+                console.error('Erro ao verificar telefones:', err);
+                return res.status(500).json({ erro: 'Erro ao verificar telefones' });
+            }
+            res.json({ duplicatas });
+        });
+    });
+});
+
+/**
+ * POST /api/emails/verificar
+ * POST /api/v2/emails/verificar
+ * 
+ * Verifica se e-mails já estão cadastrados (mesma ideia de /api/telefones/verificar)
+ * 
+ * Body (JSON):
+ * {
+ *   emails: ["joao@empresa.com.br"]
+ * }
+ * 
+ * Comportamento:
+ * - Compara sem diferenciar maiúsculas/minúsculas
+ * - Retorna lista de contatos que possuem esses e-mails
+ * 
+ * Retorno:
+ * {
+ *   duplicatas: [
+ *     { ID: 1, NOME: "João", IDADE: 25, TELEFONES: [...], EMAILS: ["joao@empresa.com.br"] }
+ *   ]
+ * }
+ */
+app.post(['/api/emails/verificar', '/api/v2/emails/verificar'], (req, res) => {
+    const { emails } = req.body;
+
+    if (!emails || !Array.isArray(emails) || emails.length === 0) {
+        return res.json({ duplicatas: [] });
+    }
+
+    const emailsNormalizados = emails
+        .map(email => (typeof email === 'string' ? email.trim().toLowerCase() : ''))
+        .filter(email => email.length > 0);
+
+    if (emailsNormalizados.length === 0) {
+        return res.json({ duplicatas: [] });
+    }
+
+    const placeholders = emailsNormalizados.map(() => '?').join(',');
+
+    const sql = `
+        SELECT ${SQL_COLUNAS_CONTATO}
+        FROM Contato c
+        WHERE c.ID IN (
+            SELECT e.IDCONTATO FROM Email e
+            WHERE e.ENDERECO IN (${placeholders})
+        )
+    `;
+
+    db.all(sql, emailsNormalizados, (err, rows) => {
+        if (err) {
+            console.error('Erro ao verificar e-mails:', err);
+            return res.status(500).json({ erro: 'Erro ao verificar e-mails' });
+        }
+
+        montarContatos(rows, versaoApi(req), (err, duplicatas) => {
+            if (err) {
+                console.error('Erro ao verificar e-mails:', err);
+                return res.status(500).json({ erro: 'Erro ao verificar e-mails' });
+            }
+            res.json({ duplicatas });
+        });
+    });
+});
+
+/**
+ * GET /api/tags
+ * 
+ * Lista as tags (grupos) com a quantidade de contatos de cada uma
+ * 
+ * Retorno:
+ * [
+ *   { ID: 2, NOME: "Família", TOTALCONTATOS: 3 }
+ * ]
+ */
+app.get('/api/tags', (req, res) => {
+    const sql = `
+        SELECT tg.ID, tg.NOME, COUNT(ct.IDCONTATO) AS TOTALCONTATOS
+        FROM Tag tg
+        LEFT JOIN ContatoTag ct ON ct.IDTAG = tg.ID
+        GROUP BY tg.ID
+        ORDER BY tg.NOME COLLATE NOCASE
+    `;
+
+    db.all(sql, [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar tags:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar tags' });
+        }
+        res.json(rows);
+    });
+});
+
+/**
+ * POST /api/tags
+ * 
+ * Cria uma tag
+ * 
+ * Body (JSON): { nome: "Clientes" }
+ * 
+ * Retorno:
+ * - 201 { id: number }
+ * - 400 nome inválido
+ * - 409 já existe tag com o mesmo nome (sem diferenciar maiúsculas/minúsculas)
+ */
+app.post('/api/tags', (req, res) => {
+    const validado = validarNomeTag(req.body.nome);
+    if (validado.erro) {
+        return res.status(400).json({ erro: validado.erro });
+    }
+
+    db.run('INSERT INTO Tag (NOME, CHAVE) VALUES (?, ?)', [validado.nome, validado.chave], function(err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ erro: `Já existe uma tag chamada ${validado.nome}` });
+        }
+        if (err) {
+            console.error('Erro ao criar tag:', err);
+            return res.status(500).json({ erro: 'Erro ao criar tag' });
+        }
+        res.status(201).json({ id: this.lastID });
+    });
+});
+
+/**
+ * PUT /api/tags/:id
+ * 
+ * Renomeia uma tag (os vínculos com contatos são mantidos)
  * 
- * Comportamento:
- * - Atualiza dados do contato
- * - Remove todos telefones antigos
- * - Insere novos telefones
+ * Body (JSON): { nome: "Clientes VIP" }
  * 
- * Retorno: { mensagem: "Contato atualizado" }
+ * Retorno: { mensagem } | 400 | 404 | 409
  */
-app.put('/api/contatos/:id', (req, res) => {
+app.put('/api/tags/:id', (req, res) => {
     const { id } = req.params;
-    const { nome, idade, telefones } = req.body;
+    const validado = validarNomeTag(req.body.nome);
+    if (validado.erro) {
+        return res.status(400).json({ erro: validado.erro });
+    }
 
-    // Validações
-    const errosContato = validarContato(nome, idade);
-    if (errosContato.length > 0) {
-        return res.status(400).json({ erro: errosContato.join(', ') });
+    db.run('UPDATE Tag SET NOME = ?, CHAVE = ? WHERE ID = ?', [validado.nome, validado.chave, id], function(err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ erro: `Já existe uma tag chamada ${validado.nome}` });
+        }
+        if (err) {
+            console.error('Erro ao renomear tag:', err);
+            return res.status(500).json({ erro: 'Erro ao renomear tag' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Tag não encontrada' });
+        }
+        res.json({ mensagem: 'Tag atualizada com sucesso' });
+    });
+});
+
+/**
+ * DELETE /api/tags/:id
+ * 
+ * Exclui uma tag; os contatos continuam cadastrados (CASCADE remove só os vínculos)
+ * 
+ * Retorno: { mensagem } | 404
+ */
+app.delete('/api/tags/:id', (req, res) => {
+    const { id } = req.params;
+
+    db.run('DELETE FROM Tag WHERE ID = ?', [id], function(err) {
+        if (err) {
+            console.error('Erro ao excluir tag:', err);
+            return res.status(500).json({ erro: 'Erro ao excluir tag' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Tag não encontrada' });
+        }
+        res.json({ mensagem: 'Tag excluída com sucesso' });
+    });
+});
+
+/**
+ * PUT /api/contatos/:id/tags
+ * PUT /api/v2/contatos/:id/tags
+ * 
+ * Define as tags de um contato (substitui as atuais)
+ * 
+ * Body (JSON): { tags: [2, 5] }   // lista vazia remove todas
+ * Gera nova versão do contato (ETag); If-Match não é exigido
+ * 
+ * Retorno: { mensagem } | 400 (tag inválida/inexistente) | 404
+ */
+app.put(['/api/contatos/:id/tags', '/api/v2/contatos/:id/tags'], async (req, res) => {
+    const { id } = req.params;
+
+    if (req.body.tags === undefined) {
+        return res.status(400).json({ erro: 'Informe a lista de tags' });
     }
 
-    if (!telefones || !Array.isArray(telefones) || telefones.length === 0) {
-        return res.status(400).json({ erro: 'Pelo menos um telefone é obrigatório' });
+    const tagsPreparadas = prepararTags(req.body.tags);
+    if (tagsPreparadas.erro) {
+        return res.status(400).json({ erro: tagsPreparadas.erro });
     }
 
-    const telefonesValidos = telefones.filter(validarTelefone);
+    try {
+        const contato = await dados.obter('SELECT ID FROM Contato WHERE ID = ?', [id]);
+        if (!contato) {
+            return res.status(404).json({ erro: 'Contato não encontrado' });
+        }
 
-    if (telefonesValidos.length === 0) {
-        return res.status(400).json({ erro: 'Nenhum telefone válido fornecido (devem ter 10 ou 11 dígitos)' });
-    }
+        const inexistentes = await promisify(verificarTags)(tagsPreparadas.tags);
+        if (inexistentes.length > 0) {
+            return res.status(400).json({ erro: `Tag não encontrada: ${inexistentes.join(', ')}` });
+        }
 
-    // Remover telefones duplicados (mesmo número, formatações diferentes)
-    const mapTelefonesUpd = new Map();
-    telefonesValidos.forEach(tel => {
-        const norm = normalizarNumero(tel);
-        if (norm && !mapTelefonesUpd.has(norm)) mapTelefonesUpd.set(norm, tel);
-    });
-    const telefonesUnicos = Array.from(mapTelefonesUpd.values());
+        // Remover as antigas e vincular as novas juntos
+        await dados.transacao(async (tx) => {
+            await tx.executar('DELETE FROM ContatoTag WHERE IDCONTATO = ?', [contato.ID]);
+            await inserirTags(tx, contato.ID, tagsPreparadas.tags);
+            await incrementarVersao(tx, contato.ID);
+        });
 
-    const nomeLimpo = sanitizar(nome);
-    const idadeNum = idade ? parseInt(idade) : null;
+        res.json({ mensagem: 'Tags atualizadas com sucesso' });
+    } catch (err) {
+        console.error('Erro ao atualizar tags:', err);
+        res.status(500).json({ erro: 'Erro ao atualizar tags' });
+    }
+});
 
-    // Atualizar contato
-    const sqlContato = 'UPDATE Contato SET NOME = ?, IDADE = ? WHERE ID = ?';
+/**
+ * GET /api/pesquisas
+ * 
+ * Lista as pesquisas salvas com a quantidade atual de contatos de cada uma
+ * (cada pesquisa é executada na hora, então a contagem acompanha os cadastros)
+ * 
+ * Retorno:
+ * [
+ *   { ID: 1, NOME: "Clientes DDD 21", TERMO: "tag:clientes ddd:21", UF: null,
+ *     TAG: null, FAVORITOS: false, TOTALCONTATOS: 12 }
+ * ]
+ * TAG: { ID, NOME } quando a lista filtra por tag
+ */
+app.get('/api/pesquisas', (req, res) => {
+    const sql = `
+        SELECT ps.ID, ps.NOME, ps.TERMO, ps.UF, ps.IDTAG, tg.NOME AS NOMETAG, ps.FAVORITOS
+        FROM PesquisaSalva ps
+        LEFT JOIN Tag tg ON tg.ID = ps.IDTAG
+        ORDER BY ps.NOME COLLATE NOCASE
+    `;
 
-    db.run(sqlContato, [nomeLimpo, idadeNum, id], function(err) {
+    db.all(sql, [], (err, rows) => {
         if (err) {
-            console.error('Erro ao atualizar contato:', err);
-            return res.status(500).json({ erro: 'Erro ao atualizar contato' });
+            console.error('Erro ao buscar pesquisas salvas:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar pesquisas salvas' });
         }
 
-        if (this.changes === 0) {
-            return res.status(404).json({ erro: 'Contato não encontrado' });
-        }
+        Promise.all(rows.map(contarPesquisaSalva))
+            .then(totais => res.json(rows.map((row, i) => ({
+                ID: row.ID,
+                NOME: row.NOME,
+                TERMO: row.TERMO,
+                UF: row.UF,
+                TAG: row.IDTAG ? { ID: row.IDTAG, NOME: row.NOMETAG } : null,
+                FAVORITOS: row.FAVORITOS === 1,
+                TOTALCONTATOS: totais[i]
+            }))))
+            .catch(err => {
+                console.error('Erro ao contar pesquisas salvas:', err);
+                res.status(500).json({ erro: 'Erro ao buscar pesquisas salvas' });
+            });
+    });
+});
 
-        // Deletar telefones antigos
-        const sqlDeleteTel = 'DELETE FROM Telefone WHERE IDCONTATO = ?';
+/**
+ * Grava (INSERT ou UPDATE) uma pesquisa salva já validada
+ * Responde 400 se a tag não existe e 409 se o nome já está em uso
+ * 
+ * @param {Object} res - Resposta Express
+ * @param {Object} pesquisa - Saída de validarPesquisaSalva()
+ * @param {string} sql - INSERT/UPDATE com NOME, CHAVE, TERMO, UF, IDTAG, FAVORITOS (+ ID no UPDATE)
+ * @param {Array} extras - Parâmetros depois dos campos (ID no UPDATE)
+ * @param {Function} concluir - function(this = Statement) chamada após gravar
+ */
+function gravarPesquisaSalva(res, pesquisa, sql, extras, concluir) {
+    verificarTags(pesquisa.tag ? [pesquisa.tag] : [], (err, inexistentes) => {
+        if (err) {
+            console.error('Erro ao salvar pesquisa:', err);
+            return res.status(500).json({ erro: 'Erro ao salvar pesquisa' });
+        }
+        if (inexistentes.length > 0) {
+            return res.status(400).json({ erro: `Tag não encontrada: ${pesquisa.tag}` });
+        }
 
-        db.run(sqlDeleteTel, [id], (err) => {
+        const valores = [pesquisa.nome, pesquisa.chave, pesquisa.termo, pesquisa.uf, pesquisa.tag, pesquisa.favoritos ? 1 : 0, ...extras];
+        db.run(sql, valores, function(err) {
+            if (err && err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ erro: `Já existe uma pesquisa chamada ${pesquisa.nome}` });
+            }
             if (err) {
-                console.error('Erro ao deletar telefones antigos:', err);
-                return res.status(500).json({ erro: 'Erro ao atualizar telefones' });
-            }
-
-            // Inserir novos telefones
-            const sqlTelefone = 'INSERT INTO Telefone (IDCONTATO, NUMERO) VALUES (?, ?)';
-            const promises = telefonesUnicos.map(tel => {
-                const telLimpo = sanitizar(tel);
-                return new Promise((resolve, reject) => {
-                    db.run(sqlTelefone, [id, telLimpo], (err) => {
-                        if (err) reject(err);
-                        else resolve();
-                    });
-                });
-            });
-
-            Promise.all(promises)
-                .then(() => {
-                    res.json({ mensagem: 'Contato atualizado com sucesso' });
-                })
-                .catch(err => {
-                    console.error('Erro ao inserir novos telefones:', err);
-                    res.status(500).json({ erro: 'Erro ao atualizar telefones' });
-                });
+                console.error('Erro ao salvar pesquisa:', err);
+                return res.status(500).json({ erro: 'Erro ao salvar pesquisa' });
+            }
+            concluir.call(this);
         });
     });
-});
+}
 
 /**
- * DELETE /api/contatos/:id
+ * POST /api/pesquisas
  * 
- * Exclui contato e registra em log
+ * Salva uma pesquisa com nome
  * 
- * Parâmetros:
- * - id (URL): ID do contato
+ * Body (JSON): { nome: "Clientes DDD 21", termo: "tag:clientes ddd:21", uf: "RJ", tag: 2, favoritos: false }
+ * (mesmos filtros de GET /api/contatos/pesquisar; ao menos termo, uf ou tag)
  * 
- * Comportamento:
- * 1. Busca dados do contato (nome, telefones)
- * 2. Registra exclusão em logs/exclusoes.txt
- * 3. Deleta contato (CASCADE deleta telefones automaticamente)
+ * Retorno:
+ * - 201 { id: number }
+ * - 400 nome/filtros inválidos (consulta inválida vem com posicao) ou tag inexistente
+ * - 409 já existe pesquisa com o mesmo nome
+ */
+app.post('/api/pesquisas', (req, res) => {
+    const pesquisa = validarPesquisaSalva(req.body);
+    if (pesquisa.erro) {
+        return res.status(400).json(pesquisa);
+    }
+
+    const sql = 'INSERT INTO PesquisaSalva (NOME, CHAVE, TERMO, UF, IDTAG, FAVORITOS) VALUES (?, ?, ?, ?, ?, ?)';
+    gravarPesquisaSalva(res, pesquisa, sql, [], function() {
+        res.status(201).json({ id: this.lastID });
+    });
+});
+
+/**
+ * PUT /api/pesquisas/:id
  * 
- * Retorno: { mensagem: "Contato excluído" }
+ * Altera nome e filtros de uma pesquisa salva (mesmo body do POST)
+ * 
+ * Retorno: { mensagem } | 400 | 404 | 409
  */
-app.delete('/api/contatos/:id', (req, res) => {
+app.put('/api/pesquisas/:id', (req, res) => {
     const { id } = req.params;
+    const pesquisa = validarPesquisaSalva(req.body);
+    if (pesquisa.erro) {
+        return res.status(400).json(pesquisa);
+    }
 
-    // Buscar dados antes de excluir (para o log)
-    const sqlBuscar = `
-        SELECT c.NOME,
-               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-        FROM Contato c
-        LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
-        WHERE c.ID = ?
-        GROUP BY c.ID
-    `;
+    const sql = 'UPDATE PesquisaSalva SET NOME = ?, CHAVE = ?, TERMO = ?, UF = ?, IDTAG = ?, FAVORITOS = ? WHERE ID = ?';
+    gravarPesquisaSalva(res, pesquisa, sql, [id], function() {
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Pesquisa não encontrada' });
+        }
+        res.json({ mensagem: 'Pesquisa atualizada com sucesso' });
+    });
+});
 
-    db.get(sqlBuscar, [id], (err, row) => {
+/**
+ * DELETE /api/pesquisas/:id
+ * 
+ * Exclui uma pesquisa salva (os contatos não são afetados)
+ * 
+ * Retorno: { mensagem } | 404
+ */
+app.delete('/api/pesquisas/:id', (req, res) => {
+    const { id } = req.params;
+
+    db.run('DELETE FROM PesquisaSalva WHERE ID = ?', [id], function(err) {
         if (err) {
-            console.error('Erro ao buscar contato para exclusão:', err);
-            return res.status(500).json({ erro: 'Erro ao excluir contato' });
+            console.error('Erro ao excluir pesquisa:', err);
+            return res.status(500).json({ erro: 'Erro ao excluir pesquisa' });
         }
-
-        if (!row) {
-            return res.status(404).json({ erro: 'Contato não encontrado' });
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Pesquisa não encontrada' });
         }
+        res.json({ mensagem: 'Pesquisa excluída com sucesso' });
+    });
+});
 
-        const telefones = row.TELEFONES ? row.TELEFONES.split('||') : [];
+/**
+ * GET /api/pesquisas/:id/contatos
+ * GET /api/v2/pesquisas/:id/contatos
+ * 
+ * Executa a pesquisa salva e devolve os contatos (mesmo formato e ordem de /pesquisar)
+ * 
+ * Retorno: Array<Contato> | 404
+ */
+app.get(['/api/pesquisas/:id/contatos', '/api/v2/pesquisas/:id/contatos'], (req, res) => {
+    const { id } = req.params;
 
-        // Registrar log de exclusão
-        gravarLog(id, row.NOME, telefones);
+    db.get('SELECT TERMO, UF, IDTAG, FAVORITOS FROM PesquisaSalva WHERE ID = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Erro ao buscar pesquisa:', err);
+            return res.status(500).json({ erro: 'Erro ao executar pesquisa' });
+        }
+        if (!row) {
+            return res.status(404).json({ erro: 'Pesquisa não encontrada' });
+        }
 
-        // Excluir contato (CASCADE deleta telefones)
-        const sqlDelete = 'DELETE FROM Contato WHERE ID = ?';
+        const pesquisa = prepararPesquisa(filtrosPesquisaSalva(row));
+        if (pesquisa.erro) {
+            return res.status(400).json(pesquisa);
+        }
+        if (pesquisa.vazia) return res.json([]);
 
-        db.run(sqlDelete, [id], function(err) {
+        executarPesquisa(pesquisa, (err, rows) => {
             if (err) {
-                console.error('Erro ao excluir contato:', err);
-                return res.status(500).json({ erro: 'Erro ao excluir contato' });
+                console.error('Erro ao executar pesquisa:', err);
+                return res.status(500).json({ erro: 'Erro ao executar pesquisa' });
             }
-
-            res.json({ mensagem: 'Contato excluído com sucesso' });
+            montarContatos(rows, versaoApi(req), (err, contatos) => {
+                if (err) {
+                    console.error('Erro ao executar pesquisa:', err);
+                    return res.status(500).json({ erro: 'Erro ao executar pesquisa' });
+                }
+                res.json(contatos);
+            });
         });
     });
 });
 
 /**
- * POST /api/telefones/verificar
+ * GET /api/empresas
  * 
- * Verifica se números de telefone já estão cadastrados
+ * Diretório de empresas com seus contatos (ordenados por nome)
  * 
- * Body (JSON):
- * {
- *   telefones: ["(11) 98765-4321", "11987654321"]
- * }
+ * Retorno:
+ * [
+ *   {
+ *     ID: 4, NOME: "ACME Ltda", TOTALCONTATOS: 2,
+ *     CONTATOS: [{ ID: 1, NOME: "João Silva", CARGO: "Gerente de Vendas" }, ...]
+ *   }
+ * ]
+ */
+app.get('/api/empresas', (req, res) => {
+    const sql = `
+        SELECT emp.ID, emp.NOME, c.ID AS IDCONTATO, c.NOME AS NOMECONTATO, c.CARGO
+        FROM Empresa emp
+        JOIN Contato c ON c.IDEMPRESA = emp.ID
+        ORDER BY emp.NOME COLLATE NOCASE, c.NOME COLLATE NOCASE
+    `;
+
+    db.all(sql, [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar empresas:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar empresas' });
+        }
+
+        const empresas = new Map();
+        rows.forEach(row => {
+            if (!empresas.has(row.ID)) {
+                empresas.set(row.ID, { ID: row.ID, NOME: row.NOME, TOTALCONTATOS: 0, CONTATOS: [] });
+            }
+            const empresa = empresas.get(row.ID);
+            empresa.TOTALCONTATOS++;
+            empresa.CONTATOS.push({ ID: row.IDCONTATO, NOME: row.NOMECONTATO, CARGO: row.CARGO });
+        });
+        res.json(Array.from(empresas.values()));
+    });
+});
+
+/**
+ * GET /api/campos
  * 
- * Comportamento:
- * - Normaliza números (remove formatação)
- * - Busca no banco usando SQL_NUMERO_NORMALIZADO
- * - Retorna lista de contatos que possuem esses números
+ * Lista os campos personalizados cadastrados (ordem de criação)
  * 
  * Retorno:
+ * [
+ *   { ID: 1, NOME: "CPF", TIPO: "texto", OPCOES: null, OBRIGATORIO: true },
+ *   { ID: 2, NOME: "Departamento", TIPO: "selecao", OPCOES: ["Vendas", "TI"], OBRIGATORIO: false }
+ * ]
+ */
+app.get('/api/campos', (req, res) => {
+    carregarDefinicoesCampos((err, campos) => {
+        if (err) {
+            console.error('Erro ao buscar campos personalizados:', err);
+            return res.status(500).json({ erro: 'Erro ao buscar campos personalizados' });
+        }
+        res.json(campos);
+    });
+});
+
+/**
+ * POST /api/campos
+ * 
+ * Cadastra um campo personalizado
+ * 
+ * Body (JSON):
  * {
- *   duplicatas: [
- *     { ID: 1, NOME: "João", IDADE: 25, TELEFONES: ["(11) 98765-4321"] }
- *   ]
+ *   nome: "Departamento",
+ *   tipo: "selecao",                 // texto | numero | data | selecao
+ *   opcoes: ["Vendas", "TI"],        // obrigatório apenas para "selecao"
+ *   obrigatorio: false
  * }
+ * 
+ * Retorno: 201 { id } | 400 | 409 (nome repetido)
  */
-app.post('/api/telefones/verificar', (req, res) => {
-    const { telefones } = req.body;
-
-    if (!telefones || !Array.isArray(telefones) || telefones.length === 0) {
-        return res.json({ duplicatas: [] });
+app.post('/api/campos', (req, res) => {
+    const campo = validarDefinicaoCampo(req.body);
+    if (campo.erro) {
+        return res.status(400).json({ erro: campo.erro });
     }
 
-    const numerosNormalizados = telefones.map(normalizarNumero).filter(n => n.length > 0);
-
-    if (numerosNormalizados.length === 0) {
-        return res.json({ duplicatas: [] });
-    }
+    const sql = 'INSERT INTO CampoPersonalizado (NOME, CHAVE, TIPO, OPCOES, OBRIGATORIO) VALUES (?, ?, ?, ?, ?)';
+    const params = [campo.nome, campo.chave, campo.tipo, campo.opcoes ? JSON.stringify(campo.opcoes) : null, campo.obrigatorio ? 1 : 0];
 
-    const placeholders = numerosNormalizados.map(() => '?').join(',');
+    db.run(sql, params, function(err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ erro: `Já existe um campo chamado ${campo.nome}` });
+        }
+        if (err) {
+            console.error('Erro ao criar campo personalizado:', err);
+            return res.status(500).json({ erro: 'Erro ao criar campo personalizado' });
+        }
+        res.status(201).json({ id: this.lastID });
+    });
+});
 
-    const sql = `
-        SELECT DISTINCT c.ID, c.NOME, c.IDADE,
-               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
-        FROM Contato c
-        INNER JOIN Telefone t ON c.ID = t.IDCONTATO
-        WHERE ${SQL_NUMERO_NORMALIZADO} IN (${placeholders})
-        GROUP BY c.ID
-    `;
+/**
+ * PUT /api/campos/:id
+ * 
+ * Altera nome, opções e obrigatoriedade de um campo (o tipo é fixo)
+ * Valores já gravados não são revalidados: passam pelas novas regras
+ * na próxima vez que o contato for salvo.
+ * 
+ * Body (JSON): mesmo formato de POST /api/campos
+ * 
+ * Retorno: { mensagem } | 400 | 404 | 409
+ */
+app.put('/api/campos/:id', (req, res) => {
+    const { id } = req.params;
 
-    db.all(sql, numerosNormalizados, (err, rows) => {
+    db.get('SELECT TIPO FROM CampoPersonalizado WHERE ID = ?', [id], (err, atual) => {
         if (err) {
-            console.error('Erro ao verificar telefones:', err);
-            return res.status(500).json({ erro: 'Erro ao verificar telefones' });
+            console.error('Erro ao atualizar campo personalizado:', err);
+            return res.status(500).json({ erro: 'Erro ao atualizar campo personalizado' });
         }
 
-        const duplicatas = rows.map(row => ({
-            ID: row.ID,
-            NOME: row.NOME,
-            IDADE: row.IDADE,
-            TELEFONES: row.TELEFONES ? row.TELEFONES.split('||') : []
-        }));
+        if (!atual) {
+            return res.status(404).json({ erro: 'Campo personalizado não encontrado' });
+        }
+
+        const campo = validarDefinicaoCampo(req.body, atual.TIPO);
+        if (campo.erro) {
+            return res.status(400).json({ erro: campo.erro });
+        }
+
+        const sql = 'UPDATE CampoPersonalizado SET NOME = ?, CHAVE = ?, OPCOES = ?, OBRIGATORIO = ? WHERE ID = ?';
+        const params = [campo.nome, campo.chave, campo.opcoes ? JSON.stringify(campo.opcoes) : null, campo.obrigatorio ? 1 : 0, id];
+
+        db.run(sql, params, (err) => {
+            if (err && err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ erro: `Já existe um campo chamado ${campo.nome}` });
+            }
+            if (err) {
+                console.error('Erro ao atualizar campo personalizado:', err);
+                return res.status(500).json({ erro: 'Erro ao atualizar campo personalizado' });
+            }
+            res.json({ mensagem: 'Campo atualizado com sucesso' });
+        });
+    });
+});
 
-        res.json({ duplicatas });
+/**
+ * DELETE /api/campos/:id
+ * 
+ * Exclui um campo personalizado e os valores dele em todos os contatos (CASCADE)
+ * 
+ * Retorno: { mensagem } | 404
+ */
+app.delete('/api/campos/:id', (req, res) => {
+    const { id } = req.params;
+
+    db.run('DELETE FROM CampoPersonalizado WHERE ID = ?', [id], function(err) {
+        if (err) {
+            console.error('Erro ao excluir campo personalizado:', err);
+            return res.status(500).json({ erro: 'Erro ao excluir campo personalizado' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ erro: 'Campo personalizado não encontrado' });
+        }
+        res.json({ mensagem: 'Campo excluído com sucesso' });
     });
 });
 
@@ -724,19 +4502,18 @@ app.get('/export-db', (req, res) => {
  * GET /export?format=csv|txt|json
  * 
  * Exporta os contatos em formatos alternativos além do banco SQLite.
- * - csv: Arquivo separado por vírgulas, uma linha por telefone (ID,NOME,IDADE,TELEFONE)
+ * - csv: Arquivo separado por vírgulas, uma linha por telefone (ID,NOME,IDADE,DATANASCIMENTO,TELEFONE,TIPO,PRINCIPAL,EMAILS,ENDERECOS,TAGS)
+ *        seguido de uma coluna por campo personalizado (cabeçalho = nome do campo)
  * - txt: Texto simples, uma linha por contato (telefones separados por "; ")
- * - json: JSON com o mesmo formato do endpoint /api/contatos
+ * - json: JSON com o mesmo formato do endpoint /api/v2/contatos, mas com
+ *         CAMPOS indexado pelo nome do campo ({ "CPF": "..." }) em vez do ID
  */
 app.get('/export', (req, res) => {
     const format = (req.query.format || 'csv').toLowerCase();
 
     const sql = `
-        SELECT c.ID, c.NOME, c.IDADE,
-               GROUP_CONCAT(t.NUMERO, '||') AS TELEFONES
+        SELECT ${SQL_COLUNAS_CONTATO}
         FROM Contato c
-        LEFT JOIN Telefone t ON c.ID = t.IDCONTATO
-        GROUP BY c.ID
         ORDER BY c.NOME
     `;
 
@@ -746,52 +4523,109 @@ app.get('/export', (req, res) => {
             return res.status(500).json({ erro: 'Erro ao exportar contatos' });
         }
 
-        const contatos = rows.map(row => ({
-            ID: row.ID,
-            NOME: row.NOME,
-            IDADE: row.IDADE,
-            TELEFONES: row.TELEFONES ? row.TELEFONES.split('||') : []
-        }));
-
-        if (format === 'json') {
-            res.setHeader('Content-Type', 'application/json; charset=utf-8');
-            res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.json"');
-            return res.send(JSON.stringify(contatos, null, 2));
-        }
+        montarContatos(rows, 2, (err, contatos) => {
+            if (err) {
+                console.error('Erro ao exportar contatos:', err);
+                return res.status(500).json({ erro: 'Erro ao exportar contatos' });
+            }
 
-        if (format === 'txt') {
-            const linhas = contatos.map(c => {
-                const tels = c.TELEFONES.join('; ');
-                return `ID: ${c.ID} | NOME: ${c.NOME} | IDADE: ${c.IDADE ?? ''} | TELEFONES: ${tels}`;
-            }).join('\n');
-            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-            res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.txt"');
-            return res.send(linhas);
-        }
+            carregarDefinicoesCampos((err, campos) => {
+                if (err) {
+                    console.error('Erro ao exportar contatos:', err);
+                    return res.status(500).json({ erro: 'Erro ao exportar contatos' });
+                }
+                enviarExportacao(res, format, contatos, campos);
+            });
+        });
+    });
+});
 
-        // Default: CSV
-        const escape = (val) => {
-            const s = (val ?? '').toString();
-            // Substitui aspas por aspas duplas e envolve com aspas
-            return '"' + s.replace(/"/g, '""') + '"';
-        };
-        const header = ['ID', 'NOME', 'IDADE', 'TELEFONE'];
-        const linhasCsv = [header.join(',')];
-        contatos.forEach(c => {
-            if (c.TELEFONES.length === 0) {
-                linhasCsv.push([c.ID, escape(c.NOME), c.IDADE ?? '', ''].join(','));
-            } else {
-                c.TELEFONES.forEach(tel => {
-                    linhasCsv.push([c.ID, escape(c.NOME), c.IDADE ?? '', escape(tel)].join(','));
-                });
-            }
+/**
+ * Serializa os contatos no formato pedido e envia como download
+ * 
+ * @param {Object} res - Resposta Express
+ * @param {string} format - csv | txt | json
+ * @param {Array<Object>} contatos - Contatos no formato v2
+ * @param {Array<Object>} campos - Definições de campos personalizados (colunas extras)
+ */
+function enviarExportacao(res, format, contatos, campos) {
+    if (format === 'json') {
+        const exportados = contatos.map(c => {
+            const porNome = {};
+            campos.forEach(campo => {
+                if (c.CAMPOS[campo.ID] !== undefined) porNome[campo.NOME] = c.CAMPOS[campo.ID];
+            });
+            return { ...c, CAMPOS: porNome };
         });
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.json"');
+        return res.send(JSON.stringify(exportados, null, 2));
+    }
+
+    if (format === 'txt') {
+        const linhas = contatos.map(c => {
+            const tels = c.TELEFONES
+                .map(t => `${t.NUMERO} (${t.TIPO}${t.PRINCIPAL ? ', principal' : ''})`)
+                .join('; ');
+            const enderecos = c.ENDERECOS.map(formatarEnderecoLinha).join('; ');
+            const tags = c.TAGS.map(tag => tag.NOME).join('; ');
+            const extras = campos.map(campo => ` | ${campo.NOME.toUpperCase()}: ${c.CAMPOS[campo.ID] ?? ''}`).join('');
+            return `ID: ${c.ID} | NOME: ${c.NOME} | IDADE: ${c.IDADE ?? ''} | NASCIMENTO: ${c.DATANASCIMENTO ?? ''} | EMPRESA: ${c.EMPRESA ? c.EMPRESA.NOME : ''} | CARGO: ${c.CARGO ?? ''} | TELEFONES: ${tels} | EMAILS: ${c.EMAILS.join('; ')} | ENDERECOS: ${enderecos} | TAGS: ${tags}${extras}`;
+        }).join('\n');
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.txt"');
+        return res.send(linhas);
+    }
 
-        const csv = linhasCsv.join('\n');
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.csv"');
-        return res.send(csv);
+    // Default: CSV
+    const escape = (val) => {
+        const s = (val ?? '').toString();
+        // Substitui aspas por aspas duplas e envolve com aspas
+        return '"' + s.replace(/"/g, '""') + '"';
+    };
+    const header = ['ID', 'NOME', 'IDADE', 'DATANASCIMENTO', 'EMPRESA', 'CARGO', 'TELEFONE', 'TIPO', 'PRINCIPAL', 'EMAILS', 'ENDERECOS', 'TAGS']
+        .concat(campos.map(campo => escape(campo.NOME)));
+    const linhasCsv = [header.join(',')];
+    contatos.forEach(c => {
+        const emails = escape(c.EMAILS.join('; '));
+        const enderecos = escape(c.ENDERECOS.map(formatarEnderecoLinha).join('; '));
+        const tags = escape(c.TAGS.map(tag => tag.NOME).join('; '));
+        const extras = campos.map(campo => escape(c.CAMPOS[campo.ID]));
+        const organizacao = [escape(c.EMPRESA ? c.EMPRESA.NOME : ''), escape(c.CARGO)];
+        if (c.TELEFONES.length === 0) {
+            linhasCsv.push([c.ID, escape(c.NOME), c.IDADE ?? '', c.DATANASCIMENTO ?? '', ...organizacao, '', '', '', emails, enderecos, tags, ...extras].join(','));
+        } else {
+            c.TELEFONES.forEach(tel => {
+                linhasCsv.push([c.ID, escape(c.NOME), c.IDADE ?? '', c.DATANASCIMENTO ?? '', ...organizacao, escape(tel.NUMERO), tel.TIPO, tel.PRINCIPAL ? 1 : 0, emails, enderecos, tags, ...extras].join(','));
+            });
+        }
     });
+
+    const csv = linhasCsv.join('\n');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="agenda_contatos.csv"');
+    return res.send(csv);
+}
+
+/**
+ * GET /api/schema/versao
+ * 
+ * Informa em qual versão de schema o banco está
+ * 
+ * Retorno:
+ * {
+ *   versao: 1,
+ *   ultimaDisponivel: 1,
+ *   aplicadas: [{ VERSAO: 1, DESCRICAO: "Schema inicial ...", APLICADAEM: "2025-11-06 12:00:00" }]
+ * }
+ */
+app.get('/api/schema/versao', (req, res) => {
+    db.obterVersaoSchema()
+        .then(info => res.json(info))
+        .catch(err => {
+            console.error('Erro ao consultar versão do schema:', err);
+            res.status(500).json({ erro: 'Erro ao consultar versão do schema' });
+        });
 });
 
 // ============================================
@@ -800,13 +4634,14 @@ app.get('/export', (req, res) => {
 
 /**
  * Inicia servidor HTTP na porta configurada
+ * Aguarda as migrações do banco (db.pronto) antes de aceitar requisições
  *
  * Comportamento especial para abrir automaticamente em windows, linux e macOS:
  * - Detecta sistema operacional
  * - Abre navegador automaticamente em http://localhost:3000
  * - Usa comando 'start' do cmd.exe
  */
-app.listen(PORT, () => {
+db.pronto.then(() => app.listen(PORT, () => {
     const url = `http://localhost:${PORT}`;
     console.log(`🚀 Servidor rodando em ${url}`);
     console.log(`📊 Banco de dados: agenda.db`);
@@ -833,4 +4668,7 @@ app.listen(PORT, () => {
             console.warn('Não foi possível abrir o navegador automaticamente no Linux.');
         }
     }
+})).catch(err => {
+    console.error('❌ Erro ao migrar banco de dados:', err.message);
+    process.exit(1);
 });
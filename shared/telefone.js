@@ -0,0 +1,366 @@
+/*
+ * ============================================
+ * AGENDA TELEFÔNICA - Números de Telefone
+ * ============================================
+ *
+ * PROPÓSITO:
+ * Regras de telefone compartilhadas entre servidor (require) e navegador
+ * (<script src="/shared/telefone.js">, global window.Telefone).
+ *
+ * POR QUE EXISTE:
+ * - Aceitar números estrangeiros e números escritos com +55
+ * - Normalizar tudo para E.164 ("+5511987654321"), formato usado para
+ *   gravar (coluna Telefone.E164) e comparar duplicatas/pesquisas
+ * - Cliente e servidor validarem com exatamente as mesmas regras
+ * - Exibir todo telefone na mesma máscara, independente de como foi digitado
+ *
+ * COMO O PAÍS É DEFINIDO:
+ * - Número com "+": o DDI digitado define o país
+ * - Sem "+": o país informado (padrão BR) e o número no formato nacional;
+ *   prefixo de discagem nacional (0) e DDI sem "+" ("5511...") são aceitos
+ *
+ * NÚMEROS BRASILEIROS (regras da Anatel):
+ * - DDD precisa existir (lista DDDS, com a UF e a região de cada um)
+ * - 11 dígitos = celular: o número local começa com 9 (nono dígito)
+ * - 10 dígitos = fixo: o número local começa com 2, 3, 4 ou 5
+ *   (celulares antigos de 8 dígitos, sem o 9, não existem mais)
+ */
+
+(function (raiz, fabrica) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = fabrica();
+    } else {
+        raiz.Telefone = fabrica();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PAIS_PADRAO = 'BR';
+
+    /**
+     * Países aceitos (código ISO 3166-1 alfa-2)
+     * - ddi: código internacional
+     * - tamanhos: [mín, máx] de dígitos do número nacional (sem DDI e sem prefixo 0)
+     * - tronco: prefixo de discagem nacional que não faz parte do número
+     */
+    const PAISES = {
+        BR: { nome: 'Brasil', ddi: '55', tamanhos: [10, 11], tronco: '0' },
+        AR: { nome: 'Argentina', ddi: '54', tamanhos: [10, 11], tronco: '0' },
+        CL: { nome: 'Chile', ddi: '56', tamanhos: [9, 9] },
+        CO: { nome: 'Colômbia', ddi: '57', tamanhos: [10, 10] },
+        MX: { nome: 'México', ddi: '52', tamanhos: [10, 10] },
+        PY: { nome: 'Paraguai', ddi: '595', tamanhos: [9, 9], tronco: '0' },
+        PE: { nome: 'Peru', ddi: '51', tamanhos: [8, 9], tronco: '0' },
+        UY: { nome: 'Uruguai', ddi: '598', tamanhos: [8, 8], tronco: '0' },
+        US: { nome: 'Estados Unidos', ddi: '1', tamanhos: [10, 10], tronco: '1' },
+        CA: { nome: 'Canadá', ddi: '1', tamanhos: [10, 10], tronco: '1' },
+        PT: { nome: 'Portugal', ddi: '351', tamanhos: [9, 9] },
+        ES: { nome: 'Espanha', ddi: '34', tamanhos: [9, 9] },
+        FR: { nome: 'França', ddi: '33', tamanhos: [9, 9], tronco: '0' },
+        IT: { nome: 'Itália', ddi: '39', tamanhos: [6, 11] },
+        DE: { nome: 'Alemanha', ddi: '49', tamanhos: [6, 13], tronco: '0' },
+        GB: { nome: 'Reino Unido', ddi: '44', tamanhos: [9, 10], tronco: '0' },
+        JP: { nome: 'Japão', ddi: '81', tamanhos: [9, 10], tronco: '0' },
+        CN: { nome: 'China', ddi: '86', tamanhos: [10, 11], tronco: '0' }
+    };
+
+    /**
+     * DDDs brasileiros em uso (Anatel): UF e principal cidade/região atendida
+     */
+    const DDDS = {
+        11: { uf: 'SP', regiao: 'São Paulo e região metropolitana' },
+        12: { uf: 'SP', regiao: 'São José dos Campos e Vale do Paraíba' },
+        13: { uf: 'SP', regiao: 'Santos e Baixada Santista' },
+        14: { uf: 'SP', regiao: 'Bauru e Marília' },
+        15: { uf: 'SP', regiao: 'Sorocaba' },
+        16: { uf: 'SP', regiao: 'Ribeirão Preto e São Carlos' },
+        17: { uf: 'SP', regiao: 'São José do Rio Preto' },
+        18: { uf: 'SP', regiao: 'Presidente Prudente e Araçatuba' },
+        19: { uf: 'SP', regiao: 'Campinas e Piracicaba' },
+        21: { uf: 'RJ', regiao: 'Rio de Janeiro e região metropolitana' },
+        22: { uf: 'RJ', regiao: 'Campos dos Goytacazes e Região dos Lagos' },
+        24: { uf: 'RJ', regiao: 'Petrópolis e Volta Redonda' },
+        27: { uf: 'ES', regiao: 'Vitória e região metropolitana' },
+        28: { uf: 'ES', regiao: 'Cachoeiro de Itapemirim' },
+        31: { uf: 'MG', regiao: 'Belo Horizonte e região metropolitana' },
+        32: { uf: 'MG', regiao: 'Juiz de Fora' },
+        33: { uf: 'MG', regiao: 'Governador Valadares' },
+        34: { uf: 'MG', regiao: 'Uberlândia e Triângulo Mineiro' },
+        35: { uf: 'MG', regiao: 'Poços de Caldas e Sul de Minas' },
+        37: { uf: 'MG', regiao: 'Divinópolis' },
+        38: { uf: 'MG', regiao: 'Montes Claros' },
+        41: { uf: 'PR', regiao: 'Curitiba e região metropolitana' },
+        42: { uf: 'PR', regiao: 'Ponta Grossa' },
+        43: { uf: 'PR', regiao: 'Londrina' },
+        44: { uf: 'PR', regiao: 'Maringá' },
+        45: { uf: 'PR', regiao: 'Foz do Iguaçu e Cascavel' },
+        46: { uf: 'PR', regiao: 'Pato Branco e Francisco Beltrão' },
+        47: { uf: 'SC', regiao: 'Joinville e Blumenau' },
+        48: { uf: 'SC', regiao: 'Florianópolis e Criciúma' },
+        49: { uf: 'SC', regiao: 'Chapecó e Lages' },
+        51: { uf: 'RS', regiao: 'Porto Alegre e região metropolitana' },
+        53: { uf: 'RS', regiao: 'Pelotas' },
+        54: { uf: 'RS', regiao: 'Caxias do Sul e Passo Fundo' },
+        55: { uf: 'RS', regiao: 'Santa Maria' },
+        61: { uf: 'DF', regiao: 'Brasília' },
+        62: { uf: 'GO', regiao: 'Goiânia e região metropolitana' },
+        63: { uf: 'TO', regiao: 'Palmas' },
+        64: { uf: 'GO', regiao: 'Rio Verde' },
+        65: { uf: 'MT', regiao: 'Cuiabá' },
+        66: { uf: 'MT', regiao: 'Rondonópolis e Sinop' },
+        67: { uf: 'MS', regiao: 'Campo Grande' },
+        68: { uf: 'AC', regiao: 'Rio Branco' },
+        69: { uf: 'RO', regiao: 'Porto Velho' },
+        71: { uf: 'BA', regiao: 'Salvador e região metropolitana' },
+        73: { uf: 'BA', regiao: 'Ilhéus e Itabuna' },
+        74: { uf: 'BA', regiao: 'Juazeiro' },
+        75: { uf: 'BA', regiao: 'Feira de Santana' },
+        77: { uf: 'BA', regiao: 'Vitória da Conquista e Barreiras' },
+        79: { uf: 'SE', regiao: 'Aracaju' },
+        81: { uf: 'PE', regiao: 'Recife e região metropolitana' },
+        82: { uf: 'AL', regiao: 'Maceió' },
+        83: { uf: 'PB', regiao: 'João Pessoa e Campina Grande' },
+        84: { uf: 'RN', regiao: 'Natal' },
+        85: { uf: 'CE', regiao: 'Fortaleza e região metropolitana' },
+        86: { uf: 'PI', regiao: 'Teresina' },
+        87: { uf: 'PE', regiao: 'Petrolina e Sertão' },
+        88: { uf: 'CE', regiao: 'Juazeiro do Norte e Sobral' },
+        89: { uf: 'PI', regiao: 'Picos e Floriano' },
+        91: { uf: 'PA', regiao: 'Belém e região metropolitana' },
+        92: { uf: 'AM', regiao: 'Manaus' },
+        93: { uf: 'PA', regiao: 'Santarém' },
+        94: { uf: 'PA', regiao: 'Marabá' },
+        95: { uf: 'RR', regiao: 'Boa Vista' },
+        96: { uf: 'AP', regiao: 'Macapá' },
+        97: { uf: 'AM', regiao: 'Interior do Amazonas' },
+        98: { uf: 'MA', regiao: 'São Luís' },
+        99: { uf: 'MA', regiao: 'Imperatriz' }
+    };
+
+    /**
+     * Remove tudo que não é dígito
+     *
+     * @param {string} texto - Número com formatação
+     * @returns {string} Apenas dígitos
+     */
+    function somenteDigitos(texto) {
+        return String(texto ?? '').replace(/\D+/g, '');
+    }
+
+    function tamanhoValido(pais, nacional) {
+        const [minimo, maximo] = PAISES[pais].tamanhos;
+        return nacional.length >= minimo && nacional.length <= maximo;
+    }
+
+    /**
+     * Número digitado com "+": o país vem do DDI
+     * DDI compartilhado (+1 = EUA e Canadá) fica com o país sugerido, se ele usar o mesmo DDI
+     */
+    function lerInternacional(digitos, paisSugerido) {
+        const candidatos = Object.keys(PAISES)
+            .filter(pais => digitos.startsWith(PAISES[pais].ddi)
+                && tamanhoValido(pais, digitos.slice(PAISES[pais].ddi.length)))
+            .sort((a, b) => (b === paisSugerido) - (a === paisSugerido));
+
+        if (candidatos.length === 0) return null;
+        const pais = candidatos[0];
+        return { pais, nacional: digitos.slice(PAISES[pais].ddi.length) };
+    }
+
+    /**
+     * Número sem "+": formato nacional do país informado
+     * Remove o prefixo de discagem nacional ("011...") e o DDI digitado sem "+" ("5511...")
+     */
+    function lerNacional(digitos, pais) {
+        const info = PAISES[pais];
+        let nacional = digitos;
+
+        if (info.tronco && nacional.startsWith(info.tronco) && tamanhoValido(pais, nacional.slice(info.tronco.length))) {
+            nacional = nacional.slice(info.tronco.length);
+        }
+        if (!tamanhoValido(pais, nacional) && nacional.startsWith(info.ddi)
+            && tamanhoValido(pais, nacional.slice(info.ddi.length))) {
+            nacional = nacional.slice(info.ddi.length);
+        }
+
+        return tamanhoValido(pais, nacional) ? { pais, nacional } : null;
+    }
+
+    /**
+     * Aplica as regras brasileiras (DDD e nono dígito) a um número nacional de 10-11 dígitos
+     *
+     * @returns {{erro: string}|{linha: string, uf: string, regiao: string}}
+     */
+    function analisarBrasil(nacional) {
+        const ddd = nacional.slice(0, 2);
+        const local = nacional.slice(2);
+
+        if (!DDDS[ddd]) return { erro: `DDD ${ddd} não existe` };
+        if (local.length === 9) {
+            if (local[0] !== '9') return { erro: 'celular com 11 dígitos deve começar com 9 após o DDD' };
+            return { linha: 'movel', ...DDDS[ddd] };
+        }
+        if (!/^[2-5]/.test(local)) {
+            return { erro: 'fixo com 10 dígitos deve começar com 2, 3, 4 ou 5 após o DDD (celular leva o 9 na frente)' };
+        }
+        return { linha: 'fixo', ...DDDS[ddd] };
+    }
+
+    /**
+     * Interpreta o número: resultado normalizado ou o motivo de ser inválido
+     */
+    function interpretar(numero, pais) {
+        const texto = String(numero ?? '').trim();
+        const digitos = somenteDigitos(texto);
+        const paisInformado = String(pais || PAIS_PADRAO).toUpperCase();
+
+        if (!digitos) return { erro: 'número vazio' };
+        if (!PAISES[paisInformado]) return { erro: `país ${paisInformado} não suportado` };
+
+        const internacional = texto.startsWith('+');
+        const lido = internacional
+            ? lerInternacional(digitos, paisInformado)
+            : lerNacional(digitos, paisInformado);
+        if (!lido) {
+            if (internacional) return { erro: 'DDI não suportado ou tamanho inválido para o país' };
+            if (paisInformado === 'BR') return { erro: 'use DDD + número (10 ou 11 dígitos)' };
+            const [minimo, maximo] = PAISES[paisInformado].tamanhos;
+            const tamanho = minimo === maximo ? `${minimo}` : `${minimo} a ${maximo}`;
+            return { erro: `${PAISES[paisInformado].nome} usa ${tamanho} dígitos (ou digite +DDI)` };
+        }
+
+        const e164 = `+${PAISES[lido.pais].ddi}${lido.nacional}`;
+        // E.164 limita o número completo a 15 dígitos
+        if (e164.length > 16) return { erro: 'número com mais de 15 dígitos' };
+
+        const regras = lido.pais === 'BR' ? analisarBrasil(lido.nacional) : { linha: null, uf: null, regiao: null };
+        if (regras.erro) return regras;
+
+        return { e164, pais: lido.pais, nacional: lido.nacional, linha: regras.linha, uf: regras.uf, regiao: regras.regiao };
+    }
+
+    /**
+     * Normaliza um telefone para E.164 e classifica a linha
+     *
+     * Exemplos (país BR):
+     * - "(11) 98765-4321"    → { e164: "+5511987654321", pais: "BR", nacional: "11987654321",
+     *                            linha: "movel", uf: "SP", regiao: "São Paulo e região metropolitana" }
+     * - "+55 11 98765-4321"  → mesmo resultado
+     * - "(11) 3456-7890"     → { ..., linha: "fixo", uf: "SP", ... }
+     * - "+351 912 345 678"   → { e164: "+351912345678", pais: "PT", nacional: "912345678",
+     *                            linha: null, uf: null, regiao: null } (só há classificação para o Brasil)
+     *
+     * @param {string} numero - Número como digitado (ou o E.164 gravado)
+     * @param {string} pais - País do número quando digitado sem "+" (padrão BR)
+     * @returns {{e164: string, pais: string, nacional: string, linha: ?string, uf: ?string, regiao: ?string}|null} null se inválido
+     */
+    function normalizar(numero, pais = PAIS_PADRAO) {
+        const resultado = interpretar(numero, pais);
+        return resultado.erro ? null : resultado;
+    }
+
+    /**
+     * Explica por que o número é inválido (para mensagens de erro)
+     *
+     * @param {string} numero - Número como digitado
+     * @param {string} pais - País padrão (BR)
+     * @returns {string|null} Motivo, ou null se o número é válido
+     */
+    function motivoInvalido(numero, pais = PAIS_PADRAO) {
+        return interpretar(numero, pais).erro || null;
+    }
+
+    /**
+     * Separa os dígitos em grupos de 3 (o último fica com até 4)
+     * "912345678" → "912 345 678", "2125550100" → "212 555 0100"
+     */
+    function agrupar(digitos) {
+        const grupos = [];
+        let resto = digitos;
+        while (resto.length > 4) {
+            grupos.push(resto.slice(0, 3));
+            resto = resto.slice(3);
+        }
+        grupos.push(resto);
+        return grupos.join(' ');
+    }
+
+    /**
+     * Máscara canônica de exibição
+     *
+     * - Brasil: "(11) 98765-4321" (celular) ou "(11) 3456-7890" (fixo), mesmo se digitado com +55
+     * - Outros países: "+DDI" e o número em grupos ("+351 912 345 678")
+     *
+     * @param {string} numero - Número como digitado (ou o E.164 gravado)
+     * @param {string} pais - País padrão (BR)
+     * @returns {string|null} Número formatado, ou null se inválido
+     */
+    function formatar(numero, pais = PAIS_PADRAO) {
+        const normalizado = normalizar(numero, pais);
+        if (!normalizado) return null;
+
+        const { nacional } = normalizado;
+        if (normalizado.pais === 'BR') {
+            const local = nacional.slice(2);
+            const meio = local.length - 4;
+            return `(${nacional.slice(0, 2)}) ${local.slice(0, meio)}-${local.slice(meio)}`;
+        }
+        return `+${PAISES[normalizado.pais].ddi} ${agrupar(nacional)}`;
+    }
+
+    /**
+     * Máscara aplicada enquanto o número é digitado (campo do formulário)
+     *
+     * - Brasil sem "+": "(11", "(11) 9876", "(11) 3456-7890", "(11) 98765-4321"
+     *   (nunca acrescenta separador no fim, para o Backspace funcionar normalmente)
+     * - "+DDI" e outros países: o texto fica como digitado
+     *
+     * @param {string} texto - Conteúdo atual do campo
+     * @param {string} pais - País selecionado na linha
+     * @returns {string}
+     */
+    function mascarar(texto, pais = PAIS_PADRAO) {
+        const valor = String(texto ?? '');
+        const digitos = somenteDigitos(valor);
+        if (valor.trim().startsWith('+') || String(pais).toUpperCase() !== 'BR') return valor;
+        // Prefixo 0 ou DDI sem "+" ("5511..."): não dá para mascarar enquanto digita
+        if (digitos.startsWith('0') || digitos.length > 11) return valor;
+
+        if (digitos.length === 0) return '';
+        if (digitos.length <= 2) return `(${digitos}`;
+
+        const ddd = digitos.slice(0, 2);
+        const local = digitos.slice(2);
+        if (local.length <= 4) return `(${ddd}) ${local}`;
+        const meio = local.length === 9 ? 5 : 4;
+        return `(${ddd}) ${local.slice(0, meio)}-${local.slice(meio)}`;
+    }
+
+    /**
+     * Chave de comparação do número (coluna indexada Telefone.NUMERONORMALIZADO)
+     *
+     * - Número válido: dígitos do E.164 ("(11) 98765-4321" → "5511987654321")
+     * - Inválido (cadastros antigos): apenas os dígitos, para ainda poder ser encontrado
+     *
+     * @param {string} numero - Número como digitado
+     * @param {string} pais - País padrão (BR)
+     * @returns {string} Somente dígitos ('' se não houver nenhum)
+     */
+    function chave(numero, pais = PAIS_PADRAO) {
+        const normalizado = normalizar(numero, pais);
+        return normalizado ? normalizado.e164.slice(1) : somenteDigitos(numero);
+    }
+
+    /**
+     * Indica se o número é válido para o país
+     *
+     * @param {string} numero - Número como digitado
+     * @param {string} pais - País padrão (BR)
+     * @returns {boolean}
+     */
+    function valido(numero, pais = PAIS_PADRAO) {
+        return normalizar(numero, pais) !== null;
+    }
+
+    return { PAIS_PADRAO, PAISES, DDDS, somenteDigitos, normalizar, motivoInvalido, valido, chave, formatar, mascarar };
+});
@@ -0,0 +1,35 @@
+/*
+ * ============================================
+ * AGENDA TELEFÔNICA - Testes da Linguagem de Consulta
+ * ============================================
+ *
+ * Executar: npm test (node:test, sem dependências)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ehNumeroTelefone, ehConsultaEstruturada, analisarConsulta } = require('../consulta');
+
+test('número formatado vai para a busca por telefone, não para a consulta estruturada', () => {
+    for (const numero of ['(11) 3456-7890', '+55 (11) 98765-4321', '(11) 3456', '11 98765.4321']) {
+        assert.equal(ehNumeroTelefone(numero), true, numero);
+        assert.equal(ehConsultaEstruturada(numero), false, numero);
+    }
+});
+
+test('palavras e números sem campo viram termos combinados com E', () => {
+    assert.equal(ehNumeroTelefone('Ana 11'), false);
+    assert.equal(ehConsultaEstruturada('Ana 11'), true);
+    assert.deepEqual(analisarConsulta('Ana 11'), {
+        tipo: 'e',
+        itens: [
+            { tipo: 'termo', campo: null, valor: 'Ana', posicao: 0 },
+            { tipo: 'termo', campo: null, valor: '11', posicao: 4 }
+        ]
+    });
+});
+
+test('parênteses com campos continuam agrupando', () => {
+    assert.equal(ehConsultaEstruturada('(ddd:11 OU ddd:21) nome:ana'), true);
+    assert.equal(ehConsultaEstruturada('ana'), false);
+});